@@ -7,18 +7,155 @@ require("dotenv").config();
 const { createClient } = require("@supabase/supabase-js");
 const fs = require("fs");
 const path = require("path");
+const { DependencyGraph } = require("./supabase-backup-dependencies");
+const { DirectConnection, quoteIdent } = require("./supabase-backup-db");
+const {
+  StreamingFileWriter,
+  JsonRowsWriter,
+  CsvRowsWriter,
+  SqlInsertWriter,
+  SqlCopyWriter,
+  normalizeSqlDataFormat,
+} = require("./supabase-backup-writers");
+const { mapWithConcurrency, TaskOutput } = require("./supabase-backup-pool");
+const { MANIFEST_FILE, buildManifest } = require("./supabase-backup-manifest");
+const {
+  writeBackupSummary,
+  readBackupSummary,
+} = require("./supabase-backup-summary");
+const {
+  normalizeCompression,
+  compressionExtension,
+  assertCompressionAvailable,
+} = require("./supabase-backup-compression");
+const {
+  BackupCipher,
+  KEY_SOURCES_HELP,
+} = require("./supabase-backup-encryption");
+const { columnDefinitionSQL } = require("./supabase-backup-migration");
+const {
+  STORAGE_DIR,
+  BUCKETS_FILE,
+  OBJECTS_FILE,
+  REUPLOAD_SCRIPT,
+  StorageClient,
+  selectBuckets,
+  prefixFilter,
+  describeObject,
+  objectFilePath,
+  isUnchanged,
+  saveObjectFile,
+  reuseObjectFile,
+  readStorageIndex,
+  generateReuploadScript,
+} = require("./supabase-backup-storage");
+const {
+  AUTH_SCHEMA,
+  AUTH_DIR,
+  AUTH_TABLES,
+  AUTH_WARNING,
+  describeAuthTable,
+} = require("./supabase-backup-auth");
+const {
+  BACKUP_CONFIG,
+  loadProfile,
+  resolveCredentials,
+  getProfileArg,
+  getProjectNames,
+} = require("./supabase-backup-config");
+const {
+  TableSelection,
+  parsePatternList,
+} = require("./supabase-backup-selection");
+const {
+  MASKING_KEY_ENV,
+  DataMasker,
+  parseMaskList,
+} = require("./supabase-backup-masking");
+const { FILTER_OPERATORS, RowFilters } = require("./supabase-backup-filters");
+const {
+  SubsetPlanner,
+  resolveRoots,
+  keysCondition,
+} = require("./supabase-backup-subset");
+const {
+  SUPABASE_DIR,
+  MIGRATIONS_DIR,
+  SEED_FILE,
+  normalizeSupabaseExport,
+  withoutTransactionControl,
+  buildMigrations,
+} = require("./supabase-backup-export");
+const {
+  EXIT_BACKUP_ERRORS,
+  runProjects,
+  formatProjectSummary,
+} = require("./supabase-backup-projects");
+
+// Config file profile (--profile NAME or the file's defaultProfile), resolved
+// first because it can supply the credentials below. With --projects or
+// --all-projects this process only starts one backup per project instead.
+let PROJECT_NAMES = null;
+let PROFILE = null;
+let PROFILE_CREDENTIALS = null;
+if (require.main === module) {
+  try {
+    PROJECT_NAMES = getProjectNames(process.argv.slice(2));
+    if (!PROJECT_NAMES) {
+      PROFILE = loadProfile(getProfileArg(process.argv.slice(2)));
+      PROFILE_CREDENTIALS = resolveCredentials(PROFILE);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
 
 // Configuration
-const SUPABASE_URL =
-  process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_KEY =
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+const SUPABASE_URL = PROFILE_CREDENTIALS
+  ? PROFILE_CREDENTIALS.supabaseUrl
+  : process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = PROFILE_CREDENTIALS
+  ? PROFILE_CREDENTIALS.serviceRoleKey
+  : process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+// Optional: direct Postgres connection string (Supabase pooler or direct)
+const DATABASE_URL = PROFILE_CREDENTIALS
+  ? PROFILE_CREDENTIALS.databaseUrl
+  : process.env.DATABASE_URL;
 
 // Optional: Manual table specification for databases with restricted discovery
 const MANUAL_TABLES = process.env.MANUAL_TABLES ? 
   process.env.MANUAL_TABLES.split(',').map(t => t.trim()) : [];
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+// Column types without a default sort order, skipped when ordering offset pages
+const UNSORTABLE_TYPES = [
+  "json",
+  "xml",
+  "point",
+  "line",
+  "lseg",
+  "box",
+  "path",
+  "polygon",
+  "circle",
+];
+
+function omitColumns(row, columns) {
+  const copy = { ...row };
+  columns.forEach((col) => delete copy[col]);
+  return copy;
+}
+
+function printMissingEnvironmentHelp() {
+  if (PROFILE_CREDENTIALS) {
+    console.error(`❌ No usable credentials in ${PROFILE.label}:`);
+    console.error(
+      "   Set supabaseUrl (or supabaseUrlEnv) and serviceRoleKeyEnv, or databaseUrlEnv"
+    );
+    return;
+  }
+
   console.error(
     "❌ Missing environment variables. Please check your .env file:"
   );
@@ -26,106 +163,95 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
   console.error(
     "   Required: SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_SERVICE_KEY)"
   );
+  console.error(
+    "   Or: DATABASE_URL / --db-url=postgresql://... (direct connection mode)"
+  );
   console.error("   Optional: MANUAL_TABLES=table1,table2,table3 (for restricted discovery)");
-  process.exit(1);
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-
-// Enhanced backup configuration
-const BACKUP_CONFIG = {
-  // Schema objects
-  includeTables: true,
-  includeViews: true,
-  includeFunctions: true,
-  includeTriggers: true,
-  includePolicies: true,
-  includeIndexes: true,
-  includeSequences: true,
-  includeConstraints: true,
-  includeExtensions: true,
-  includeEnums: true,
-
-  // Data options
-  includeData: true,
-  includeSystemTables: false,
-
-  // Export formats
-  exportFormats: ["sql", "json", "csv"],
-
-  // System schemas/tables to exclude
-  excludeSchemas: [
-    "information_schema",
-    "pg_catalog",
-    "pg_toast",
-    "pg_temp_1",
-    "pg_toast_temp_1",
-    "auth",
-    "storage",
-    "realtime",
-    "supabase_functions",
-    "supabase_migrations",
-    "pgsodium",
-    "vault",
-    "graphql",
-    "graphql_public",
-  ],
-
-  excludeDataTables: [
-    "auth.users",
-    "auth.sessions",
-    "auth.refresh_tokens",
-    "auth.instances",
-    "auth.audit_log_entries",
-    "auth.flow_state",
-    "auth.identities",
-    "storage.objects",
-    "storage.buckets",
-    "storage.migrations",
-    "realtime.subscription",
-    "realtime.schema_migrations",
-    "pgsodium.key",
-    "vault.secrets",
-  ],
-
-  // Limits
-  maxRowsPerTable: 100000,
-  maxTableSizeMB: 500,
-  queryTimeout: 30000,
-
-  // Output options
-  createRestoreScript: true,
-  includeDropStatements: true,
-  includeSystemInfo: true,
-  generateReadme: true,
-  compressOutput: false,
-};
+// REST client; not required in direct connection mode
+const supabase =
+  SUPABASE_URL && SUPABASE_SERVICE_KEY
+    ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+    : null;
 
 class ProfessionalSupabaseBackup {
   constructor(options = {}) {
-    this.config = { ...BACKUP_CONFIG, ...options };
+    // Kept out of this.config so credentials never reach backup-summary.json
+    const {
+      databaseUrl = DATABASE_URL,
+      encryptionKeyFile,
+      profileName = null,
+      ...configOptions
+    } = options;
+
+    if (!databaseUrl && !supabase) {
+      throw new Error(
+        "Missing Supabase credentials: set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or DATABASE_URL"
+      );
+    }
+
+    this.config = { ...BACKUP_CONFIG, ...configOptions };
+    this.db = databaseUrl
+      ? new DirectConnection(databaseUrl, {
+          queryTimeout: this.config.queryTimeout,
+          poolSize: this.config.concurrency,
+        })
+      : null;
     this.timestamp = new Date()
       .toISOString()
       .replace(/[:.]/g, "-")
       .split(".")[0];
-    this.backupDir = path.join(
-      process.cwd(),
-      "supabase-backup",
-      this.timestamp
+    this.backupDir = path.resolve(this.config.outputDir, this.timestamp);
+    this.selection = new TableSelection(this.config);
+    this.masker = new DataMasker(this.config.maskColumns);
+    this.rowFilters = new RowFilters(this.config.tableFilters);
+    this.compression = normalizeCompression(this.config.compressOutput);
+    this.sqlDataFormat = normalizeSqlDataFormat(this.config.sqlDataFormat);
+    this.supabaseExport = normalizeSupabaseExport(
+      this.config.supabaseCliExport
     );
+    this.cipher = this.config.encryptOutput
+      ? BackupCipher.fromEnvironment({ keyFile: encryptionKeyFile })
+      : null;
+
+    if (this.config.encryptOutput && !this.cipher) {
+      throw new Error(
+        `Encryption requested but no key found: ${KEY_SOURCES_HELP}`
+      );
+    }
+
+    if (this.config.subset) {
+      this.validateSubsetConfig();
+    }
 
     this.results = {
       metadata: {
         timestamp: new Date().toISOString(),
+        backupId: this.timestamp,
+        backupType: this.config.incremental ? "incremental" : "full",
+        parentBackupId: null,
+        profile: profileName,
+        compression: this.compression,
+        encryption: this.cipher ? this.cipher.describe() : null,
+        sqlDataFormat: this.sqlDataFormat,
+        supabaseCli: null, // { migrations, seed } once supabase/ is written
+        masked: this.masker.enabled,
+        rowFilters: {}, // "schema.table" -> filter, for tables backed up partially
+        subset: null,
         supabaseUrl: SUPABASE_URL,
+        connectionMode: this.db ? "direct" : "rest",
+        databaseUrl: this.db ? this.db.describe() : null,
         backupVersion: "v2.0.0",
         nodeVersion: process.version,
         platform: process.platform,
-        projectName: this.extractProjectName(SUPABASE_URL),
+        projectName:
+          this.db?.projectRef() || this.extractProjectName(SUPABASE_URL),
       },
       schema: {
         schemas: [],
         tables: [],
+        excludedTables: [],
         views: [],
         functions: [],
         triggers: [],
@@ -137,6 +263,8 @@ class ProfessionalSupabaseBackup {
         enums: [],
       },
       data: {},
+      auth: null,
+      storage: null,
       statistics: {
         totalSchemas: 0,
         totalTables: 0,
@@ -146,9 +274,13 @@ class ProfessionalSupabaseBackup {
         totalPolicies: 0,
         totalIndexes: 0,
         totalSequences: 0,
+        totalExtensions: 0,
         totalEnums: 0,
         totalConstraints: 0,
         totalRows: 0,
+        totalAuthUsers: 0,
+        totalBuckets: 0,
+        totalStorageObjects: 0,
         backupDuration: 0,
         fileSizeMB: 0,
       },
@@ -156,10 +288,55 @@ class ProfessionalSupabaseBackup {
       warnings: [],
     };
 
+    if (this.masker.enabled && !this.masker.key) {
+      this.results.warnings.push(
+        `Masking without ${MASKING_KEY_ENV}: hashed values can be matched against guessed inputs`
+      );
+    }
+
+    // Per-table INSERT fragments, stitched into the SQL scripts at the end
+    this.sqlDataParts = new Map();
+
+    // auth.<table> -> INSERT fragment, restored ahead of the table data
+    this.authDataParts = new Map();
+
+    // Parent backup of an incremental run: { id, watermarks }
+    this.parentBackup = null;
+
+    // storage/ index files and re-upload script, once the Storage phase ran
+    this.storageFiles = null;
+
+    // Subset mode: "schema.table" -> key rows to back up
+    this.subsetPlan = null;
+
     this.startTime = Date.now();
   }
 
+  validateSubsetConfig() {
+    const { roots = {} } = this.config.subset;
+    if (!this.db) {
+      throw new Error(
+        "Subset backups need a direct connection (--db-url or DATABASE_URL)"
+      );
+    }
+    if (Object.keys(roots).length === 0) {
+      throw new Error(
+        'Subset backups need root tables, e.g. subset.roots { "public.orders": 100 }'
+      );
+    }
+    if (this.config.incremental) {
+      throw new Error("Subset backups cannot be incremental");
+    }
+    if (Object.keys(this.config.tableFilters).length > 0) {
+      throw new Error(
+        "Subset backups pick their rows with subset.roots; remove tableFilters"
+      );
+    }
+    resolveRoots(roots, []); // Rejects malformed root specs up front
+  }
+
   extractProjectName(url) {
+    if (!url) return "unknown-project";
     try {
       const match = url.match(/https:\/\/([^.]+)\.supabase\.co/);
       return match ? match[1] : "unknown-project";
@@ -168,25 +345,120 @@ class ProfessionalSupabaseBackup {
     }
   }
 
+  // Where this backup reads from, without credentials
+  getSourceLabel() {
+    return this.db
+      ? `${this.db.describe()} (direct connection)`
+      : SUPABASE_URL;
+  }
+
   async initialize() {
     console.log("🚀 Professional Supabase Backup & Restore System v2.0");
     console.log("=".repeat(80));
     console.log(`📅 Started: ${this.results.metadata.timestamp}`);
-    console.log(`🗄️  Database: ${SUPABASE_URL}`);
+    console.log(`🗄️  Database: ${this.getSourceLabel()}`);
     console.log(`📁 Backup Location: ${this.backupDir}`);
     console.log(`🏷️  Project: ${this.results.metadata.projectName}`);
+    if (this.results.metadata.profile) {
+      console.log(`🧭 Profile: ${this.results.metadata.profile}`);
+    }
+    if (this.compression) {
+      console.log(`🗜️  Compression: ${this.compression}`);
+    }
+    if (this.cipher) {
+      const { algorithm, kdf } = this.cipher.describe();
+      console.log(
+        `🔐 Encryption: ${algorithm} (${kdf === "none" ? "key" : `passphrase, ${kdf}`})`
+      );
+    }
+    if (this.masker.enabled) {
+      console.log(
+        `🎭 Masking: ${this.masker.compiled.length} column rules${this.masker.key ? "" : ` (⚠️  no ${MASKING_KEY_ENV}: unkeyed hashes)`}`
+      );
+    }
     console.log("=".repeat(80));
 
+    if (this.compression) {
+      assertCompressionAvailable(this.compression);
+    }
+
     if (!fs.existsSync(this.backupDir)) {
       fs.mkdirSync(this.backupDir, { recursive: true });
     }
 
+    if (this.config.incremental) {
+      this.loadParentBackup();
+    }
+
     await this.testConnection();
   }
 
+  // Find the parent of an incremental backup and load its watermarks
+  loadParentBackup() {
+    const backupRoot = path.dirname(this.backupDir);
+    const candidates = this.config.parentBackupId
+      ? [this.config.parentBackupId]
+      : fs
+          .readdirSync(backupRoot)
+          .filter((name) => name !== this.timestamp)
+          .sort()
+          .reverse();
+
+    for (const id of candidates) {
+      const dir = path.join(backupRoot, id);
+      const stub = readBackupSummary(dir, { stubOnly: true });
+      if (!stub) continue;
+      if (
+        stub.backup?.projectName &&
+        stub.backup.projectName !== this.results.metadata.projectName
+      ) {
+        continue;
+      }
+
+      // Watermarks and errors of an encrypted backup need its key
+      const summary = readBackupSummary(dir, { cipher: this.cipher });
+
+      // Tables that failed in a backup may be missing rows its watermarks
+      // claim, so changes are never taken relative to it
+      if (summary.errors?.length > 0) {
+        if (this.config.parentBackupId) {
+          throw new Error(
+            `Parent backup ${id} finished with ${summary.errors.length} errors; pick another parent or run a full backup`
+          );
+        }
+        console.log(
+          `⏭️  Skipping ${id} as parent (${summary.errors.length} errors)`
+        );
+        continue;
+      }
+
+      this.parentBackup = { id, watermarks: summary.watermarks || {} };
+      this.results.metadata.parentBackupId = id;
+      console.log(`🧬 Incremental backup on top of: ${id}`);
+      return;
+    }
+
+    throw new Error(
+      this.config.parentBackupId
+        ? `Parent backup not found: ${this.config.parentBackupId}`
+        : "No previous backup of this project found; run a full backup first"
+    );
+  }
+
   async testConnection() {
     console.log("🔌 Testing database connection and permissions...");
 
+    // Direct mode: the connection is the only data path, so failure is fatal
+    if (this.db) {
+      const [info] = await this.db.query(
+        "SELECT current_setting('server_version') as server_version, current_user as current_user"
+      );
+      console.log(
+        `✅ Database connection verified (direct, PostgreSQL ${info.server_version} as ${info.current_user})`
+      );
+      return;
+    }
+
     let connectionVerified = false;
 
     // Test 1: Try version function (common in most PostgreSQL instances)
@@ -266,6 +538,11 @@ class ProfessionalSupabaseBackup {
 
   // Execute raw SQL queries with multiple fallback methods
   async executeQuery(query) {
+    // Direct mode: full catalog access, errors surface to the calling phase
+    if (this.db) {
+      return await this.db.query(query);
+    }
+
     // Method 1: Try custom exec_sql function (if it exists)
     try {
       const { data, error } = await supabase.rpc("exec_sql", { query });
@@ -419,8 +696,8 @@ class ProfessionalSupabaseBackup {
         pg_stat_get_tuples_deleted(c.oid) as deletes,
         pg_stat_get_live_tuples(c.oid) as live_tuples
       FROM information_schema.tables t
-      LEFT JOIN pg_class c ON c.relname = t.table_name
-      LEFT JOIN pg_namespace n ON n.oid = c.relnamespace AND n.nspname = t.table_schema
+      LEFT JOIN pg_namespace n ON n.nspname = t.table_schema
+      LEFT JOIN pg_class c ON c.relname = t.table_name AND c.relnamespace = n.oid
       WHERE t.table_schema NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
         AND t.table_type = 'BASE TABLE'
       ORDER BY t.table_schema, t.table_name;
@@ -453,6 +730,9 @@ class ProfessionalSupabaseBackup {
 
   // Enhanced REST API table discovery with multiple methods
   async discoverTablesREST() {
+    // The catalog is authoritative over a direct connection
+    if (this.db) return [];
+
     console.log("🔄 Using enhanced REST API fallback for table discovery...");
 
     // Method 1: Try OpenAPI spec discovery
@@ -605,20 +885,43 @@ class ProfessionalSupabaseBackup {
     return [];
   }
 
+  // Drop discovered tables that onlyTables / excludeTables leave out; their
+  // views, triggers, policies, indexes and constraints are skipped as well
+  applyTableSelection() {
+    const tables = this.results.schema.tables;
+    const selected = tables.filter((table) =>
+      this.selection.includes(table.table_schema, table.table_name)
+    );
+    if (selected.length === tables.length) return;
+
+    this.results.schema.excludedTables = tables
+      .filter((table) => !selected.includes(table))
+      .map((table) => `${table.table_schema}.${table.table_name}`);
+    this.results.schema.tables = selected;
+    this.results.statistics.totalTables = selected.length;
+
+    console.log(
+      `⏭️  Left out by table rules: ${this.results.schema.excludedTables.join(", ")}`
+    );
+    console.log(`✅ Backing up ${selected.length} tables`);
+  }
+
   // Get complete table structures with columns
   async analyzeTableStructures() {
     console.log("\n🔍 Phase 3: Analyzing Table Structures");
 
-    const tableStructures = [];
+    const analyzed = await this.forEachTable(
+      this.results.schema.tables,
+      async (table, output) => {
+        let structure = null;
 
-    for (const table of this.results.schema.tables) {
-      try {
-        console.log(
-          `🔍 Analyzing ${table.table_schema}.${table.table_name}...`
-        );
+        try {
+          output.log(
+            `🔍 Analyzing ${table.table_schema}.${table.table_name}...`
+          );
 
-        // Get column information
-        const columnQuery = `
+          // Get column information
+          const columnQuery = `
           SELECT 
             c.column_name,
             c.data_type,
@@ -628,6 +931,7 @@ class ProfessionalSupabaseBackup {
             c.is_nullable,
             c.column_default,
             c.ordinal_position,
+            c.udt_schema,
             c.udt_name,
             pgd.description as column_comment
           FROM information_schema.columns c
@@ -638,49 +942,56 @@ class ProfessionalSupabaseBackup {
           ORDER BY c.ordinal_position;
         `;
 
-        const columns = await this.executeQuery(columnQuery);
-
-        // Fallback: get sample data if columns query fails
-        if (columns.length === 0) {
-          const { data, error } = await supabase
-            .from(table.table_name)
-            .select("*")
-            .limit(1);
-
-          if (data && data.length > 0) {
-            const sampleRow = data[0];
-            const inferredColumns = Object.keys(sampleRow).map(
-              (colName, index) => ({
-                column_name: colName,
-                data_type: this.inferDataType(sampleRow[colName]),
-                ordinal_position: index + 1,
-                is_nullable: sampleRow[colName] === null ? "YES" : "NO",
-              })
-            );
-
-            tableStructures.push({
+          const columns = await this.executeQuery(columnQuery);
+
+          // Fallback: get sample data if columns query fails
+          if (columns.length === 0 && !this.db) {
+            const { data, error } = await supabase
+              .from(table.table_name)
+              .select("*")
+              .limit(1);
+
+            if (data && data.length > 0) {
+              const sampleRow = data[0];
+              const inferredColumns = Object.keys(sampleRow).map(
+                (colName, index) => ({
+                  column_name: colName,
+                  data_type: this.inferDataType(sampleRow[colName]),
+                  ordinal_position: index + 1,
+                  is_nullable: sampleRow[colName] === null ? "YES" : "NO",
+                })
+              );
+
+              structure = {
+                ...table,
+                columns: inferredColumns,
+                column_count: inferredColumns.length,
+              };
+            }
+          } else {
+            structure = {
               ...table,
-              columns: inferredColumns,
-              column_count: inferredColumns.length,
-            });
+              columns,
+              column_count: columns.length,
+            };
           }
-        } else {
-          tableStructures.push({
-            ...table,
-            columns,
-            column_count: columns.length,
-          });
+
+          output.log(`✅ ${table.table_name}: ${columns.length} columns`);
+        } catch (error) {
+          output.error(
+            `❌ Error analyzing ${table.table_name}:`,
+            error.message
+          );
+          output.errors.push(
+            `Table analysis ${table.table_name}: ${error.message}`
+          );
         }
 
-        console.log(`✅ ${table.table_name}: ${columns.length} columns`);
-      } catch (error) {
-        console.error(`❌ Error analyzing ${table.table_name}:`, error.message);
-        this.results.errors.push(
-          `Table analysis ${table.table_name}: ${error.message}`
-        );
+        return structure;
       }
-    }
+    );
 
+    const tableStructures = analyzed.filter(Boolean);
     this.results.schema.tableStructures = tableStructures;
     return tableStructures;
   }
@@ -711,10 +1022,18 @@ class ProfessionalSupabaseBackup {
         pg_get_function_arguments(p.oid) as function_arguments,
         pg_get_function_result(p.oid) as return_type
       FROM information_schema.routines r
-      LEFT JOIN pg_proc p ON p.proname = r.routine_name
-      LEFT JOIN pg_namespace n ON n.oid = p.pronamespace AND n.nspname = r.routine_schema
+      LEFT JOIN pg_namespace n ON n.nspname = r.routine_schema
+      LEFT JOIN pg_proc p ON p.pronamespace = n.oid
+        AND p.proname || '_' || p.oid = r.specific_name
       WHERE r.routine_schema NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
         AND r.routine_type = 'FUNCTION'
+        -- Functions owned by extensions are recreated by CREATE EXTENSION
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend d
+          WHERE d.classid = 'pg_proc'::regclass
+            AND d.objid = p.oid
+            AND d.deptype = 'e'
+        )
       ORDER BY r.routine_schema, r.routine_name;
     `;
 
@@ -725,8 +1044,10 @@ class ProfessionalSupabaseBackup {
       const enhancedFunctions = functions.map((func) => ({
         ...func,
         // Use complete_definition if available, otherwise build from parts
-        full_definition:
-          func.complete_definition || this.buildFunctionDefinition(func),
+        // pg_get_functiondef output has no terminating semicolon
+        full_definition: func.complete_definition
+          ? `${func.complete_definition.trim().replace(/;?$/, ";")}`
+          : this.buildFunctionDefinition(func),
       }));
 
       this.results.schema.functions = enhancedFunctions;
@@ -766,6 +1087,8 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
 
   // Generic function discovery via REST API
   async backupFunctionsFallback() {
+    if (this.db) return;
+
     console.log("🔄 Using generic fallback method for function detection...");
 
     const detectedFunctions = [];
@@ -863,7 +1186,9 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     `;
 
     try {
-      const views = await this.executeQuery(query);
+      const views = (await this.executeQuery(query)).filter((view) =>
+        this.selection.includes(view.view_schema, view.view_name)
+      );
       this.results.schema.views = views;
       this.results.statistics.totalViews = views.length;
 
@@ -903,7 +1228,12 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     `;
 
     try {
-      const triggers = await this.executeQuery(query);
+      const triggers = (await this.executeQuery(query)).filter((trigger) =>
+        this.selection.includes(
+          trigger.event_object_schema,
+          trigger.event_object_table
+        )
+      );
       this.results.schema.triggers = triggers;
       this.results.statistics.totalTriggers = triggers.length;
 
@@ -941,7 +1271,9 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     `;
 
     try {
-      const policies = await this.executeQuery(query);
+      const policies = (await this.executeQuery(query)).filter((policy) =>
+        this.selection.includes(policy.schemaname, policy.tablename)
+      );
       this.results.schema.policies = policies;
       this.results.statistics.totalPolicies = policies.length;
 
@@ -962,6 +1294,8 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
 
   // Fallback RLS detection
   async backupPoliciesFallback() {
+    if (this.db) return;
+
     console.log("🔄 Using fallback method for RLS policy detection...");
 
     const policies = [];
@@ -1011,7 +1345,9 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     `;
 
     try {
-      const indexes = await this.executeQuery(query);
+      const indexes = (await this.executeQuery(query)).filter((index) =>
+        this.selection.includes(index.schemaname, index.tablename)
+      );
       this.results.schema.indexes = indexes;
       this.results.statistics.totalIndexes = indexes.length;
 
@@ -1022,11 +1358,151 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     }
   }
 
+  // Get table constraints (PK, FK, UNIQUE, CHECK, EXCLUDE) with full definitions
+  async backupConstraints() {
+    if (!this.config.includeConstraints) return;
+
+    console.log("\n🔗 Phase 9: Backing Up Table Constraints");
+
+    const query = `
+      SELECT
+        n.nspname as table_schema,
+        cl.relname as table_name,
+        c.conname as constraint_name,
+        CASE c.contype
+          WHEN 'p' THEN 'PRIMARY KEY'
+          WHEN 'f' THEN 'FOREIGN KEY'
+          WHEN 'u' THEN 'UNIQUE'
+          WHEN 'c' THEN 'CHECK'
+          WHEN 'x' THEN 'EXCLUDE'
+        END as constraint_type,
+        pg_get_constraintdef(c.oid) as constraint_definition,
+        c.condeferrable as is_deferrable,
+        c.condeferred as initially_deferred,
+        CASE WHEN c.contype IN ('p', 'u', 'x') THEN ic.relname END as index_name,
+        fn.nspname as foreign_table_schema,
+        fcl.relname as foreign_table_name,
+        array(
+          SELECT a.attname
+          FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        ) as column_names,
+        array(
+          SELECT a.attname
+          FROM unnest(c.confkey) WITH ORDINALITY AS k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        ) as foreign_column_names
+      FROM pg_constraint c
+      JOIN pg_class cl ON cl.oid = c.conrelid
+      JOIN pg_namespace n ON n.oid = cl.relnamespace
+      LEFT JOIN pg_class ic ON ic.oid = c.conindid
+      LEFT JOIN pg_class fcl ON fcl.oid = c.confrelid
+      LEFT JOIN pg_namespace fn ON fn.oid = fcl.relnamespace
+      WHERE n.nspname NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
+        AND c.contype IN ('p', 'f', 'u', 'c', 'x')
+        AND c.conislocal
+      ORDER BY n.nspname, cl.relname, c.contype, c.conname;
+    `;
+
+    try {
+      let constraints = await this.executeQuery(query);
+
+      // Fallback: get_constraints() helper from required-supabase.sql
+      if (constraints.length === 0) {
+        constraints = await this.backupConstraintsFallback();
+      }
+
+      // A restore could not create a foreign key to a table left out
+      const excluded = new Set(this.results.schema.excludedTables);
+      constraints = constraints.filter((con) => {
+        if (!this.selection.includes(con.table_schema, con.table_name)) {
+          return false;
+        }
+        if (
+          con.foreign_table_name &&
+          excluded.has(`${con.foreign_table_schema}.${con.foreign_table_name}`)
+        ) {
+          const warning = `Foreign key ${con.constraint_name} on ${con.table_schema}.${con.table_name} references ${con.foreign_table_schema}.${con.foreign_table_name}, which the table rules leave out; skipped`;
+          console.log(`   ⚠️  ${warning}`);
+          this.results.warnings.push(warning);
+          return false;
+        }
+        return true;
+      });
+
+      this.results.schema.constraints = constraints;
+      this.results.statistics.totalConstraints = constraints.length;
+
+      const byType = constraints.reduce((acc, con) => {
+        acc[con.constraint_type] = (acc[con.constraint_type] || 0) + 1;
+        return acc;
+      }, {});
+
+      console.log(`✅ Found ${constraints.length} constraints`);
+      Object.entries(byType).forEach(([type, count]) => {
+        console.log(`   🔗 ${type}: ${count}`);
+      });
+    } catch (error) {
+      console.error("❌ Error backing up constraints:", error.message);
+      this.results.errors.push(`Constraint backup: ${error.message}`);
+    }
+  }
+
+  // Fallback constraint discovery via the get_constraints() RPC helper
+  async backupConstraintsFallback() {
+    if (this.db) return [];
+
+    try {
+      const { data, error } = await supabase.rpc("get_constraints");
+      if (error || !Array.isArray(data)) return [];
+
+      const seen = new Set();
+      return data
+        .filter((row) => {
+          // information_schema also lists NOT NULL checks, which have no definition
+          const key = `${row.schema_name}.${row.table_name}.${row.constraint_name}`;
+          if (!row.constraint_definition || seen.has(key)) return false;
+          if (this.config.excludeSchemas.includes(row.schema_name)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map((row) => {
+          // pg_get_constraintdef omits the schema when it is on the search_path
+          const ref = /REFERENCES\s+(?:"?([\w$]+)"?\.)?"?([\w$]+)"?/.exec(
+            row.constraint_definition
+          );
+
+          return {
+            table_schema: row.schema_name,
+            table_name: row.table_name,
+            constraint_name: row.constraint_name,
+            constraint_type: row.metadata?.constraint_type,
+            constraint_definition: row.constraint_definition,
+            is_deferrable: row.metadata?.is_deferrable === "YES",
+            initially_deferred: row.metadata?.initially_deferred === "YES",
+            index_name: ["PRIMARY KEY", "UNIQUE"].includes(
+              row.metadata?.constraint_type
+            )
+              ? row.constraint_name
+              : null,
+            foreign_table_schema: ref ? ref[1] || "public" : null,
+            foreign_table_name: ref ? ref[2] : null,
+            column_names: row.metadata?.column_names || [],
+          };
+        });
+    } catch (err) {
+      // get_constraints() not installed
+      return [];
+    }
+  }
+
   // Get database enums
   async backupEnums() {
     if (!this.config.includeEnums) return;
 
-    console.log("\n📋 Phase 9: Backing Up Database Enums");
+    console.log("\n📋 Phase 10: Backing Up Database Enums");
 
     const query = `
       SELECT 
@@ -1066,6 +1542,11 @@ ${func.function_comment ? `\nCOMMENT ON FUNCTION "${func.routine_schema}"."${fun
     }
   }
 
+  // Build constraint definition
+  buildConstraintDefinition(con) {
+    return `ALTER TABLE "${con.table_schema}"."${con.table_name}" ADD CONSTRAINT "${con.constraint_name}" ${con.constraint_definition};`;
+  }
+
   // Build enum definition
   buildEnumDefinition(enumType) {
     const values = enumType.enum_values
@@ -1080,7 +1561,7 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
   async backupSequences() {
     if (!this.config.includeSequences) return;
 
-    console.log("\n🔢 Phase 10: Backing Up Database Sequences");
+    console.log("\n🔢 Phase 11: Backing Up Database Sequences");
 
     const query = `
       SELECT 
@@ -1094,7 +1575,13 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
         minimum_value,
         maximum_value,
         increment,
-        cycle_option
+        cycle_option,
+        (
+          SELECT ps.last_value
+          FROM pg_sequences ps
+          WHERE ps.schemaname = sequence_schema
+            AND ps.sequencename = sequence_name
+        ) AS last_value
       FROM information_schema.sequences
       WHERE sequence_schema NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
       ORDER BY sequence_schema, sequence_name;
@@ -1112,30 +1599,238 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
     }
   }
 
+  // Get installed extensions with their schema and version
+  async backupExtensions() {
+    if (!this.config.includeExtensions) return;
+
+    console.log("\n🧩 Phase 12: Backing Up Installed Extensions");
+
+    const query = `
+      SELECT
+        e.extname as extension_name,
+        n.nspname as extension_schema,
+        e.extversion as extension_version,
+        e.extrelocatable as is_relocatable,
+        obj_description(e.oid, 'pg_extension') as extension_comment
+      FROM pg_extension e
+      JOIN pg_namespace n ON n.oid = e.extnamespace
+      WHERE e.extname <> 'plpgsql'
+      ORDER BY e.oid;
+    `;
+
+    try {
+      const extensions = await this.executeQuery(query);
+      this.results.schema.extensions = extensions;
+      this.results.statistics.totalExtensions = extensions.length;
+
+      console.log(`✅ Found ${extensions.length} extensions`);
+      extensions.forEach((ext) => {
+        console.log(
+          `   🧩 ${ext.extension_name} ${ext.extension_version} (schema: ${ext.extension_schema})`
+        );
+      });
+    } catch (error) {
+      console.error("❌ Error backing up extensions:", error.message);
+      this.results.errors.push(`Extension backup: ${error.message}`);
+    }
+  }
+
+  // Read object dependencies from pg_depend/pg_rewrite and resolve restore order
+  async backupDependencies() {
+    console.log("\n🕸️  Phase 13: Resolving Object Dependencies");
+
+    const relationType = (alias) => `
+      CASE ${alias}.relkind
+        WHEN 'v' THEN 'view'
+        WHEN 'm' THEN 'view'
+        WHEN 'S' THEN 'sequence'
+        ELSE 'table'
+      END`;
+
+    const query = `
+      SELECT DISTINCT
+        dependent_type, dependent_schema, dependent_name,
+        referenced_type, referenced_schema, referenced_name
+      FROM (
+        -- Views -> relations and functions used by their rewrite rule
+        SELECT
+          'view' as dependent_type,
+          vn.nspname as dependent_schema,
+          v.relname as dependent_name,
+          CASE WHEN p.oid IS NOT NULL THEN 'function' ELSE ${relationType("rc")} END as referenced_type,
+          COALESCE(rn.nspname, pn.nspname) as referenced_schema,
+          COALESCE(rc.relname, p.proname) as referenced_name
+        FROM pg_depend d
+        JOIN pg_rewrite r ON d.classid = 'pg_rewrite'::regclass AND r.oid = d.objid
+        JOIN pg_class v ON v.oid = r.ev_class
+        JOIN pg_namespace vn ON vn.oid = v.relnamespace
+        LEFT JOIN pg_class rc ON d.refclassid = 'pg_class'::regclass AND rc.oid = d.refobjid
+          AND rc.relkind IN ('r', 'p', 'v', 'm', 'S')
+        LEFT JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+        LEFT JOIN pg_proc p ON d.refclassid = 'pg_proc'::regclass AND p.oid = d.refobjid
+        LEFT JOIN pg_namespace pn ON pn.oid = p.pronamespace
+        WHERE d.refobjid <> r.ev_class
+          AND (rc.oid IS NOT NULL OR p.oid IS NOT NULL)
+
+        UNION ALL
+
+        -- Tables -> sequences and functions used by column defaults
+        SELECT
+          'table',
+          tn.nspname,
+          t.relname,
+          CASE WHEN p.oid IS NOT NULL THEN 'function' ELSE 'sequence' END,
+          COALESCE(sn.nspname, pn.nspname),
+          COALESCE(s.relname, p.proname)
+        FROM pg_depend d
+        JOIN pg_attrdef ad ON d.classid = 'pg_attrdef'::regclass AND ad.oid = d.objid
+        JOIN pg_class t ON t.oid = ad.adrelid
+        JOIN pg_namespace tn ON tn.oid = t.relnamespace
+        LEFT JOIN pg_class s ON d.refclassid = 'pg_class'::regclass AND s.oid = d.refobjid
+          AND s.relkind = 'S'
+        LEFT JOIN pg_namespace sn ON sn.oid = s.relnamespace
+        LEFT JOIN pg_proc p ON d.refclassid = 'pg_proc'::regclass AND p.oid = d.refobjid
+        LEFT JOIN pg_namespace pn ON pn.oid = p.pronamespace
+        WHERE s.oid IS NOT NULL OR p.oid IS NOT NULL
+
+        UNION ALL
+
+        -- Tables -> functions used by CHECK constraints
+        SELECT 'table', tn.nspname, t.relname, 'function', pn.nspname, p.proname
+        FROM pg_depend d
+        JOIN pg_constraint c ON d.classid = 'pg_constraint'::regclass AND c.oid = d.objid
+        JOIN pg_class t ON t.oid = c.conrelid
+        JOIN pg_namespace tn ON tn.oid = t.relnamespace
+        JOIN pg_proc p ON d.refclassid = 'pg_proc'::regclass AND p.oid = d.refobjid
+        JOIN pg_namespace pn ON pn.oid = p.pronamespace
+
+        UNION ALL
+
+        -- Functions -> row types in their signature, and objects used by
+        -- SQL-standard (BEGIN ATOMIC) bodies
+        SELECT
+          'function',
+          pn.nspname,
+          p.proname,
+          CASE WHEN rp.oid IS NOT NULL THEN 'function' ELSE ${relationType("rc")} END,
+          COALESCE(rn.nspname, rpn.nspname),
+          COALESCE(rc.relname, rp.proname)
+        FROM pg_depend d
+        JOIN pg_proc p ON d.classid = 'pg_proc'::regclass AND p.oid = d.objid
+        JOIN pg_namespace pn ON pn.oid = p.pronamespace
+        LEFT JOIN pg_type ty ON d.refclassid = 'pg_type'::regclass AND ty.oid = d.refobjid
+        LEFT JOIN pg_class rc ON rc.relkind IN ('r', 'p', 'v', 'm', 'S') AND rc.oid =
+          CASE WHEN d.refclassid = 'pg_class'::regclass THEN d.refobjid ELSE ty.typrelid END
+        LEFT JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+        LEFT JOIN pg_proc rp ON d.refclassid = 'pg_proc'::regclass AND rp.oid = d.refobjid
+          AND rp.oid <> p.oid
+        LEFT JOIN pg_namespace rpn ON rpn.oid = rp.pronamespace
+        WHERE rc.oid IS NOT NULL OR rp.oid IS NOT NULL
+      ) deps
+      WHERE dependent_schema NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
+        AND referenced_schema NOT IN (${this.config.excludeSchemas.map((s) => `'${s}'`).join(",")})
+      ORDER BY dependent_schema, dependent_name, referenced_schema, referenced_name;
+    `;
+
+    try {
+      const dependencies = await this.executeQuery(query);
+      this.results.schema.dependencies = dependencies;
+
+      if (dependencies.length === 0) {
+        console.log(
+          "   ℹ️  Catalog dependencies unavailable, inferring from definitions"
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error reading dependencies:", error.message);
+      this.results.errors.push(`Dependency backup: ${error.message}`);
+    }
+
+    this.restorePlan = this.buildRestorePlan();
+    const plan = this.restorePlan;
+
+    console.log(
+      `✅ Ordered ${plan.objects.length} schema objects and ${plan.tables.length} tables`
+    );
+    plan.cycles.forEach((cycle) => {
+      const message = `Dependency cycle (${cycle.kind}): ${cycle.path.join(" -> ")}`;
+      console.log(`   ⚠️  ${message}`);
+      this.results.warnings.push(message);
+    });
+    if (plan.deferredForeignKeys.length > 0) {
+      console.log(
+        `   🔗 ${plan.deferredForeignKeys.length} foreign keys deferred to break cycles`
+      );
+    }
+  }
+
+  // Run per-table work through a pool of `concurrency` workers. Each table's
+  // console output is printed as one block, and its warnings and errors are
+  // recorded in table order so results do not depend on completion order.
+  async forEachTable(tables, worker) {
+    const concurrency = this.config.concurrency;
+
+    const outputs = await mapWithConcurrency(
+      tables,
+      concurrency,
+      async (table, i) => {
+        const output = new TaskOutput({ buffered: concurrency > 1 });
+        try {
+          output.result = await worker(table, output, i);
+        } finally {
+          output.flush();
+        }
+        return output;
+      }
+    );
+
+    outputs.forEach((output) => {
+      this.results.warnings.push(...output.warnings);
+      this.results.errors.push(...output.errors);
+    });
+
+    return outputs.map((output) => output.result);
+  }
+
   // Data backup with enhanced progress tracking
   async backupAllData() {
     if (!this.config.includeData) return;
 
-    console.log("\n💾 Phase 11: Backing Up All Table Data");
+    console.log("\n💾 Phase 14: Backing Up All Table Data");
 
+    const tables = this.results.schema.tables;
+    if (this.config.subset) {
+      await this.planSubset(tables);
+    }
+    const tableCount = tables.length;
+    let completed = 0;
     let totalRowsBackedUp = 0;
-    const tableCount = this.results.schema.tables.length;
 
-    for (let i = 0; i < tableCount; i++) {
-      const table = this.results.schema.tables[i];
-      console.log(
+    await this.forEachTable(tables, async (table, output, i) => {
+      output.log(
         `\n📊 [${i + 1}/${tableCount}] Processing ${table.table_schema}.${table.table_name}`
       );
 
-      const rowsBackedUp = await this.backupTableData(table);
+      const rowsBackedUp = await this.backupTableData(table, output);
       totalRowsBackedUp += rowsBackedUp;
+      completed++;
 
       // Progress indicator
-      const progress = Math.round(((i + 1) / tableCount) * 100);
-      console.log(
-        `   Progress: ${progress}% (${i + 1}/${tableCount} tables, ${totalRowsBackedUp.toLocaleString()} total rows)`
+      const progress = Math.round((completed / tableCount) * 100);
+      output.log(
+        `   Progress: ${progress}% (${completed}/${tableCount} tables, ${totalRowsBackedUp.toLocaleString()} total rows)`
       );
-    }
+    });
+
+    // Tables finish in any order; keep results.data in discovery order
+    const orderedData = {};
+    tables.forEach((table) => {
+      const key = `${table.table_schema}.${table.table_name}`;
+      if (this.results.data[key]) {
+        orderedData[key] = this.results.data[key];
+      }
+    });
+    this.results.data = orderedData;
 
     this.results.statistics.totalRows = totalRowsBackedUp;
     console.log(
@@ -1143,122 +1838,1035 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
     );
   }
 
-  async backupTableData(table) {
+  // Rows of the subset: the roots' rows, every row they reference through
+  // foreign keys and, with followChildren, the rows referencing the roots
+  async planSubset(tables) {
+    const { roots, followChildren = false } = this.config.subset;
+    console.log(
+      `🧩 Selecting a referentially consistent subset${followChildren ? " (with children)" : ""}...`
+    );
+
+    const keyed = new Map();
+    const leftOut = [];
+    tables.forEach((table) => {
+      if (!this.selection.includesData(table.table_schema, table.table_name)) {
+        return;
+      }
+      const name = `${table.table_schema}.${table.table_name}`;
+      const paging = this.getPagingStrategy(table);
+      if (paging.mode === "keyset") {
+        keyed.set(name, paging.columns);
+      } else {
+        const warning = `${name}: no primary key or NOT NULL unique key, left out of the subset`;
+        console.log(`   ⚠️  ${warning}`);
+        this.results.warnings.push(warning);
+        leftOut.push(name);
+      }
+    });
+
+    const resolved = resolveRoots(roots, [...keyed.keys()]);
+    if (resolved.length === 0) {
+      const warning = `Subset roots match no table with a primary key: ${Object.keys(roots).join(", ")}`;
+      console.log(`   ⚠️  ${warning}`);
+      this.results.warnings.push(warning);
+    }
+
+    const planner = new SubsetPlanner(this.db, {
+      tables: keyed,
+      leftOut,
+      foreignKeys: (this.results.schema.constraints || []).filter(
+        (con) => con.constraint_type === "FOREIGN KEY"
+      ),
+      conditions: (filters, params) =>
+        this.buildFilterConditions(filters, params),
+      followChildren,
+      log: (message) => console.log(`   ${message}`),
+    });
+    planner.outsideKeys
+      .filter((fk) => !leftOut.includes(fk.parent))
+      .forEach((fk) => {
+        const warning = `${fk.child} references ${fk.parent} (${fk.name}), whose data is not in this backup; restore where those rows exist`;
+        console.log(`   ⚠️  ${warning}`);
+        this.results.warnings.push(warning);
+      });
+    this.subsetPlan = await planner.plan(resolved);
+
+    const rows = Object.fromEntries(
+      [...this.subsetPlan].map(([name, keys]) => [name, keys.length])
+    );
+    this.results.metadata.subset = { roots, followChildren, rows };
+
+    const total = Object.values(rows).reduce((sum, count) => sum + count, 0);
+    console.log(
+      `✅ Subset: ${total.toLocaleString()} rows in ${Object.values(rows).filter(Boolean).length} tables`
+    );
+  }
+
+  describeSubset() {
+    const { roots, followChildren } = this.results.metadata.subset;
+    const names = Object.keys(roots).map((root) => `\`${root}\``);
+    return `rows of ${names.join(", ")} and the rows they reference${followChildren ? " or that reference them" : ""}`;
+  }
+
+  async backupTableData(table, output = new TaskOutput()) {
     const tableName = table.table_name;
+    // results.data and sqlDataParts key: tables of the same name in different
+    // schemas must not overwrite each other
+    const key = `${table.table_schema}.${tableName}`;
+    const entry = { schema: table.table_schema, table: tableName };
 
     try {
       // Skip excluded tables
-      if (
-        this.config.excludeDataTables.some(
-          (excluded) =>
-            tableName.includes(excluded.split(".").pop()) ||
-            excluded.includes(tableName)
-        )
-      ) {
-        console.log(`   ⏭️  Skipping ${tableName} (excluded)`);
-        this.results.data[tableName] = {
+      if (!this.selection.includesData(table.table_schema, tableName)) {
+        output.log(`   ⏭️  Skipping ${tableName} (excluded)`);
+        this.results.data[key] = {
+          ...entry,
           skipped: true,
           reason: "excluded table",
         };
         return 0;
       }
 
+      const paging = this.getPagingStrategy(table);
+      const excludedColumns = this.applyColumnExclusions(table, paging, output);
+      const masking = this.masker.forTable(
+        table.table_schema,
+        tableName,
+        (this.findTableStructure(table)?.columns || [])
+          .map((col) => col.column_name)
+          .filter((col) => !excludedColumns.includes(col))
+      );
+      if (masking) {
+        output.log(
+          `   🎭 Masking: ${Object.entries(masking.columns)
+            .map(([col, strategy]) => `${col} (${strategy})`)
+            .join(", ")}`
+        );
+      }
+      const changeTracking = await this.getChangeTracking(table, paging);
+
+      if (changeTracking.warning) {
+        output.log(`   ⚠️  ${changeTracking.warning}`);
+        output.warnings.push(changeTracking.warning);
+      }
+
+      // Incremental tables only read rows changed since the parent backup
+      paging.filters =
+        changeTracking.strategy === "incremental"
+          ? [
+              {
+                column: changeTracking.column,
+                operator: "gt",
+                value: changeTracking.since,
+              },
+            ]
+          : [];
+
+      const rowFilter = this.rowFilters.forTable(table.table_schema, tableName);
+      if (rowFilter) {
+        if (rowFilter.syntax === "sql" && !this.db) {
+          throw new Error(
+            `SQL row filter needs a direct connection (--db-url); use PostgREST syntax such as status=neq.archived`
+          );
+        }
+        paging.filters.unshift(...rowFilter.filters);
+        this.results.metadata.rowFilters[`${table.table_schema}.${tableName}`] =
+          rowFilter.text;
+        output.log(`   🔎 Row filter: ${rowFilter.text}`);
+      }
+
+      if (this.subsetPlan) {
+        const name = `${table.table_schema}.${tableName}`;
+        paging.filters.unshift({
+          table: name,
+          columns: paging.columns,
+          keys: this.subsetPlan.get(name) || [],
+        });
+      }
+
+      if (changeTracking.strategy === "incremental") {
+        output.log(
+          `   🧬 Changes since ${changeTracking.since} (${changeTracking.column})`
+        );
+      }
+
       // Get row count
       let count = 0;
       try {
-        const { count: rowCount, error: countError } = await supabase
-          .from(tableName)
-          .select("*", { count: "exact", head: true });
+        const { count: rowCount, error: countError } =
+          await this.countTableRows(table, paging.filters);
 
         if (!countError) count = rowCount;
       } catch (countErr) {
-        console.log(
+        output.log(
           `   ⚠️  Cannot count ${tableName}, proceeding with data fetch`
         );
       }
 
       if (count === 0) {
-        const { data: testData, error } = await supabase
-          .from(tableName)
-          .select("*")
-          .limit(1);
+        const { data: testData, error } = await this.fetchTableRows(
+          table,
+          paging,
+          {},
+          1
+        );
         if (error) {
-          console.log(`   ❌ Cannot access ${tableName}: ${error.message}`);
-          this.results.data[tableName] = { error: error.message };
+          output.log(`   ❌ Cannot access ${tableName}: ${error.message}`);
+          this.results.data[key] = { ...entry, error: error.message };
           return 0;
         }
         count = testData?.length || 0;
       }
 
       if (count === 0) {
-        console.log(`   📊 ${tableName}: 0 rows`);
-        this.results.data[tableName] = { data: [], rowCount: 0 };
+        output.log(`   📊 ${tableName}: 0 rows`);
+        this.results.data[key] = {
+          ...entry,
+          rowCount: 0,
+          rowFilter: rowFilter?.text || null,
+          changeTracking,
+        };
         return 0;
       }
 
-      // Apply limits
-      const maxRows = Math.min(count, this.config.maxRowsPerTable);
-      if (count > this.config.maxRowsPerTable) {
-        console.log(
+      // Apply limits; a subset keeps every row it selected, or references
+      // into it would dangle
+      const rowLimit = this.subsetPlan ? Infinity : this.config.maxRowsPerTable;
+      const maxRows = Math.min(count, rowLimit);
+      if (count > rowLimit) {
+        output.log(
           `   ⚠️  ${tableName}: ${count.toLocaleString()} rows (limiting to ${maxRows.toLocaleString()})`
         );
+        if (changeTracking.column) {
+          output.warnings.push(
+            `${key}: limited to ${maxRows.toLocaleString()} of ${count.toLocaleString()} rows, no watermark recorded (the next incremental backup copies it in full)`
+          );
+        }
+      }
+
+      if (paging.mode === "offset") {
+        const warning = `${table.table_schema}.${tableName}: ${paging.reason}, falling back to ordered offset paging`;
+        output.log(`   ⚠️  ${warning}`);
+        output.warnings.push(warning);
       }
 
-      // Fetch data in chunks
+      // Fetch data in chunks; each chunk goes straight to the export writers
       const chunkSize = 1000;
-      let allData = [];
+      let writers = null;
       let fetched = 0;
+      let cursor = {};
 
-      console.log(`   📥 Fetching ${maxRows.toLocaleString()} rows...`);
+      output.log(
+        `   📥 Fetching ${maxRows.toLocaleString()} rows (${paging.mode === "keyset" ? `keyset on ${paging.columns.join(", ")}` : "ordered offsets"})...`
+      );
 
-      while (fetched < maxRows) {
-        const currentChunkSize = Math.min(chunkSize, maxRows - fetched);
+      let complete = false;
+      try {
+        while (fetched < maxRows) {
+          const currentChunkSize = Math.min(chunkSize, maxRows - fetched);
+
+          const { data: chunk, error } = await this.fetchTableRows(
+            table,
+            paging,
+            cursor,
+            currentChunkSize
+          );
 
-        const { data: chunk, error } = await supabase
-          .from(tableName)
-          .select("*")
-          .range(fetched, fetched + currentChunkSize - 1);
+          if (error) {
+            throw new Error(
+              `fetch failed after ${fetched.toLocaleString()} rows: ${error.message}`
+            );
+          }
 
-        if (error) {
-          console.error(`   ❌ Error fetching ${tableName}:`, error.message);
-          break;
+          if (!chunk || chunk.length === 0) break;
+
+          if (!writers) {
+            writers = this.openDataWriters(table, {
+              // Changed rows replace the versions restored from the parent
+              conflictColumns:
+                changeTracking.strategy === "incremental"
+                  ? paging.columns
+                  : null,
+            });
+          }
+          // Key columns are fetched for paging even when excluded, and the
+          // cursor below is taken from the unmasked rows
+          let rows = paging.omit
+            ? chunk.map((row) => omitColumns(row, paging.omit))
+            : chunk;
+          if (masking) rows = masking.maskRows(rows);
+          for (const writer of Object.values(writers)) {
+            await writer.writeRows(rows);
+          }
+          fetched += chunk.length;
+
+          const lastRow = chunk[chunk.length - 1];
+          cursor = {
+            offset: fetched,
+            lastKey: paging.columns.map((col) => lastRow[col]),
+          };
+
+          // Progress for large tables
+          if (maxRows > 5000) {
+            const progress = Math.round((fetched / maxRows) * 100);
+            output.progress(
+              `\r   📥 Fetching: ${fetched.toLocaleString()}/${maxRows.toLocaleString()} (${progress}%)`
+            );
+          }
+        }
+        complete = true;
+      } finally {
+        if (writers) {
+          for (const writer of Object.values(writers)) {
+            await writer.close();
+            // A partly fetched table must not pass for a complete one
+            if (!complete) fs.rmSync(writer.filePath, { force: true });
+          }
+        }
+      }
+
+      if (maxRows > 5000) output.progress("\n"); // New line after progress
+
+      output.log(
+        `   ✅ ${tableName}: ${fetched.toLocaleString()} rows backed up`
+      );
+
+      const files = {};
+      if (writers?.json) files.json = this.relativePath(writers.json.filePath);
+      if (writers?.csv) files.csv = this.relativePath(writers.csv.filePath);
+      if (writers?.sql) this.sqlDataParts.set(key, writers.sql.filePath);
+
+      this.results.data[key] = {
+        ...entry,
+        columns: writers?.sql?.columns || writers?.csv?.columns || [],
+        paging: { mode: paging.mode, columns: paging.columns },
+        excludedColumns,
+        maskedColumns: masking ? masking.columns : null,
+        rowFilter: rowFilter?.text || null,
+        changeTracking,
+        rowCount: fetched,
+        totalRows: count,
+        wasLimited: count > rowLimit,
+        backupTimestamp: new Date().toISOString(),
+        files,
+      };
+
+      return fetched;
+    } catch (error) {
+      output.error(`   ❌ Exception backing up ${tableName}:`, error.message);
+      this.results.data[key] = { ...entry, error: error.message };
+      output.errors.push(`Data backup ${tableName}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  findTableStructure(table) {
+    return (this.results.schema.tableStructures || []).find(
+      (item) =>
+        item.table_schema === table.table_schema &&
+        item.table_name === table.table_name
+    );
+  }
+
+  // Narrow paging.select to the columns excludeColumns keeps. Keyset columns
+  // are still read (and listed in paging.omit) so paging keeps working.
+  // Returns the excluded column names.
+  applyColumnExclusions(table, paging, output) {
+    const columns = this.findTableStructure(table)?.columns || [];
+    const excluded = this.selection.excludedColumns(
+      table.table_schema,
+      table.table_name,
+      columns.map((col) => col.column_name)
+    );
+    if (excluded.length === 0) return [];
+
+    if (paging.mode === "offset") {
+      paging.columns = paging.columns.filter((col) => !excluded.includes(col));
+    }
+    paging.select = columns
+      .map((col) => col.column_name)
+      .filter((col) => !excluded.includes(col) || paging.columns.includes(col));
+    const omit = excluded.filter((col) => paging.columns.includes(col));
+    if (omit.length > 0) paging.omit = omit;
+
+    output.log(`   ✂️  Leaving out columns: ${excluded.join(", ")}`);
+    columns
+      .filter(
+        (col) =>
+          excluded.includes(col.column_name) &&
+          col.is_nullable === "NO" &&
+          col.column_default === null
+      )
+      .forEach((col) => {
+        const warning = `${table.table_schema}.${table.table_name}.${col.column_name} is NOT NULL without a default; restoring this table's data will fail without it`;
+        output.log(`   ⚠️  ${warning}`);
+        output.warnings.push(warning);
+      });
+
+    return excluded;
+  }
+
+  // Count table rows through the direct connection or the REST API
+  async countTableRows(table, filters = []) {
+    if (this.db) {
+      const params = [];
+      const conditions = this.buildFilterConditions(filters, params);
+      const where = conditions.length
+        ? ` WHERE ${conditions.join(" AND ")}`
+        : "";
+
+      try {
+        const [row] = await this.db.query(
+          `SELECT count(*)::bigint as count FROM ${quoteIdent(table.table_schema)}.${quoteIdent(table.table_name)}${where}`,
+          params
+        );
+        return { count: Number(row.count), error: null };
+      } catch (error) {
+        return { count: null, error };
+      }
+    }
+
+    return await this.applyRowFilters(
+      supabase
+        .from(table.table_name)
+        .select("*", { count: "exact", head: true }),
+      filters
+    );
+  }
+
+  // SQL conditions for row filters; values are appended to params
+  buildFilterConditions(filters, params) {
+    return filters.map((filter) => {
+      if (filter.sql) return `(${filter.sql})`;
+      if (filter.keys) {
+        params.push(JSON.stringify(filter.keys));
+        return keysCondition(
+          null,
+          filter.table,
+          filter.columns,
+          `$${params.length}`
+        );
+      }
+      if (filter.operator === "is") {
+        return `${quoteIdent(filter.column)} IS ${String(filter.value).toUpperCase()}`;
+      }
+      params.push(filter.value);
+      const placeholder =
+        filter.operator === "in" ? `($${params.length})` : `$${params.length}`;
+      return `${quoteIdent(filter.column)} ${FILTER_OPERATORS[filter.operator]} ${placeholder}`;
+    });
+  }
+
+  applyRowFilters(query, filters) {
+    return filters.reduce(
+      (current, filter) =>
+        current[filter.operator](filter.column, filter.value),
+      query
+    );
+  }
+
+  // Change column and watermark for incremental backups. Every table with a
+  // change column records its watermark, so any backup can become a parent.
+  async getChangeTracking(table, paging) {
+    const tableKey = `${table.table_schema}.${table.table_name}`;
+    const structure = (this.results.schema.tableStructures || []).find(
+      (item) =>
+        item.table_schema === table.table_schema &&
+        item.table_name === table.table_name
+    );
+    const columnNames = (structure?.columns || []).map(
+      (col) => col.column_name
+    );
+
+    const column =
+      this.config.tableChangeColumns[tableKey] ||
+      this.config.changeColumns.find((col) => columnNames.includes(col));
+
+    if (!column) {
+      return {
+        strategy: "full",
+        column: null,
+        since: null,
+        watermark: null,
+        warning: this.parentBackup
+          ? `${tableKey}: no change column, copied in full`
+          : null,
+      };
+    }
+
+    // Taken before fetching: rows changed during the fetch are picked up by
+    // the next incremental backup instead of being missed
+    const { value: watermark, error } = await this.getWatermark(table, column);
+    if (error) {
+      return {
+        strategy: "full",
+        column: null,
+        since: null,
+        watermark: null,
+        warning: `${tableKey}: cannot read change column ${column} (${error.message}), copied in full`,
+      };
+    }
+
+    const parentMark = this.parentBackup?.watermarks[tableKey];
+    const since =
+      parentMark?.column === column && parentMark.value != null
+        ? parentMark.value
+        : null;
+
+    let strategy = since !== null ? "incremental" : "full";
+    let warning = null;
+
+    if (strategy === "incremental" && paging.mode !== "keyset") {
+      // Upserts need a key to merge on
+      strategy = "full";
+      warning = `${tableKey}: no primary key to merge changes on, copied in full`;
+    } else if (this.parentBackup && strategy === "full") {
+      warning = `${tableKey}: no watermark in parent backup, copied in full`;
+    }
+
+    return { strategy, column, since, watermark, warning };
+  }
+
+  // Highest value of the change column, as text
+  async getWatermark(table, column) {
+    if (this.db) {
+      try {
+        const [row] = await this.db.query(
+          `SELECT max(${quoteIdent(column)})::text as value FROM ${quoteIdent(table.table_schema)}.${quoteIdent(table.table_name)}`
+        );
+        return { value: row.value, error: null };
+      } catch (error) {
+        return { value: null, error };
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(table.table_name)
+      .select(column)
+      .not(column, "is", null)
+      .order(column, { ascending: false })
+      .limit(1);
+
+    return { value: data?.[0]?.[column] ?? null, error };
+  }
+
+  // Choose how to page through a table: keyset on the primary key (or a
+  // unique key over NOT NULL columns), else ordered offsets. Over REST the
+  // offsets are ordered by every sortable column.
+  getPagingStrategy(table) {
+    const isTable = (item) =>
+      item.table_schema === table.table_schema &&
+      item.table_name === table.table_name;
+
+    const structure = (this.results.schema.tableStructures || []).find(isTable);
+    const columns = structure?.columns || [];
+    const notNull = new Set(
+      columns
+        .filter((col) => col.is_nullable === "NO")
+        .map((col) => col.column_name)
+    );
+
+    const keys = (this.results.schema.constraints || []).filter(
+      (con) =>
+        isTable(con) &&
+        con.column_names?.length > 0 &&
+        (con.constraint_type === "PRIMARY KEY" ||
+          (con.constraint_type === "UNIQUE" &&
+            con.column_names.every((col) => notNull.has(col))))
+    );
+    const key =
+      keys.find((con) => con.constraint_type === "PRIMARY KEY") || keys[0];
+
+    if (key) {
+      return { mode: "keyset", columns: key.column_names };
+    }
+
+    return {
+      mode: "offset",
+      columns: columns
+        .filter((col) => !UNSORTABLE_TYPES.includes(col.data_type))
+        .map((col) => col.column_name),
+      reason: this.config.includeConstraints
+        ? "no primary key or NOT NULL unique key"
+        : "constraint discovery is disabled",
+    };
+  }
+
+  // Fetch the next `limit` rows matching paging.filters, returning
+  // { data, error }. The cursor holds the last key seen (keyset paging) or
+  // the number of rows already read. paging.select limits the columns.
+  async fetchTableRows(table, paging, cursor, limit) {
+    const keyset = paging.mode === "keyset" && cursor.lastKey;
+
+    if (this.db) {
+      // ctid gives offset pages a total order even when column values repeat
+      const orderBy =
+        paging.mode === "keyset"
+          ? ` ORDER BY ${paging.columns.map(quoteIdent).join(", ")}`
+          : " ORDER BY ctid";
+      const params = [];
+      const conditions = this.buildFilterConditions(
+        paging.filters || [],
+        params
+      );
+      if (keyset) {
+        const placeholders = cursor.lastKey.map((value) => {
+          params.push(value);
+          return `$${params.length}`;
+        });
+        conditions.push(
+          `(${paging.columns.map(quoteIdent).join(", ")}) > (${placeholders.join(", ")})`
+        );
+      }
+      const where = conditions.length
+        ? ` WHERE ${conditions.join(" AND ")}`
+        : "";
+      const offset =
+        paging.mode === "offset" && cursor.offset
+          ? ` OFFSET ${Number(cursor.offset)}`
+          : "";
+      const columns = paging.select
+        ? paging.select.map(quoteIdent).join(", ")
+        : "*";
+
+      try {
+        const data = await this.db.query(
+          `SELECT ${columns} FROM ${quoteIdent(table.table_schema)}.${quoteIdent(table.table_name)}${where}${orderBy} LIMIT ${Number(limit)}${offset}`,
+          params
+        );
+        return { data, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    }
+
+    let query = this.applyRowFilters(
+      supabase
+        .from(table.table_name)
+        .select(paging.select ? paging.select.join(",") : "*"),
+      paging.filters || []
+    );
+    paging.columns.forEach((col) => {
+      query = query.order(col, { ascending: true });
+    });
+
+    if (paging.mode === "keyset") {
+      if (keyset) {
+        query =
+          paging.columns.length === 1
+            ? query.gt(paging.columns[0], cursor.lastKey[0])
+            : query.or(this.buildKeysetFilter(paging.columns, cursor.lastKey));
+      }
+      return await query.limit(limit);
+    }
+
+    const offset = cursor.offset || 0;
+    return await query.range(offset, offset + limit - 1);
+  }
+
+  // PostgREST filter for (a, b, c) > (x, y, z):
+  // a > x OR (a = x AND b > y) OR (a = x AND b = y AND c > z)
+  buildKeysetFilter(columns, values) {
+    const quote = (value) =>
+      `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+    return columns
+      .map((col, i) => {
+        const equal = columns
+          .slice(0, i)
+          .map((prev, j) => `${prev}.eq.${quote(values[j])}`);
+        const greater = `${col}.gt.${quote(values[i])}`;
+        return equal.length ? `and(${[...equal, greater].join(",")})` : greater;
+      })
+      .join(",");
+  }
+
+  // One streaming writer per export format for a table's rows
+  openDataWriters(table, { conflictColumns = null } = {}) {
+    const formats = this.config.exportFormats;
+    const baseName = `${table.table_schema}.${table.table_name}`.replace(
+      /[^A-Za-z0-9_.-]/g,
+      "_"
+    );
+    const writers = {};
+
+    if (formats.includes("json")) {
+      const dataDir = path.join(this.backupDir, "data");
+      fs.mkdirSync(dataDir, { recursive: true });
+      writers.json = new JsonRowsWriter(
+        path.join(dataDir, `${baseName}.json`),
+        { compression: this.compression, cipher: this.cipher }
+      );
+    }
+
+    if (formats.includes("csv")) {
+      const csvDir = path.join(this.backupDir, "csv-data");
+      fs.mkdirSync(csvDir, { recursive: true });
+      writers.csv = new CsvRowsWriter(path.join(csvDir, `${baseName}.csv`), {
+        compression: this.compression,
+        cipher: this.cipher,
+      });
+    }
+
+    if (formats.includes("sql")) {
+      const partsDir = path.join(this.backupDir, ".parts");
+      fs.mkdirSync(partsDir, { recursive: true });
+      // Upserts have no COPY form, so changed rows stay INSERT ... ON CONFLICT
+      const Writer =
+        this.sqlDataFormat === "copy" && !conflictColumns
+          ? SqlCopyWriter
+          : SqlInsertWriter;
+      writers.sql = new Writer(path.join(partsDir, `${baseName}.sql`), {
+        schema: table.table_schema,
+        table: table.table_name,
+        conflictColumns,
+        columnTypes: Object.fromEntries(
+          (this.findTableStructure(table)?.columns || []).map((col) => [
+            col.column_name,
+            col.udt_name,
+          ])
+        ),
+        cipher: this.cipher,
+      });
+    }
+
+    return writers;
+  }
+
+  relativePath(filePath) {
+    return path.relative(this.backupDir, filePath).split(path.sep).join("/");
+  }
+
+  // auth.users, auth.identities and auth.mfa_factors into auth/, complete and
+  // with their UUIDs, so restores recreate the accounts before the app data
+  async backupAuth() {
+    if (!this.config.includeAuth) return;
+
+    console.log(
+      "\n👤 Phase 15: Backing Up Auth Users, Identities and MFA Factors"
+    );
+    console.warn("!".repeat(80));
+    console.warn(`⚠️  ${AUTH_WARNING}.`);
+    console.warn(
+      this.cipher
+        ? "⚠️  This backup is encrypted; keep the key as safe as the database itself."
+        : "⚠️  This backup is NOT encrypted; consider --encrypt and restrict access to it."
+    );
+    console.warn("!".repeat(80));
+    this.results.warnings.push(AUTH_WARNING);
+
+    if (!this.db) {
+      const message =
+        "Auth backup skipped: it needs a direct database connection (DATABASE_URL or --db-url)";
+      console.warn(`⚠️  ${message}`);
+      this.results.warnings.push(message);
+      return;
+    }
+
+    const tables = {};
+    this.results.auth = { tables, passwordHashes: true };
+
+    try {
+      for (const tableName of AUTH_TABLES) {
+        const key = `${AUTH_SCHEMA}.${tableName}`;
+        const description = await describeAuthTable(this.db, tableName);
+        if (!description) {
+          console.log(`   ⏭️  ${key} not found in this project, skipped`);
+          tables[key] = { skipped: true, reason: "table not found" };
+          continue;
+        }
+        if (description.key.length === 0) {
+          throw new Error(`${key} has no primary key`);
+        }
+
+        tables[key] = await this.backupAuthTable(tableName, description);
+        console.log(
+          `   ✅ ${key}: ${tables[key].rowCount.toLocaleString()} rows${
+            description.generatedColumns.length
+              ? ` (generated columns left out: ${description.generatedColumns.join(", ")})`
+              : ""
+          }`
+        );
+      }
+
+      const users = tables[`${AUTH_SCHEMA}.users`]?.rowCount || 0;
+      this.results.statistics.totalAuthUsers = users;
+
+      console.log(`✅ Auth: ${users.toLocaleString()} users`);
+    } catch (error) {
+      console.error("❌ Error backing up auth users:", error.message);
+      this.results.errors.push(`Auth backup: ${error.message}`);
+    }
+  }
+
+  // Every row of one auth table (maxRowsPerTable does not apply: a partial
+  // user list would lock the missing users out)
+  async backupAuthTable(
+    tableName,
+    { columns, generatedColumns, columnTypes, key }
+  ) {
+    const table = { table_schema: AUTH_SCHEMA, table_name: tableName };
+    const paging = { mode: "keyset", columns: key, select: columns };
+    const baseName = `${AUTH_SCHEMA}.${tableName}`;
+    const masking = this.masker.forTable(AUTH_SCHEMA, tableName, columns);
+    const writers = {};
+    let fetched = 0;
+    let cursor = {};
+
+    if (this.config.exportFormats.includes("json")) {
+      const authDir = path.join(this.backupDir, AUTH_DIR);
+      fs.mkdirSync(authDir, { recursive: true });
+      writers.json = new JsonRowsWriter(
+        path.join(authDir, `${baseName}.json`),
+        { compression: this.compression, cipher: this.cipher }
+      );
+    }
+
+    if (this.config.exportFormats.includes("sql")) {
+      const partsDir = path.join(this.backupDir, ".parts");
+      fs.mkdirSync(partsDir, { recursive: true });
+      // Upserts on the primary key, so restoring over existing accounts
+      // brings them back to the backed-up state
+      writers.sql = new SqlInsertWriter(
+        path.join(partsDir, `${baseName}.sql`),
+        {
+          schema: AUTH_SCHEMA,
+          table: tableName,
+          conflictColumns: key,
+          columnTypes,
+          cipher: this.cipher,
         }
+      );
+    }
 
+    try {
+      for (;;) {
+        const { data: chunk, error } = await this.fetchTableRows(
+          table,
+          paging,
+          cursor,
+          1000
+        );
+        if (error) throw error;
         if (!chunk || chunk.length === 0) break;
 
-        allData = allData.concat(chunk);
+        const rows = masking ? masking.maskRows(chunk) : chunk;
+        for (const writer of Object.values(writers)) {
+          await writer.writeRows(rows);
+        }
         fetched += chunk.length;
 
-        // Progress for large tables
-        if (maxRows > 5000) {
-          const progress = Math.round((fetched / maxRows) * 100);
-          process.stdout.write(
-            `\r   📥 Fetching: ${fetched.toLocaleString()}/${maxRows.toLocaleString()} (${progress}%)`
-          );
+        const lastRow = chunk[chunk.length - 1];
+        cursor = { lastKey: key.map((col) => lastRow[col]) };
+      }
+    } finally {
+      for (const writer of Object.values(writers)) {
+        await writer.close();
+      }
+    }
+
+    if (writers.sql && fetched > 0) {
+      this.authDataParts.set(baseName, writers.sql.filePath);
+    }
+
+    return {
+      columns,
+      generatedColumns,
+      key,
+      maskedColumns: masking ? masking.columns : null,
+      rowCount: fetched,
+      files: writers.json
+        ? { json: this.relativePath(writers.json.filePath) }
+        : {},
+    };
+  }
+
+  // Storage buckets (with their settings) and object files into storage/.
+  // Objects unchanged since the previous backup are linked from it instead
+  // of being downloaded again.
+  async backupStorage() {
+    if (!this.config.includeStorage) return;
+
+    console.log("\n🪣 Phase 16: Backing Up Storage Buckets and Objects");
+
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+      const message =
+        "Storage backup skipped: it needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY";
+      console.warn(`⚠️  ${message}`);
+      this.results.warnings.push(message);
+      return;
+    }
+
+    const client = new StorageClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+    const storageDir = path.join(this.backupDir, STORAGE_DIR);
+    const stats = { downloaded: 0, reused: 0, failed: 0, bytes: 0 };
+    const objects = [];
+
+    try {
+      const buckets = selectBuckets(await client.listBuckets(), {
+        buckets: this.config.storageBuckets,
+        prefixes: this.config.storagePrefixes,
+      });
+      const previous = this.loadPreviousStorageIndex();
+      if (previous) {
+        console.log(`🧬 Reusing unchanged objects from: ${previous.id}`);
+      }
+
+      for (const bucket of buckets) {
+        const include = prefixFilter(bucket.id, this.config.storagePrefixes);
+        const listed = [];
+        for await (const entry of client.listObjects(bucket.id, { include })) {
+          listed.push(describeObject(bucket.id, entry));
         }
+
+        const counts = { downloaded: 0, reused: 0 };
+        await mapWithConcurrency(listed, this.config.concurrency, (object) =>
+          this.backupStorageObject(client, object, previous, counts)
+        );
+
+        const stored = listed.filter((object) => object.file);
+        bucket.objectCount = stored.length;
+        bucket.totalBytes = stored.reduce((sum, o) => sum + (o.size || 0), 0);
+        objects.push(...stored);
+
+        stats.downloaded += counts.downloaded;
+        stats.reused += counts.reused;
+        stats.failed += listed.length - stored.length;
+        stats.bytes += bucket.totalBytes;
+
+        console.log(
+          `   🪣 ${bucket.id}${bucket.public ? " (public)" : ""}: ${stored.length} objects, ${counts.downloaded} downloaded, ${counts.reused} unchanged`
+        );
       }
 
-      if (maxRows > 5000) console.log(""); // New line after progress
+      fs.mkdirSync(storageDir, { recursive: true });
+      this.storageFiles = [];
+      for (const [fileName, content] of [
+        [BUCKETS_FILE, buckets],
+        [OBJECTS_FILE, objects],
+      ]) {
+        const filePath = path.join(storageDir, fileName);
+        const writer = new StreamingFileWriter(filePath, {
+          cipher: this.cipher,
+        });
+        await writer.write(JSON.stringify(content, null, 2));
+        await writer.close();
+        this.storageFiles.push(writer.filePath);
+      }
+
+      const scriptFile = path.join(storageDir, REUPLOAD_SCRIPT);
+      fs.writeFileSync(scriptFile, generateReuploadScript(this.timestamp), {
+        mode: 0o755,
+      });
+      this.storageFiles.push(scriptFile);
+
+      this.results.storage = {
+        buckets: buckets.length,
+        objects: objects.length,
+        ...stats,
+        reusedFrom: previous?.id || null,
+        bucketFilter: this.config.storageBuckets,
+        prefixFilter: this.config.storagePrefixes,
+      };
+      this.results.statistics.totalBuckets = buckets.length;
+      this.results.statistics.totalStorageObjects = objects.length;
 
       console.log(
-        `   ✅ ${tableName}: ${allData.length.toLocaleString()} rows backed up`
+        `✅ Storage: ${objects.length} objects (${(stats.bytes / 1024 / 1024).toFixed(2)} MB) in ${buckets.length} buckets`
       );
+    } catch (error) {
+      console.error("❌ Error backing up storage:", error.message);
+      this.results.errors.push(`Storage backup: ${error.message}`);
+    }
+  }
 
-      this.results.data[tableName] = {
-        data: allData,
-        rowCount: allData.length,
-        totalRows: count,
-        wasLimited: count > this.config.maxRowsPerTable,
-        backupTimestamp: new Date().toISOString(),
-      };
+  // Store one object, from the previous backup when unchanged; sets
+  // object.file on success
+  async backupStorageObject(client, object, previous, counts) {
+    const relative = objectFilePath(object.bucket, object.name);
+    if (!relative) {
+      const message = `Storage object ${object.bucket}/${object.name} skipped: unsupported file name`;
+      console.warn(`⚠️  ${message}`);
+      this.results.warnings.push(message);
+      return;
+    }
 
-      return allData.length;
+    const target = path.join(this.backupDir, relative);
+    const earlier = previous?.objects.get(`${object.bucket}/${object.name}`);
+
+    if (isUnchanged(earlier, object) && earlier.file) {
+      const reused = reuseObjectFile(
+        path.join(previous.dir, earlier.file),
+        target,
+        { cipher: this.cipher, encrypted: previous.encrypted }
+      );
+      if (reused) {
+        object.file = this.relativePath(reused);
+        object.reusedFrom = previous.id;
+        counts.reused++;
+        return;
+      }
+    }
+
+    try {
+      const stored = await saveObjectFile(
+        await client.download(object.bucket, object.name),
+        target,
+        { cipher: this.cipher }
+      );
+      object.file = this.relativePath(stored);
+      counts.downloaded++;
     } catch (error) {
-      console.error(`   ❌ Exception backing up ${tableName}:`, error.message);
-      this.results.data[tableName] = { error: error.message };
-      this.results.errors.push(`Data backup ${tableName}: ${error.message}`);
-      return 0;
+      console.error(
+        `❌ Storage object ${object.bucket}/${object.name}: ${error.message}`
+      );
+      this.results.errors.push(
+        `Storage object ${object.bucket}/${object.name}: ${error.message}`
+      );
+    }
+  }
+
+  // Object index of the latest earlier backup of this project with Storage
+  // files (the parent for incremental backups): { id, dir, encrypted,
+  // objects }
+  loadPreviousStorageIndex() {
+    const backupRoot = path.dirname(this.backupDir);
+    const candidates = this.parentBackup
+      ? [this.parentBackup.id]
+      : fs
+          .readdirSync(backupRoot)
+          .filter((name) => name !== this.timestamp)
+          .sort()
+          .reverse();
+
+    for (const id of candidates) {
+      const dir = path.join(backupRoot, id);
+      const stub = readBackupSummary(dir, { stubOnly: true });
+      if (stub?.backup?.projectName !== this.results.metadata.projectName) {
+        continue;
+      }
+
+      try {
+        const summary = readBackupSummary(dir, { cipher: this.cipher });
+        if (!summary.storage) continue;
+        const objects = readStorageIndex(dir, OBJECTS_FILE, {
+          cipher: this.cipher,
+        });
+        if (!objects) continue;
+        return {
+          id,
+          dir,
+          encrypted: Boolean(summary.backup?.encryption),
+          objects: new Map(
+            objects.map((object) => [`${object.bucket}/${object.name}`, object])
+          ),
+        };
+      } catch (error) {
+        // Encrypted with another key (or unreadable): download everything
+        continue;
+      }
     }
+    return null;
   }
 
   // Enhanced data type inference
@@ -1311,16 +2919,216 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
     return "TEXT";
   }
 
-  // Generate comprehensive restore SQL
-  generateCompleteRestoreSQL() {
+  // Build the dependency-ordered restore plan (cached once resolved)
+  getRestorePlan() {
+    if (!this.restorePlan) {
+      this.restorePlan = this.buildRestorePlan();
+    }
+    return this.restorePlan;
+  }
+
+  buildRestorePlan() {
+    const schema = this.results.schema;
+
+    // Schema objects: sequences, tables, functions and views
+    const objectGraph = new DependencyGraph();
+    const addObject = (type, objectSchema, name, item, rank) => {
+      const node = objectGraph.addNode(
+        `${type}:${objectSchema}.${name}`,
+        { type, schema: objectSchema, name, items: [] },
+        rank
+      );
+      node.value.items.push(item); // overloaded functions share a node
+    };
+
+    (schema.sequences || []).forEach((seq) =>
+      addObject("sequence", seq.sequence_schema, seq.sequence_name, seq, 0)
+    );
+    (schema.tableStructures || [])
+      .filter((tableInfo) => tableInfo.columns?.length > 0)
+      .forEach((tableInfo) =>
+        addObject(
+          "table",
+          tableInfo.table_schema,
+          tableInfo.table_name,
+          tableInfo,
+          1
+        )
+      );
+    (schema.functions || []).forEach((func) =>
+      addObject("function", func.routine_schema, func.routine_name, func, 2)
+    );
+    (schema.views || []).forEach((view) =>
+      addObject("view", view.view_schema, view.view_name, view, 3)
+    );
+
+    const catalogDependencies = schema.dependencies || [];
+    const dependencies =
+      catalogDependencies.length > 0
+        ? catalogDependencies
+        : this.inferDependencies();
+
+    dependencies.forEach((dep) => {
+      objectGraph.addDependency(
+        `${dep.dependent_type}:${dep.dependent_schema}.${dep.dependent_name}`,
+        `${dep.referenced_type}:${dep.referenced_schema}.${dep.referenced_name}`,
+        { inferred: !!dep.inferred, breakable: !!dep.inferred }
+      );
+    });
+
+    const objects = objectGraph.sort();
+
+    // Tables ordered parent-first through their foreign keys, for the data load
+    const tableGraph = new DependencyGraph();
+    (schema.tables || []).forEach((table) =>
+      tableGraph.addNode(`${table.table_schema}.${table.table_name}`, table)
+    );
+
+    const foreignKeysByPair = new Map();
+    (schema.constraints || [])
+      .filter(
+        (con) =>
+          con.constraint_type === "FOREIGN KEY" && con.foreign_table_name
+      )
+      .forEach((con) => {
+        const from = `${con.table_schema}.${con.table_name}`;
+        const to = `${con.foreign_table_schema}.${con.foreign_table_name}`;
+        const pair = `${from} -> ${to}`;
+        if (!foreignKeysByPair.has(pair)) {
+          foreignKeysByPair.set(pair, { from, to, constraints: [] });
+        }
+        foreignKeysByPair.get(pair).constraints.push(con);
+      });
+
+    foreignKeysByPair.forEach(({ from, to, constraints }) => {
+      tableGraph.addDependency(from, to, { constraints, breakable: true });
+    });
+
+    const tables = tableGraph.sort();
+
+    return {
+      objects: objects.order,
+      tables: tables.order,
+      cycles: [
+        ...objects.cycles.map((path) => ({ kind: "schema", path })),
+        ...tables.cycles.map((path) => ({ kind: "foreign key", path })),
+      ],
+      deferredForeignKeys: tables.brokenEdges.flatMap(
+        (edge) => edge.meta?.constraints || []
+      ),
+    };
+  }
+
+  // Best-effort dependencies from definitions when pg_depend is not readable
+  inferDependencies() {
+    const schema = this.results.schema;
+    const dependencies = [];
+    const escape = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    // nextval('seq'::regclass) column defaults
+    (schema.tableStructures || []).forEach((tableInfo) => {
+      (tableInfo.columns || []).forEach((col) => {
+        const match = /nextval\('([^']+)'/.exec(col.column_default || "");
+        if (!match) return;
+
+        const parts = match[1]
+          .split(".")
+          .map((part) => part.replace(/^"|"$/g, ""));
+        dependencies.push({
+          dependent_type: "table",
+          dependent_schema: tableInfo.table_schema,
+          dependent_name: tableInfo.table_name,
+          referenced_type: "sequence",
+          referenced_schema:
+            parts.length > 1 ? parts[0] : tableInfo.table_schema,
+          referenced_name: parts[parts.length - 1],
+          inferred: true,
+        });
+      });
+    });
+
+    // Relations and functions mentioned in view definitions
+    const candidates = [
+      ...(schema.tables || []).map((t) => ({
+        type: "table",
+        schema: t.table_schema,
+        name: t.table_name,
+      })),
+      ...(schema.views || []).map((v) => ({
+        type: "view",
+        schema: v.view_schema,
+        name: v.view_name,
+      })),
+      ...(schema.functions || []).map((f) => ({
+        type: "function",
+        schema: f.routine_schema,
+        name: f.routine_name,
+      })),
+    ];
+
+    (schema.views || []).forEach((view) => {
+      const definition = view.view_definition || "";
+
+      candidates.forEach((candidate) => {
+        if (
+          candidate.type === "view" &&
+          candidate.schema === view.view_schema &&
+          candidate.name === view.view_name
+        ) {
+          return;
+        }
+
+        const pattern =
+          candidate.type === "function"
+            ? new RegExp(`\\b${escape(candidate.name)}\\s*\\(`)
+            : new RegExp(`\\b${escape(candidate.name)}\\b`);
+
+        if (pattern.test(definition)) {
+          dependencies.push({
+            dependent_type: "view",
+            dependent_schema: view.view_schema,
+            dependent_name: view.view_name,
+            referenced_type: candidate.type,
+            referenced_schema: candidate.schema,
+            referenced_name: candidate.name,
+            inferred: true,
+          });
+        }
+      });
+    });
+
+    return dependencies;
+  }
+
+  // Data entries ordered parent tables first
+  getOrderedDataEntries() {
+    const data = this.results.data || {};
+    const ordered = this.getRestorePlan()
+      .tables.map((table) => `${table.table_schema}.${table.table_name}`)
+      .filter((key) => data[key]);
+
+    Object.keys(data).forEach((key) => {
+      if (!ordered.includes(key)) ordered.push(key);
+    });
+
+    return ordered.map((key) => [key, data[key]]);
+  }
+
+  // Generate comprehensive restore SQL as a list of parts: strings and
+  // { file } references to the table data fragments written in Phase 14
+  generateCompleteRestoreSQL({
+    includeData = true,
+    includeDrops = this.config.includeDropStatements,
+  } = {}) {
     const projectName = this.results.metadata.projectName;
     const timestamp = this.results.metadata.timestamp;
+    const plan = this.getRestorePlan();
 
     let sql = `-- =============================================
 -- PROFESSIONAL SUPABASE DATABASE RESTORE SCRIPT
 -- =============================================
 -- Generated: ${timestamp}
--- Source: ${SUPABASE_URL}
+-- Source: ${this.getSourceLabel()}
 -- Project: ${projectName}
 -- Backup Version: ${this.results.metadata.backupVersion}
 -- 
@@ -1330,18 +3138,15 @@ CREATE TYPE "${enumType.schema_name}"."${enumType.enum_name}" AS ENUM (${values}
 -- ✅ Indexes and constraints
 -- ✅ All data with proper types
 -- ✅ Sequences and auto-increment setup
+-- ✅ Objects and data in dependency order${includeData ? this.copyDataNote() : ""}
 -- =============================================
 
 -- Preparation
 SET session_replication_role = replica;
 SET client_min_messages = warning;
+SET check_function_bodies = false;
 BEGIN;
 
--- Extensions
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-CREATE EXTENSION IF NOT EXISTS "pgcrypto";
-CREATE EXTENSION IF NOT EXISTS "pgjwt";
-
 `;
 
     // Generate schemas
@@ -1359,149 +3164,82 @@ CREATE EXTENSION IF NOT EXISTS "pgjwt";
       sql += "\n";
     }
 
-    // Generate enums (if any)
-    if (this.results.schema.enums?.length > 0) {
+    // Generate extensions before any type or table that depends on them
+    sql += this.generateExtensionsSQL();
+
+    // Drop existing tables up front, dependents first, so that CASCADE
+    // cannot remove objects recreated below
+    const plannedTables = plan.objects.filter(
+      (object) => object.type === "table"
+    );
+    const enumTypes = this.results.schema.enums || [];
+    if (includeDrops && (plannedTables.length > 0 || enumTypes.length > 0)) {
       sql += `-- =============================================
--- ENUMS
+-- CLEANUP
 -- =============================================
 
 `;
-      this.results.schema.enums.forEach((enumType) => {
-        sql += `${enumType.definition}\n\n`;
+      [...plannedTables].reverse().forEach((object) => {
+        sql += `DROP TABLE IF EXISTS "${object.schema}"."${object.name}" CASCADE;\n`;
       });
+      // Enums have no IF NOT EXISTS, so drop them once their tables are gone
+      enumTypes.forEach((enumType) => {
+        sql += `DROP TYPE IF EXISTS "${enumType.schema_name}"."${enumType.enum_name}" CASCADE;\n`;
+      });
+      sql += "\n";
     }
 
-    // Generate table structures
-    if (this.results.schema.tableStructures?.length > 0) {
+    // Generate enums (if any)
+    if (this.results.schema.enums?.length > 0) {
       sql += `-- =============================================
--- TABLES
+-- ENUMS
 -- =============================================
 
 `;
-      this.results.schema.tableStructures.forEach((tableInfo) => {
-        if (tableInfo.columns?.length > 0) {
-          if (this.config.includeDropStatements) {
-            sql += `-- Drop table if exists\nDROP TABLE IF EXISTS "${tableInfo.table_schema}"."${tableInfo.table_name}" CASCADE;\n\n`;
-          }
-
-          sql += `-- Table: ${tableInfo.table_schema}.${tableInfo.table_name}\n`;
-          if (tableInfo.table_comment) {
-            sql += `-- ${tableInfo.table_comment}\n`;
-          }
-
-          sql += `CREATE TABLE "${tableInfo.table_schema}"."${tableInfo.table_name}" (\n`;
-
-          const columnDefs = tableInfo.columns.map((col) => {
-            let def = `  "${col.column_name}" `;
-
-            // Enhanced data type mapping
-            switch (col.data_type?.toLowerCase()) {
-              case "timestamp with time zone":
-              case "timestamptz":
-                def += "TIMESTAMP WITH TIME ZONE";
-                break;
-              case "uuid":
-                def += "UUID";
-                break;
-              case "jsonb":
-                def += "JSONB";
-                break;
-              case "json":
-                def += "JSON";
-                break;
-              case "boolean":
-                def += "BOOLEAN";
-                break;
-              case "integer":
-              case "int4":
-                def += "INTEGER";
-                break;
-              case "bigint":
-              case "int8":
-                def += "BIGINT";
-                break;
-              case "numeric":
-              case "decimal":
-                def += col.numeric_precision
-                  ? `NUMERIC(${col.numeric_precision}${col.numeric_scale ? `,${col.numeric_scale}` : ""})`
-                  : "NUMERIC";
-                break;
-              case "date":
-                def += "DATE";
-                break;
-              case "time":
-                def += "TIME";
-                break;
-              case "character varying":
-              case "varchar":
-                def += col.character_maximum_length
-                  ? `VARCHAR(${col.character_maximum_length})`
-                  : "VARCHAR";
-                break;
-              case "text":
-                def += "TEXT";
-                break;
-              default:
-                def +=
-                  col.udt_name?.toUpperCase() ||
-                  col.data_type?.toUpperCase() ||
-                  "TEXT";
-            }
-
-            if (col.is_nullable === "NO") {
-              def += " NOT NULL";
-            }
-
-            if (col.column_default) {
-              def += ` DEFAULT ${col.column_default}`;
-            }
-
-            return def;
-          });
-
-          sql += columnDefs.join(",\n") + "\n);\n\n";
-
-          // Add column comments
-          tableInfo.columns.forEach((col) => {
-            if (col.column_comment) {
-              sql += `COMMENT ON COLUMN "${tableInfo.table_schema}"."${tableInfo.table_name}"."${col.column_name}" IS '${col.column_comment}';\n`;
-            }
-          });
-
-          if (tableInfo.table_comment) {
-            sql += `COMMENT ON TABLE "${tableInfo.table_schema}"."${tableInfo.table_name}" IS '${tableInfo.table_comment}';\n`;
-          }
-
-          sql += "\n";
-        }
+      this.results.schema.enums.forEach((enumType) => {
+        sql += `${enumType.definition}\n\n`;
       });
     }
 
-    // Generate views
-    if (this.results.schema.views?.length > 0) {
+    // Generate sequences, tables, functions and views in dependency order
+    if (plan.objects.length > 0) {
       sql += `-- =============================================
--- VIEWS
+-- SCHEMA OBJECTS
 -- =============================================
+-- Sequences, tables, functions and views in dependency order
 
 `;
-      this.results.schema.views.forEach((view) => {
-        sql += `-- View: ${view.view_schema}.${view.view_name}\n`;
-        sql += `CREATE OR REPLACE VIEW "${view.view_schema}"."${view.view_name}" AS\n`;
-        sql += `${view.view_definition};\n\n`;
+      plan.objects.forEach((object) => {
+        sql += this.buildObjectDefinition(object);
       });
     }
 
-    // Generate functions with complete definitions
-    if (this.results.schema.functions?.length > 0) {
+    // Generate table constraints (foreign keys are added after the data load)
+    const constraints = this.results.schema.constraints || [];
+    const tableConstraints = constraints.filter(
+      (con) => con.constraint_type !== "FOREIGN KEY"
+    );
+    const foreignKeys = constraints.filter(
+      (con) => con.constraint_type === "FOREIGN KEY"
+    );
+
+    if (tableConstraints.length > 0) {
       sql += `-- =============================================
--- FUNCTIONS
+-- CONSTRAINTS
 -- =============================================
 
 `;
-      this.results.schema.functions.forEach((func) => {
-        sql += `-- Function: ${func.routine_schema}.${func.routine_name}\n`;
-        sql += `${func.full_definition}\n\n`;
-      });
+      const typeOrder = ["PRIMARY KEY", "UNIQUE", "CHECK", "EXCLUDE"];
+      [...tableConstraints]
+        .sort(
+          (a, b) =>
+            typeOrder.indexOf(a.constraint_type) -
+            typeOrder.indexOf(b.constraint_type)
+        )
+        .forEach((con) => {
+          sql += `${this.buildConstraintDefinition(con)}\n`;
+        });
+      sql += "\n";
     }
 
     // Generate triggers
@@ -1531,9 +3269,15 @@ CREATE EXTENSION IF NOT EXISTS "pgjwt";
 -- =============================================
 
 `;
+      // Indexes backing PK/UNIQUE/EXCLUDE constraints are created with them
+      const constraintIndexes = new Set(
+        constraints
+          .filter((con) => con.index_name)
+          .map((con) => `${con.table_schema}.${con.index_name}`)
+      );
+
       this.results.schema.indexes.forEach((index) => {
-        if (!index.indexname.endsWith("_pkey")) {
-          // Skip primary key indexes
+        if (!constraintIndexes.has(`${index.schemaname}.${index.indexname}`)) {
           sql += `-- Index: ${index.indexname}\n`;
           sql += `${index.indexdef};\n\n`;
         }
@@ -1587,69 +3331,41 @@ CREATE EXTENSION IF NOT EXISTS "pgjwt";
       });
     }
 
-    // Generate data inserts
-    if (this.results.data && Object.keys(this.results.data).length > 0) {
+    const parts = [];
+
+    // Auth accounts before the data that references auth.users(id)
+    if (includeData && this.authDataParts.size > 0) {
+      parts.push(sql, ...this.buildAuthParts());
+      sql = "";
+    }
+
+    // Generate data inserts, parent tables first
+    if (includeData && Object.keys(this.results.data || {}).length > 0) {
       sql += `-- =============================================
 -- DATA
 -- =============================================
 
 `;
-      Object.entries(this.results.data).forEach(([tableName, tableData]) => {
-        if (
-          tableData.data &&
-          Array.isArray(tableData.data) &&
-          tableData.data.length > 0
-        ) {
-          sql += `-- Data for table: ${tableName} (${tableData.data.length.toLocaleString()} rows)\n`;
-
-          const columns = Object.keys(tableData.data[0]);
-
-          // Insert in batches
-          const batchSize = 100;
-          for (let i = 0; i < tableData.data.length; i += batchSize) {
-            const batch = tableData.data.slice(i, i + batchSize);
-
-            sql += `INSERT INTO "${tableName}" (${columns.map((col) => `"${col}"`).join(", ")}) VALUES\n`;
-
-            const values = batch.map((row) => {
-              const vals = columns.map((col) => {
-                const val = row[col];
-                if (val === null || val === undefined) return "NULL";
-                if (typeof val === "string") {
-                  return `'${val.replace(/'/g, "''").replace(/\\/g, "\\\\")}'`;
-                }
-                if (typeof val === "boolean") return val ? "true" : "false";
-                if (val instanceof Date) return `'${val.toISOString()}'`;
-                if (typeof val === "object") {
-                  return `'${JSON.stringify(val).replace(/'/g, "''")}'::jsonb`;
-                }
-                return String(val);
-              });
-              return `  (${vals.join(", ")})`;
-            });
-
-            sql += values.join(",\n") + ";\n\n";
-          }
-        }
-      });
+      parts.push(sql, ...this.buildDataParts());
+      sql = this.generateSequenceValuesSQL();
     }
 
-    // Generate sequences reset
-    if (this.results.schema.sequences?.length > 0) {
+    // Generate foreign keys once every table is loaded
+    if (foreignKeys.length > 0) {
       sql += `-- =============================================
--- SEQUENCES
+-- FOREIGN KEYS
 -- =============================================
 
 `;
-      this.results.schema.sequences.forEach((seq) => {
-        sql += `-- Sequence: ${seq.sequence_schema}.${seq.sequence_name}\n`;
-        sql += `CREATE SEQUENCE IF NOT EXISTS "${seq.sequence_schema}"."${seq.sequence_name}"\n`;
-        sql += `  START WITH ${seq.start_value}\n`;
-        sql += `  INCREMENT BY ${seq.increment}\n`;
-        sql += `  MINVALUE ${seq.minimum_value}\n`;
-        sql += `  MAXVALUE ${seq.maximum_value}\n`;
-        sql += `  ${seq.cycle_option === "YES" ? "CYCLE" : "NO CYCLE"};\n\n`;
+      if (plan.deferredForeignKeys.length > 0) {
+        sql += `-- Foreign key cycles were broken by deferring: ${plan.deferredForeignKeys
+          .map((con) => `${con.table_schema}.${con.table_name}.${con.constraint_name}`)
+          .join(", ")}\n\n`;
+      }
+      foreignKeys.forEach((con) => {
+        sql += `${this.buildConstraintDefinition(con)}\n`;
       });
+      sql += "\n";
     }
 
     sql += `-- =============================================
@@ -1679,96 +3395,430 @@ COMMIT;
 -- Triggers: ${this.results.statistics.totalTriggers}
 -- Policies: ${this.results.statistics.totalPolicies}
 -- Indexes: ${this.results.statistics.totalIndexes}
+-- Constraints: ${this.results.statistics.totalConstraints}
 -- Enums: ${this.results.statistics.totalEnums}
 -- Total Rows: ${this.results.statistics.totalRows.toLocaleString()}
 -- Generated: ${timestamp}
 -- =============================================
 `;
 
+    parts.push(sql);
+    return parts;
+  }
+
+  // Build the CREATE statement(s) for one planned schema object
+  buildObjectDefinition(object) {
+    switch (object.type) {
+      case "sequence":
+        return object.items.map((seq) => this.buildSequenceDefinition(seq)).join("");
+      case "table":
+        return object.items
+          .map((tableInfo) => this.buildTableDefinition(tableInfo))
+          .join("");
+      case "function":
+        return object.items
+          .map(
+            (func) =>
+              `-- Function: ${func.routine_schema}.${func.routine_name}\n${func.full_definition}\n\n`
+          )
+          .join("");
+      case "view":
+        return object.items.map((view) => this.buildViewDefinition(view)).join("");
+      default:
+        return "";
+    }
+  }
+
+  // Build sequence definition
+  buildSequenceDefinition(seq) {
+    let sql = `-- Sequence: ${seq.sequence_schema}.${seq.sequence_name}\n`;
+    sql += `CREATE SEQUENCE IF NOT EXISTS "${seq.sequence_schema}"."${seq.sequence_name}"\n`;
+    sql += `  START WITH ${seq.start_value}\n`;
+    sql += `  INCREMENT BY ${seq.increment}\n`;
+    sql += `  MINVALUE ${seq.minimum_value}\n`;
+    sql += `  MAXVALUE ${seq.maximum_value}\n`;
+    sql += `  ${seq.cycle_option === "YES" ? "CYCLE" : "NO CYCLE"};\n\n`;
+    return sql;
+  }
+
+  // Build view definition
+  buildViewDefinition(view) {
+    let sql = `-- View: ${view.view_schema}.${view.view_name}\n`;
+    sql += `CREATE OR REPLACE VIEW "${view.view_schema}"."${view.view_name}" AS\n`;
+    sql += `${view.view_definition};\n\n`;
     return sql;
   }
 
+  // Build table definition with column and table comments
+  buildTableDefinition(tableInfo) {
+    let sql = `-- Table: ${tableInfo.table_schema}.${tableInfo.table_name}\n`;
+    if (tableInfo.table_comment) {
+      sql += `-- ${tableInfo.table_comment}\n`;
+    }
+
+    sql += `CREATE TABLE "${tableInfo.table_schema}"."${tableInfo.table_name}" (\n`;
+
+    const columnDefs = tableInfo.columns.map(
+      (col) => `  ${columnDefinitionSQL(col)}`
+    );
+
+    sql += columnDefs.join(",\n") + "\n);\n\n";
+
+    // Add column comments
+    tableInfo.columns.forEach((col) => {
+      if (col.column_comment) {
+        sql += `COMMENT ON COLUMN "${tableInfo.table_schema}"."${tableInfo.table_name}"."${col.column_name}" IS '${col.column_comment}';\n`;
+      }
+    });
+
+    if (tableInfo.table_comment) {
+      sql += `COMMENT ON TABLE "${tableInfo.table_schema}"."${tableInfo.table_name}" IS '${tableInfo.table_comment}';\n`;
+    }
+
+    return sql + "\n";
+  }
+
+  // Script header lines for COPY data, which only psql and the CLI can load
+  copyDataNote() {
+    if (this.sqlDataFormat !== "copy") return "";
+    return `
+-- Table data is in COPY ... FROM stdin blocks: run this script with
+-- psql -f or supabase-backup-cli restore (the SQL Editor cannot load them)`;
+  }
+
+  // Data section parts: a comment per table followed by its INSERT or COPY
+  // fragment
+  buildDataParts() {
+    const parts = [];
+    const incremental = this.results.metadata.backupType === "incremental";
+
+    this.getOrderedDataEntries().forEach(([key, tableData]) => {
+      // In an incremental backup, tables copied in full replace whatever the
+      // earlier backups in the chain restored
+      if (incremental && tableData.changeTracking?.strategy === "full") {
+        parts.push(`DELETE FROM "${tableData.schema}"."${tableData.table}";\n`);
+      }
+
+      const fragment = this.sqlDataParts.get(key);
+      if (!fragment || !tableData.rowCount) return;
+
+      parts.push(
+        `-- Data for table: ${key} (${tableData.rowCount.toLocaleString()} rows)\n${
+          tableData.rowFilter
+            ? `-- Partial: only rows matching ${tableData.rowFilter.replace(/\s+/g, " ")}\n`
+            : ""
+        }`,
+        { file: fragment }
+      );
+    });
+
+    return parts;
+  }
+
+  // Auth section parts, users first: identities and MFA factors reference them
+  buildAuthParts() {
+    const parts = [
+      `-- =============================================
+-- AUTH USERS (same UUIDs, with password hashes)
+-- =============================================
+
+`,
+    ];
+
+    AUTH_TABLES.forEach((tableName) => {
+      const key = `${AUTH_SCHEMA}.${tableName}`;
+      const fragment = this.authDataParts.get(key);
+      if (!fragment) return;
+
+      const rowCount = this.results.auth.tables[key].rowCount;
+      parts.push(`-- Auth data: ${key} (${rowCount.toLocaleString()} rows)\n`, {
+        file: fragment,
+      });
+    });
+
+    return parts;
+  }
+
+  // Stream script parts to disk, copying data fragments without buffering.
+  // Returns the written path (with a .gz/.zst extension when compressed).
+  async writeSqlScript(
+    filePath,
+    parts,
+    { compression = this.compression, cipher = this.cipher } = {}
+  ) {
+    const writer = new StreamingFileWriter(filePath, { compression, cipher });
+
+    try {
+      for (const part of parts) {
+        if (typeof part === "string") {
+          await writer.write(part);
+        } else {
+          await writer.append(part.file);
+        }
+      }
+    } finally {
+      await writer.close();
+    }
+
+    return writer.filePath;
+  }
+
+  // supabase/migrations and supabase/seed.sql for the Supabase CLI, from the
+  // same parts as schema-only.sql and data-only.sql. Written as plain SQL,
+  // since the CLI reads neither compressed nor encrypted files.
+  async writeSupabaseExport() {
+    if (this.cipher) {
+      this.results.warnings.push(
+        "Supabase CLI export skipped: it would hold the data unencrypted"
+      );
+      console.log(
+        "⏭️  supabase/ skipped (encrypted backup; the Supabase CLI needs plain SQL)"
+      );
+      return [];
+    }
+    if (this.results.metadata.backupType === "incremental") {
+      this.results.warnings.push(
+        "Supabase CLI export skipped: incremental backups hold changed rows only"
+      );
+      console.log(
+        "⏭️  supabase/ skipped (incremental backup, export a full backup instead)"
+      );
+      return [];
+    }
+
+    const supabaseDir = path.join(this.backupDir, SUPABASE_DIR);
+    const migrationsDir = path.join(supabaseDir, MIGRATIONS_DIR);
+    fs.mkdirSync(migrationsDir, { recursive: true });
+    const files = [];
+
+    // A fresh local database has nothing to drop, and an initial migration
+    // pushed to a live project must not drop anything either
+    const migrations = buildMigrations(
+      this.generateSchemaOnlySQL({ includeDrops: false }).join(""),
+      {
+        date: new Date(this.results.metadata.timestamp),
+        split: this.supabaseExport === "split",
+        backupId: this.timestamp,
+      }
+    );
+    migrations.forEach((migration) => {
+      const filePath = path.join(migrationsDir, migration.file);
+      fs.writeFileSync(filePath, migration.sql);
+      files.push(filePath);
+    });
+
+    const seedParts = this.generateDataOnlySQL().map((part) =>
+      typeof part === "string" ? withoutTransactionControl(part) : part
+    );
+    const seedFile = await this.writeSqlScript(
+      path.join(supabaseDir, SEED_FILE),
+      seedParts,
+      { compression: null, cipher: null }
+    );
+    files.push(seedFile);
+
+    this.results.metadata.supabaseCli = {
+      migrations: migrations.map((migration) => migration.file),
+      seed: this.relativePath(seedFile),
+    };
+    console.log(
+      `📄 Supabase CLI: ${migrations.length} migration${migrations.length === 1 ? "" : "s"} in ${SUPABASE_DIR}/${MIGRATIONS_DIR}/ and ${SUPABASE_DIR}/${SEED_FILE}`
+    );
+    if (this.sqlDataFormat === "copy") {
+      const warning = `${SUPABASE_DIR}/${SEED_FILE} holds COPY blocks, which supabase db reset cannot load; use sqlDataFormat "insert" for a seed`;
+      console.log(`⚠️  ${warning}`);
+      this.results.warnings.push(warning);
+    }
+    return files;
+  }
+
+  // Sequences back at their source values once the data is in, so the next
+  // insert into a serial or identity column does not reuse a restored key.
+  // Sequences that were never used (no last_value) keep their start value.
+  generateSequenceValuesSQL() {
+    const sequences = (this.results.schema.sequences || []).filter(
+      (seq) => seq.last_value !== null && seq.last_value !== undefined
+    );
+    if (sequences.length === 0) return "";
+
+    let sql = `-- =============================================
+-- SEQUENCE VALUES
+-- =============================================
+
+`;
+    sequences.forEach((seq) => {
+      const name = `"${seq.sequence_schema}"."${seq.sequence_name}"`.replace(
+        /'/g,
+        "''"
+      );
+      sql += `SELECT setval('${name}', ${seq.last_value}, true);\n`;
+    });
+    return sql + "\n";
+  }
+
+  // Build CREATE EXTENSION statements for the extensions found in the source
+  generateExtensionsSQL() {
+    if (!this.config.includeExtensions) return "";
+
+    let sql = `-- =============================================
+-- EXTENSIONS
+-- =============================================
+
+`;
+
+    const extensions = this.results.schema.extensions || [];
+
+    if (extensions.length === 0) {
+      // Discovery unavailable (no exec_sql): keep the common Supabase defaults
+      sql += `-- Installed extensions could not be discovered; using common defaults
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+CREATE EXTENSION IF NOT EXISTS "pgjwt";
+
+`;
+      return sql;
+    }
+
+    const knownSchemas = new Set(
+      (this.results.schema.schemas || []).map((s) => s.schema_name)
+    );
+    const extensionSchemas = [
+      ...new Set(extensions.map((ext) => ext.extension_schema)),
+    ].filter(
+      (schema) =>
+        schema !== "public" &&
+        schema !== "pg_catalog" &&
+        !knownSchemas.has(schema)
+    );
+
+    extensionSchemas.forEach((schema) => {
+      sql += `CREATE SCHEMA IF NOT EXISTS "${schema}";\n`;
+    });
+    if (extensionSchemas.length > 0) sql += "\n";
+
+    extensions.forEach((ext) => {
+      sql += `-- Extension: ${ext.extension_name} (version ${ext.extension_version})\n`;
+      sql +=
+        ext.extension_schema === "pg_catalog"
+          ? `CREATE EXTENSION IF NOT EXISTS "${ext.extension_name}";\n`
+          : `CREATE EXTENSION IF NOT EXISTS "${ext.extension_name}" WITH SCHEMA "${ext.extension_schema}";\n`;
+    });
+
+    return sql + "\n";
+  }
+
   // Save all backup files
   async saveBackupFiles() {
-    console.log("\n💾 Phase 12: Generating Backup Files");
+    console.log("\n💾 Phase 17: Generating Backup Files");
 
     const files = [];
+    const fileName = (filePath) => path.basename(filePath);
 
-    // Complete JSON backup
+    const dataEntries = Object.values(this.results.data || {});
+
+    // Complete JSON backup: schema and metadata, table rows live in data/
     if (this.config.exportFormats.includes("json")) {
-      const jsonFile = path.join(this.backupDir, "complete-backup.json");
-      fs.writeFileSync(jsonFile, JSON.stringify(this.results, null, 2), "utf8");
-      files.push(jsonFile);
-      console.log(`📄 Complete backup: complete-backup.json`);
+      const jsonWriter = new StreamingFileWriter(
+        path.join(this.backupDir, "complete-backup.json"),
+        { compression: this.compression, cipher: this.cipher }
+      );
+      await jsonWriter.write(JSON.stringify(this.results, null, 2));
+      await jsonWriter.close();
+      files.push(jsonWriter.filePath);
+      console.log(`📄 Complete backup: ${fileName(jsonWriter.filePath)}`);
+
+      const jsonDataFiles = dataEntries
+        .filter((tableData) => tableData.files?.json)
+        .map((tableData) => path.join(this.backupDir, tableData.files.json));
+      files.push(...jsonDataFiles);
+      console.log(`📄 JSON data: ${jsonDataFiles.length} table files in data/`);
+
+      const authFiles = Object.values(this.results.auth?.tables || {})
+        .filter((tableData) => tableData.files?.json)
+        .map((tableData) => path.join(this.backupDir, tableData.files.json));
+      if (authFiles.length > 0) {
+        files.push(...authFiles);
+        console.log(`📄 Auth data: ${authFiles.length} table files in auth/`);
+      }
     }
 
     // Complete SQL restore script
     if (this.config.exportFormats.includes("sql")) {
-      const sql = this.generateCompleteRestoreSQL();
-      const sqlFile = path.join(this.backupDir, "complete-restore.sql");
-      fs.writeFileSync(sqlFile, sql, "utf8");
-      files.push(sqlFile);
-      console.log(`📄 SQL restore script: complete-restore.sql`);
+      // An incremental backup only holds changes, so it cannot be restored
+      // on its own; the CLI restores it on top of its parent chain
+      if (this.results.metadata.backupType === "incremental") {
+        console.log(
+          `⏭️  complete-restore.sql skipped (incremental backup, restore with: supabase-backup-cli restore ${this.timestamp})`
+        );
+      } else {
+        const sqlFile = await this.writeSqlScript(
+          path.join(this.backupDir, "complete-restore.sql"),
+          this.generateCompleteRestoreSQL()
+        );
+        files.push(sqlFile);
+        console.log(`📄 SQL restore script: ${fileName(sqlFile)}`);
+      }
 
       // Schema-only SQL
-      const schemaSQL = this.generateSchemaOnlySQL();
-      const schemaFile = path.join(this.backupDir, "schema-only.sql");
-      fs.writeFileSync(schemaFile, schemaSQL, "utf8");
+      const schemaFile = await this.writeSqlScript(
+        path.join(this.backupDir, "schema-only.sql"),
+        this.generateSchemaOnlySQL()
+      );
       files.push(schemaFile);
-      console.log(`📄 Schema-only SQL: schema-only.sql`);
+      console.log(`📄 Schema-only SQL: ${fileName(schemaFile)}`);
 
       // Data-only SQL
-      const dataSQL = this.generateDataOnlySQL();
-      const dataFile = path.join(this.backupDir, "data-only.sql");
-      fs.writeFileSync(dataFile, dataSQL, "utf8");
+      const dataFile = await this.writeSqlScript(
+        path.join(this.backupDir, "data-only.sql"),
+        this.generateDataOnlySQL()
+      );
       files.push(dataFile);
-      console.log(`📄 Data-only SQL: data-only.sql`);
-    }
+      console.log(`📄 Data-only SQL: ${fileName(dataFile)}`);
 
-    // Individual CSV files
-    if (this.config.exportFormats.includes("csv") && this.results.data) {
-      const csvDir = path.join(this.backupDir, "csv-data");
-      if (!fs.existsSync(csvDir)) {
-        fs.mkdirSync(csvDir);
+      if (this.supabaseExport) {
+        files.push(...(await this.writeSupabaseExport()));
       }
 
-      let csvCount = 0;
-      Object.entries(this.results.data).forEach(([tableName, tableData]) => {
-        if (
-          tableData.data &&
-          Array.isArray(tableData.data) &&
-          tableData.data.length > 0
-        ) {
-          const csvFile = path.join(csvDir, `${tableName}.csv`);
-          const columns = Object.keys(tableData.data[0]);
-
-          let csv = columns.map((col) => `"${col}"`).join(",") + "\n";
-
-          tableData.data.forEach((row) => {
-            const values = columns.map((col) => {
-              const val = row[col];
-              if (val === null || val === undefined) return "";
-              if (typeof val === "string")
-                return `"${val.replace(/"/g, '""')}"`;
-              if (typeof val === "object")
-                return `"${JSON.stringify(val).replace(/"/g, '""')}"`;
-              return String(val);
-            });
-            csv += values.join(",") + "\n";
-          });
-
-          fs.writeFileSync(csvFile, csv, "utf8");
-          files.push(csvFile);
-          csvCount++;
-        }
+      // The per-table fragments are now part of the scripts above
+      fs.rmSync(path.join(this.backupDir, ".parts"), {
+        recursive: true,
+        force: true,
       });
+      this.sqlDataParts.clear();
+      this.authDataParts.clear();
+    }
 
-      console.log(`📄 CSV files: ${csvCount} table files in csv-data/`);
+    // Individual CSV files (streamed during the data phase)
+    if (this.config.exportFormats.includes("csv")) {
+      const csvFiles = dataEntries
+        .filter((tableData) => tableData.files?.csv)
+        .map((tableData) => path.join(this.backupDir, tableData.files.csv));
+      files.push(...csvFiles);
+      console.log(`📄 CSV files: ${csvFiles.length} table files in csv-data/`);
+    }
+
+    // Storage index and re-upload script (written in the Storage phase)
+    if (this.storageFiles) {
+      files.push(...this.storageFiles);
+      console.log(
+        `📄 Storage: ${this.results.storage.objects} objects in storage/, re-upload with storage/${REUPLOAD_SCRIPT}`
+      );
     }
 
     // Professional backup summary
     const summary = {
       backup: {
+        id: this.results.metadata.backupId,
+        type: this.results.metadata.backupType,
+        parentId: this.results.metadata.parentBackupId,
+        profile: this.results.metadata.profile,
+        compression: this.compression,
+        encryption: this.results.metadata.encryption,
+        sqlDataFormat: this.sqlDataFormat,
+        supabaseCli: this.results.metadata.supabaseCli,
+        masked: this.masker.enabled,
+        rowFilters: this.results.metadata.rowFilters,
+        subset: this.results.metadata.subset,
         timestamp: this.results.metadata.timestamp,
         version: this.results.metadata.backupVersion,
         duration: this.results.statistics.backupDuration,
@@ -1784,45 +3834,117 @@ COMMIT;
         triggers: this.results.statistics.totalTriggers,
         policies: this.results.statistics.totalPolicies,
         indexes: this.results.statistics.totalIndexes,
+        constraints: this.results.statistics.totalConstraints,
         enums: this.results.statistics.totalEnums,
         sequences: this.results.statistics.totalSequences,
+        extensions: this.results.statistics.totalExtensions,
       },
+      masking: this.masker.enabled ? this.masker.describe() : null,
+      selection: {
+        excludedTables: this.results.schema.excludedTables,
+        excludedColumns: Object.fromEntries(
+          Object.entries(this.results.data)
+            .filter(([, info]) => info.excludedColumns?.length > 0)
+            .map(([key, info]) => [key, info.excludedColumns])
+        ),
+      },
+      auth: this.results.auth,
+      storage: this.results.storage,
       files: files.map((f) => path.relative(this.backupDir, f)),
+      watermarks: this.getWatermarks(),
       errors: this.results.errors,
       warnings: this.results.warnings,
       config: this.config,
     };
 
-    const summaryFile = path.join(this.backupDir, "backup-summary.json");
-    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2), "utf8");
-    console.log(`📄 Backup summary: backup-summary.json`);
+    // Encrypted backups leave only a stub (ID, type, parent, time) in plain
+    // text, like the README and manifest that name every table
+    const summaryFiles = await writeBackupSummary(this.backupDir, summary, {
+      cipher: this.cipher,
+    });
+    console.log(
+      `📄 Backup summary: ${summaryFiles.map((file) => path.basename(file)).join(", ")}`
+    );
 
     // Generate comprehensive README
     if (this.config.generateReadme) {
-      const readme = this.generateComprehensiveReadme();
-      const readmeFile = path.join(this.backupDir, "README.md");
-      fs.writeFileSync(readmeFile, readme, "utf8");
-      console.log(`📄 Documentation: README.md`);
+      const readmeFile = await this.writeSqlScript(
+        path.join(this.backupDir, "README.md"),
+        [this.generateComprehensiveReadme()],
+        { compression: null }
+      );
+      console.log(`📄 Documentation: ${path.basename(readmeFile)}`);
     }
 
-    return files.length + 2; // Include summary and readme
+    // Integrity manifest last, so it covers every other file
+    const manifest = await buildManifest(this.backupDir, {
+      backupId: this.results.metadata.backupId,
+      tables: this.getManifestTables(),
+    });
+    const manifestFile = await this.writeSqlScript(
+      path.join(this.backupDir, MANIFEST_FILE),
+      [JSON.stringify(manifest, null, 2)],
+      { compression: null }
+    );
+    console.log(
+      `📄 Integrity manifest: ${path.basename(manifestFile)} (${manifest.files.length} files, SHA-256)`
+    );
+
+    return files.length + summaryFiles.length + 2; // Include summary, readme and manifest
   }
 
-  generateSchemaOnlySQL() {
-    const fullSQL = this.generateCompleteRestoreSQL();
-    return fullSQL.replace(
-      /-- DATA[\s\S]*?-- FINALIZATION/g,
-      "-- FINALIZATION"
-    );
+  // Per-table row counts and data files ("schema.table" -> { rows, files })
+  getManifestTables() {
+    const tables = {};
+    Object.entries(this.results.data || {}).forEach(([key, data]) => {
+      if (data.error || data.skipped) return;
+      tables[key] = { rows: data.rowCount, files: data.files || {} };
+    });
+    Object.entries(this.results.auth?.tables || {}).forEach(([key, data]) => {
+      if (data.skipped) return;
+      tables[key] = { rows: data.rowCount, files: data.files };
+    });
+    return tables;
+  }
+
+  // High-water mark per table ("schema.table" -> { column, value }), read by
+  // the next incremental backup. Tables cut off by maxRowsPerTable (or that
+  // failed) get none, so the next backup copies them in full instead of
+  // skipping the rows this one never read.
+  getWatermarks() {
+    const watermarks = {};
+    Object.entries(this.results.data || {}).forEach(([key, tableData]) => {
+      const tracking = tableData.changeTracking;
+      if (tracking?.column && !tableData.wasLimited) {
+        watermarks[key] = {
+          column: tracking.column,
+          value: tracking.watermark,
+        };
+      }
+    });
+    return watermarks;
+  }
+
+  generateSchemaOnlySQL(options = {}) {
+    // Drop only the DATA section; later sections (foreign keys etc.) stay
+    return this.generateCompleteRestoreSQL({ ...options, includeData: false });
   }
 
   generateDataOnlySQL() {
+    const plan = this.getRestorePlan();
+
     let sql = `-- =============================================
 -- DATA-ONLY RESTORE SCRIPT
 -- =============================================
 -- Generated: ${this.results.metadata.timestamp}
--- Source: ${SUPABASE_URL}
--- Project: ${this.results.metadata.projectName}
+-- Source: ${this.getSourceLabel()}
+-- Project: ${this.results.metadata.projectName}${
+      this.results.metadata.backupType === "incremental"
+        ? `
+-- Incremental: rows changed since backup ${this.results.metadata.parentBackupId}
+-- Apply on top of the restored parent chain`
+        : ""
+    }${this.copyDataNote()}
 -- =============================================
 
 -- Preparation
@@ -1831,51 +3953,34 @@ BEGIN;
 
 `;
 
-    // Only generate data inserts
-    if (this.results.data && Object.keys(this.results.data).length > 0) {
+    // Foreign keys that close a cycle are checked at commit instead
+    if (plan.deferredForeignKeys.length > 0) {
+      sql += `-- Foreign key cycles: deferred until COMMIT\n`;
+      plan.deferredForeignKeys.forEach((con) => {
+        sql += con.is_deferrable
+          ? `SET CONSTRAINTS "${con.table_schema}"."${con.constraint_name}" DEFERRED;\n`
+          : `-- ${con.table_schema}.${con.table_name}.${con.constraint_name} is not deferrable; relies on session_replication_role = replica\n`;
+      });
+      sql += "\n";
+    }
+
+    const parts = [];
+
+    // Auth accounts before the data that references auth.users(id)
+    if (this.authDataParts.size > 0) {
+      parts.push(sql, ...this.buildAuthParts());
+      sql = "";
+    }
+
+    // Only generate data inserts, parent tables first
+    if (Object.keys(this.results.data || {}).length > 0) {
       sql += `-- =============================================
 -- DATA
 -- =============================================
 
 `;
-      Object.entries(this.results.data).forEach(([tableName, tableData]) => {
-        if (
-          tableData.data &&
-          Array.isArray(tableData.data) &&
-          tableData.data.length > 0
-        ) {
-          sql += `-- Data for table: ${tableName} (${tableData.data.length.toLocaleString()} rows)\n`;
-
-          const columns = Object.keys(tableData.data[0]);
-
-          // Insert in batches
-          const batchSize = 100;
-          for (let i = 0; i < tableData.data.length; i += batchSize) {
-            const batch = tableData.data.slice(i, i + batchSize);
-
-            sql += `INSERT INTO "${tableName}" (${columns.map((col) => `"${col}"`).join(", ")}) VALUES\n`;
-
-            const values = batch.map((row) => {
-              const vals = columns.map((col) => {
-                const val = row[col];
-                if (val === null || val === undefined) return "NULL";
-                if (typeof val === "string") {
-                  return `'${val.replace(/'/g, "''").replace(/\\/g, "\\\\")}'`;
-                }
-                if (typeof val === "boolean") return val ? "true" : "false";
-                if (val instanceof Date) return `'${val.toISOString()}'`;
-                if (typeof val === "object") {
-                  return `'${JSON.stringify(val).replace(/'/g, "''")}'::jsonb`;
-                }
-                return String(val);
-              });
-              return `  (${vals.join(", ")})`;
-            });
-
-            sql += values.join(",\n") + ";\n\n";
-          }
-        }
-      });
+      parts.push(sql, ...this.buildDataParts());
+      sql = this.generateSequenceValuesSQL();
     }
 
     sql += `-- Reset session
@@ -1885,7 +3990,8 @@ COMMIT;
 -- Data restore completed
 `;
 
-    return sql;
+    parts.push(sql);
+    return parts;
   }
 
   generateComprehensiveReadme() {
@@ -1893,8 +3999,47 @@ COMMIT;
 
 **Project:** ${this.results.metadata.projectName}  
 **Generated:** ${this.results.metadata.timestamp}  
-**Source:** ${SUPABASE_URL}  
-**Backup Version:** ${this.results.metadata.backupVersion}
+**Source:** ${this.getSourceLabel()}  
+**Backup Version:** ${this.results.metadata.backupVersion}  
+**Backup Type:** ${
+      this.results.metadata.backupType === "incremental"
+        ? `incremental (parent: ${this.results.metadata.parentBackupId}); restore with \`supabase-backup-cli restore ${this.timestamp}\``
+        : "full"
+    }${
+      this.compression
+        ? `  
+**Compression:** ${this.compression} (data files and SQL scripts end in \`${compressionExtension(this.compression)}\`)`
+        : ""
+    }${
+      this.cipher
+        ? `  
+**Encryption:** ${this.cipher.describe().algorithm} — files ending in \`.enc\` can only be read by \`supabase-backup-cli\` with the backup key`
+        : ""
+    }${
+      this.sqlDataFormat === "copy"
+        ? `  
+**SQL Data:** \`COPY ... FROM stdin\` blocks — restore with \`psql -f\` or \`supabase-backup-cli restore\`, not the SQL Editor`
+        : ""
+    }${
+      Object.keys(this.results.metadata.rowFilters).length > 0
+        ? `  
+**Partial data:** row filters on ${Object.entries(
+            this.results.metadata.rowFilters
+          )
+            .map(([name, filter]) => `\`${name}\` (\`${filter}\`)`)
+            .join(", ")}; other rows were not backed up`
+        : ""
+    }${
+      this.results.metadata.subset
+        ? `  
+**Subset:** ${this.describeSubset()}; every foreign key points at a row in the backup`
+        : ""
+    }${
+      this.masker.enabled
+        ? `  
+**Masked:** yes — personal data in ${Object.keys(this.masker.applied).length} tables was replaced (rules in \`backup-summary.json\`); this is not a copy of the real data`
+        : ""
+    }
 
 ## 📊 Comprehensive Backup Statistics
 
@@ -1906,14 +4051,16 @@ COMMIT;
 - **Triggers:** ${this.results.statistics.totalTriggers}
 - **RLS Policies:** ${this.results.statistics.totalPolicies}
 - **Indexes:** ${this.results.statistics.totalIndexes}
+- **Constraints:** ${this.results.statistics.totalConstraints}
 - **Enums:** ${this.results.statistics.totalEnums}
 - **Sequences:** ${this.results.statistics.totalSequences}
+- **Extensions:** ${this.results.statistics.totalExtensions}
 
 ### Data
 - **Total Rows:** ${this.results.statistics.totalRows.toLocaleString()}
 - **Tables with Data:** ${
-      Object.keys(this.results.data || {}).filter(
-        (k) => this.results.data[k].data && this.results.data[k].data.length > 0
+      Object.values(this.results.data || {}).filter(
+        (tableData) => tableData.rowCount > 0
       ).length
     }
 - **Duration:** ${Math.round(this.results.statistics.backupDuration / 1000)}s
@@ -1925,15 +4072,32 @@ COMMIT;
 ### SQL Scripts
 - \`complete-restore.sql\` - **Complete database restore** (schema + data + functions)
 - \`schema-only.sql\` - **Schema only** (tables, functions, policies, triggers, views)
-- \`data-only.sql\` - **Data only** (all table data)
+- \`data-only.sql\` - **Data only** (all table data)${
+      this.results.metadata.supabaseCli
+        ? `
+- \`${SUPABASE_DIR}/\` - Supabase CLI layout: the schema in \`${MIGRATIONS_DIR}/\`, the data in \`${SEED_FILE}\`; copy it into a project made with \`supabase init\` and run \`supabase start\``
+        : ""
+    }
 
 ### Data Files  
-- \`complete-backup.json\` - Full backup in JSON format with metadata
-- \`csv-data/\` - Individual table data in CSV format
+- \`complete-backup.json\` - Schema and metadata, with references to the data files
+- \`data/\` - Individual table data in JSON format
+- \`csv-data/\` - Individual table data in CSV format${
+      this.results.auth
+        ? `
+- \`${AUTH_DIR}/\` - ${this.results.statistics.totalAuthUsers} auth users with their identities and MFA factors, **including password hashes and MFA secrets**; restored with the same UUIDs by the SQL scripts, ahead of the table data`
+        : ""
+    }${
+      this.results.storage
+        ? `
+- \`storage/\` - ${this.results.storage.objects} Storage objects from ${this.results.storage.buckets} buckets, with \`${BUCKETS_FILE}\` (bucket settings) and \`${OBJECTS_FILE}\` (object metadata); re-upload with \`node storage/${REUPLOAD_SCRIPT}\``
+        : ""
+    }
 
 ### Documentation
 - \`backup-summary.json\` - Detailed backup statistics and metadata
 - \`README.md\` - This comprehensive documentation
+- \`manifest.json\` - SHA-256 checksums, file sizes and row counts (check with \`supabase-backup-cli verify\`)
 
 ## 🔄 Restoration Options
 
@@ -2077,21 +4241,31 @@ ${this.results.warnings.map((warn) => `- ${warn}`).join("\n")}
       // Phase 1-2: Discovery
       await this.discoverSchemas();
       await this.discoverTables();
+      this.applyTableSelection();
 
-      // Phase 3-10: Schema Analysis
+      // Phase 3-13: Schema Analysis
       await this.analyzeTableStructures();
       await this.backupFunctions();
       await this.backupViews();
       await this.backupTriggers();
       await this.backupPolicies();
       await this.backupIndexes();
+      await this.backupConstraints();
       await this.backupEnums();
       await this.backupSequences();
+      await this.backupExtensions();
+      await this.backupDependencies();
 
-      // Phase 11: Data Backup
+      // Phase 14: Data Backup
       await this.backupAllData();
 
-      // Phase 12: File Generation
+      // Phase 15: Auth Users (opt-in)
+      await this.backupAuth();
+
+      // Phase 16: Storage Buckets and Objects
+      await this.backupStorage();
+
+      // Phase 17: File Generation
       const fileCount = await this.saveBackupFiles();
 
       // Calculate final statistics
@@ -2110,11 +4284,36 @@ ${this.results.warnings.map((warn) => `- ${warn}`).join("\n")}
       console.log(`🔫 Triggers: ${this.results.statistics.totalTriggers}`);
       console.log(`🔒 RLS Policies: ${this.results.statistics.totalPolicies}`);
       console.log(`📇 Indexes: ${this.results.statistics.totalIndexes}`);
+      console.log(
+        `🔗 Constraints: ${this.results.statistics.totalConstraints}`
+      );
       console.log(`📋 Enums: ${this.results.statistics.totalEnums}`);
       console.log(`🔢 Sequences: ${this.results.statistics.totalSequences}`);
+      console.log(`🧩 Extensions: ${this.results.statistics.totalExtensions}`);
+      if (this.results.auth) {
+        console.log(
+          `👤 Auth Users: ${this.results.statistics.totalAuthUsers.toLocaleString()} (with password hashes)`
+        );
+      }
+      if (this.results.storage) {
+        console.log(
+          `🪣 Storage: ${this.results.storage.objects} objects in ${this.results.storage.buckets} buckets`
+        );
+      }
       console.log(
         `💾 Total Rows: ${this.results.statistics.totalRows.toLocaleString()}`
       );
+      const filtered = Object.keys(this.results.metadata.rowFilters).length;
+      if (filtered > 0) {
+        console.log(
+          `🔎 Partial: ${filtered} tables backed up with row filters`
+        );
+      }
+      if (this.masker.enabled) {
+        console.log(
+          `🎭 Masked: ${Object.keys(this.masker.applied).length} tables (rules in backup-summary.json)`
+        );
+      }
       console.log(
         `⏱️  Duration: ${Math.round(this.results.statistics.backupDuration / 1000)}s`
       );
@@ -2132,7 +4331,9 @@ ${this.results.warnings.map((warn) => `- ${warn}`).join("\n")}
 
       console.log("=".repeat(80));
       console.log(
-        "🔄 To restore: Run complete-restore.sql in your target database"
+        this.cipher
+          ? `🔄 To restore: supabase-backup-cli restore ${this.timestamp} --db-url=... (encrypted, needs the backup key)`
+          : "🔄 To restore: Run complete-restore.sql in your target database"
       );
       console.log(
         "📖 Documentation: Check README.md for detailed instructions"
@@ -2145,17 +4346,69 @@ ${this.results.warnings.map((warn) => `- ${warn}`).join("\n")}
       console.error("\n❌ PROFESSIONAL BACKUP FAILED:", error.message);
       this.results.errors.push(`Fatal error: ${error.message}`);
       throw error;
+    } finally {
+      if (this.db) await this.db.end();
     }
   }
 }
 
+// Several projects in one run: a separate backup process per project, so a
+// failure (or crash) in one project cannot affect the others
+if (require.main === module && PROJECT_NAMES) {
+  const args = process.argv.slice(2);
+
+  if (
+    getProfileArg(args) !== undefined ||
+    args.some((arg) => arg.startsWith("--db-url="))
+  ) {
+    console.error(
+      "❌ --projects and --all-projects take credentials from each profile; drop --profile and --db-url"
+    );
+    process.exit(1);
+  }
+
+  const projects = PROJECT_NAMES.map((name) => {
+    const profile = loadProfile(name);
+    return {
+      name,
+      outputDir: profile.options.outputDir,
+      keyFile: profile.encryptionKeyFile,
+    };
+  });
+  console.log(
+    `🚀 Backing up ${projects.length} projects: ${PROJECT_NAMES.join(", ")}`
+  );
+
+  runProjects(projects, { scriptPath: __filename, args })
+    .then((results) => {
+      console.log("\n" + "=".repeat(80));
+      formatProjectSummary(results).forEach((line) => console.log(line));
+      console.log("=".repeat(80));
+      process.exit(
+        results.some((result) => result.status === "failed") ? 1 : 0
+      );
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
 // Enhanced CLI interface
-if (require.main === module) {
+if (require.main === module && !PROJECT_NAMES) {
   const args = process.argv.slice(2);
-  const options = {};
+
+  // Command line switches override the profile
+  const options = PROFILE
+    ? {
+        ...PROFILE.options,
+        encryptionKeyFile: PROFILE.encryptionKeyFile,
+        profileName: PROFILE.name,
+      }
+    : {};
 
   // Parse command line arguments
-  args.forEach((arg) => {
+  args.forEach((arg, index) => {
     switch (arg) {
       case "--schema-only":
         options.includeData = false;
@@ -2196,11 +4449,162 @@ if (require.main === module) {
       case "--no-enums":
         options.includeEnums = false;
         break;
+      case "--encrypt":
+        options.encryptOutput = true;
+        break;
+      case "--include-auth":
+        options.includeAuth = true;
+        console.log(
+          "👤 Including auth users, identities and MFA factors (PASSWORD HASHES INCLUDED)"
+        );
+        break;
+      case "--include-storage":
+        options.includeStorage = true;
+        console.log("🪣 Including Storage buckets and objects");
+        break;
+      case "--incremental":
+        options.incremental = true;
+        console.log("🧬 Mode: Incremental (changes since the latest backup)");
+        break;
       default:
         if (arg.startsWith("--manual-tables=")) {
           const tableList = arg.split("=")[1];
           process.env.MANUAL_TABLES = tableList;
           console.log(`🔧 Manual tables specified: ${tableList}`);
+        } else if (arg.startsWith("--db-url=")) {
+          options.databaseUrl = arg.slice("--db-url=".length);
+          console.log("🔌 Mode: Direct PostgreSQL connection");
+        } else if (arg.startsWith("--incremental=")) {
+          options.incremental = true;
+          options.parentBackupId = arg.slice("--incremental=".length);
+          console.log(
+            `🧬 Mode: Incremental (changes since ${options.parentBackupId})`
+          );
+        } else if (arg === "--compress" || arg.startsWith("--compress=")) {
+          try {
+            options.compressOutput = normalizeCompression(
+              arg.includes("=") ? arg.split("=")[1] : "gzip"
+            );
+          } catch (error) {
+            console.error(`❌ --compress: ${error.message}`);
+            process.exit(1);
+          }
+        } else if (arg.startsWith("--sql-data=")) {
+          try {
+            options.sqlDataFormat = normalizeSqlDataFormat(
+              arg.slice("--sql-data=".length)
+            );
+          } catch (error) {
+            console.error(`❌ --sql-data: ${error.message}`);
+            process.exit(1);
+          }
+        } else if (
+          arg === "--supabase-cli" ||
+          arg.startsWith("--supabase-cli=")
+        ) {
+          try {
+            options.supabaseCliExport = normalizeSupabaseExport(
+              arg.includes("=") ? arg.split("=")[1] : true
+            );
+          } catch (error) {
+            console.error(`❌ --supabase-cli: ${error.message}`);
+            process.exit(1);
+          }
+        } else if (arg.startsWith("--key-file=")) {
+          options.encryptOutput = true;
+          options.encryptionKeyFile = arg.slice("--key-file=".length);
+        } else if (arg.startsWith("--storage-buckets=")) {
+          options.includeStorage = true;
+          options.storageBuckets = arg
+            .slice("--storage-buckets=".length)
+            .split(",")
+            .map((bucket) => bucket.trim())
+            .filter(Boolean);
+        } else if (arg.startsWith("--storage-prefix=")) {
+          options.includeStorage = true;
+          options.storagePrefixes = arg
+            .slice("--storage-prefix=".length)
+            .split(",")
+            .map((prefix) => prefix.trim())
+            .filter(Boolean);
+        } else if (arg.startsWith("--only-tables=")) {
+          options.onlyTables = parsePatternList(
+            arg.slice("--only-tables=".length)
+          );
+        } else if (arg.startsWith("--exclude-tables=")) {
+          options.excludeTables = parsePatternList(
+            arg.slice("--exclude-tables=".length)
+          );
+        } else if (arg.startsWith("--exclude-data=")) {
+          // Added to the built-in list of system tables without data
+          options.excludeDataTables = [
+            ...(options.excludeDataTables || BACKUP_CONFIG.excludeDataTables),
+            ...parsePatternList(arg.slice("--exclude-data=".length)),
+          ];
+        } else if (arg.startsWith("--exclude-columns=")) {
+          options.excludeColumns = parsePatternList(
+            arg.slice("--exclude-columns=".length)
+          );
+        } else if (arg.startsWith("--mask=")) {
+          try {
+            options.maskColumns = {
+              ...(options.maskColumns || {}),
+              ...parseMaskList(arg.slice("--mask=".length)),
+            };
+          } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+          }
+        } else if (arg.startsWith("--filter=")) {
+          // TABLE:FILTER, repeatable; filters may contain commas and colons
+          const value = arg.slice("--filter=".length);
+          const colon = value.indexOf(":");
+          if (colon === -1) {
+            console.error(
+              `❌ --filter expects TABLE:FILTER, e.g. --filter=orders:status=neq.archived`
+            );
+            process.exit(1);
+          }
+          options.tableFilters = {
+            ...(options.tableFilters || {}),
+            [value.slice(0, colon).trim()]: value.slice(colon + 1),
+          };
+        } else if (arg.startsWith("--subset=")) {
+          // TABLE:SPEC, repeatable; SPEC is a sample size, "all" or a filter
+          const value = arg.slice("--subset=".length);
+          const colon = value.indexOf(":");
+          if (colon === -1) {
+            console.error(
+              `❌ --subset expects TABLE:SPEC, e.g. --subset=public.orders:100`
+            );
+            process.exit(1);
+          }
+          options.subset = {
+            ...(options.subset || {}),
+            roots: {
+              ...(options.subset?.roots || {}),
+              [value.slice(0, colon).trim()]: value.slice(colon + 1),
+            },
+          };
+        } else if (arg === "--subset-children") {
+          options.subset = { ...(options.subset || {}), followChildren: true };
+        } else if (arg.startsWith("--change-columns=")) {
+          options.changeColumns = arg
+            .slice("--change-columns=".length)
+            .split(",")
+            .map((col) => col.trim());
+        } else if (
+          arg === "--concurrency" ||
+          arg.startsWith("--concurrency=")
+        ) {
+          const value = arg.includes("=") ? arg.split("=")[1] : args[index + 1];
+          const concurrency = Number(value);
+          if (!Number.isInteger(concurrency) || concurrency < 1) {
+            console.error("❌ --concurrency expects a positive integer");
+            process.exit(1);
+          }
+          options.concurrency = concurrency;
+          console.log(`⚡ Concurrency: ${concurrency} tables at a time`);
         }
         break;
       case "--help":
@@ -2232,6 +4636,56 @@ Options:
   --no-triggers      Skip trigger backup
   --no-enums         Skip enum backup
   --manual-tables=   Specify tables manually (e.g., --manual-tables=users,posts,comments)
+  --db-url=          Connect directly over PostgreSQL (pooler or direct connection string)
+                     instead of PostgREST/exec_sql; DATABASE_URL works too
+  --compress=FORMAT  Compress data files and scripts with gzip or zstd
+                     (.gz/.zst; --compress alone means gzip)
+  --sql-data=FORMAT  Table data in the SQL scripts as "insert" statements
+                     (default) or "copy" blocks, much faster to load with
+                     psql -f or supabase-backup-cli restore
+  --supabase-cli     Also write supabase/migrations/<timestamp>_initial_schema.sql
+                     and supabase/seed.sql for the Supabase CLI (--sql-only or
+                     any formats with sql); --supabase-cli=split writes one
+                     migration per section (schemas, tables, policies, ...)
+  --encrypt          Encrypt every data file and script with AES-256-GCM (.enc);
+                     key from BACKUP_ENCRYPTION_PASSPHRASE, BACKUP_ENCRYPTION_KEY
+                     or BACKUP_ENCRYPTION_KEY_FILE
+  --key-file=PATH    Encrypt with the 32-byte key in PATH (implies --encrypt)
+  --concurrency N    Analyze and fetch up to N tables in parallel (default 1)
+  --include-auth     Also back up auth users, identities and MFA factors (auth/),
+                     WITH password hashes and MFA secrets; restored with the
+                     same UUIDs before the table data (needs --db-url)
+  --include-storage  Also back up Storage buckets and object files (storage/);
+                     unchanged objects are reused from the previous backup
+  --storage-buckets= Only these buckets (e.g. --storage-buckets=avatars,docs)
+  --storage-prefix=  Only objects under bucket/prefix (e.g. avatars/public/)
+  --only-tables=     Only tables and views matching these schema.table globs
+                     (e.g. --only-tables='public.*,!public.audit_*')
+  --exclude-tables=  Leave matching tables and views out of schema and data
+                     (e.g. --exclude-tables='public.audit_*,!public.audit_keep')
+  --exclude-data=    Back up the schema of matching tables but not their rows
+  --exclude-columns= Leave schema.table.column globs out of the data files
+                     (e.g. --exclude-columns='*.*.embedding,public.files.blob')
+  --mask=RULES       Mask personal data: schema.table.column globs with a
+                     strategy (hash, fake_email, fake_name, fake_phone, redact,
+                     null, keep), e.g. --mask='*.*.email:fake_email,*.phone:hash';
+                     set BACKUP_MASKING_KEY to key the hashes
+  --filter=T:FILTER  Only back up rows of table T matching FILTER, in PostgREST
+                     syntax (--filter=orders:status=neq.archived) or SQL with
+                     --db-url (--filter="events:created_at >= now() - interval '90 days'");
+                     repeat for more tables
+  --subset=T:SPEC    Subset mode: back up sampled rows of root table T plus every
+                     row they reference, with no dangling foreign keys; SPEC is
+                     a sample size, "all" or a row filter (e.g.
+                     --subset=public.orders:100); repeatable; needs --db-url
+  --subset-children  Also follow foreign keys down to the rows referencing the roots
+  --incremental      Only back up rows changed since the latest backup
+  --incremental=ID   Only back up rows changed since backup ID
+  --change-columns=  Change columns to look for (default: updated_at,created_at)
+  --profile NAME     Use profile NAME from supabase-backup.config.json (or .js)
+  --projects=A,B     Back up the projects of profiles A and B, each in its own
+                     process and <outputDir>/<profile>; exits 1 if any failed
+  --all-projects     Back up the projects of every profile in the config file
   --help             Show this help
 
 Examples:
@@ -2239,6 +4693,7 @@ Examples:
   node professional-supabase-backup.js --schema-only                      # Schema with full function code
   node professional-supabase-backup.js --fast --no-csv                    # Quick backup, SQL only
   node professional-supabase-backup.js --manual-tables=users,posts        # Backup specific tables
+  node professional-supabase-backup.js --db-url=postgresql://postgres:pw@db.ref.supabase.co:5432/postgres
 
 Requirements:
   - Supabase service role key with admin permissions
@@ -2250,11 +4705,30 @@ Requirements:
     }
   });
 
-  const backup = new ProfessionalSupabaseBackup(options);
-  backup.run().catch((error) => {
-    console.error("\n❌ Professional Supabase Backup failed:", error.message);
+  if (!options.databaseUrl && !DATABASE_URL && !supabase) {
+    printMissingEnvironmentHelp();
     process.exit(1);
-  });
+  }
+
+  let backup;
+  try {
+    backup = new ProfessionalSupabaseBackup(options);
+  } catch (error) {
+    // Configuration problems, e.g. --encrypt without a key
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  backup
+    .run()
+    .then((results) => {
+      // Written, but not complete: schedulers and --all-projects must notice
+      if (results.errors.length > 0) process.exitCode = EXIT_BACKUP_ERRORS;
+    })
+    .catch((error) => {
+      console.error("\n❌ Professional Supabase Backup failed:", error.message);
+      process.exit(1);
+    });
 }
 
 module.exports = { ProfessionalSupabaseBackup };
@@ -0,0 +1,58 @@
+// supabase-backup-auth.js
+// Opt-in export of Supabase Auth users, identities and MFA factors
+// Rows keep their UUIDs and password hashes so restores recreate the accounts
+
+const AUTH_SCHEMA = "auth";
+const AUTH_DIR = "auth";
+
+// Restore order: identities and MFA factors reference auth.users
+const AUTH_TABLES = ["users", "identities", "mfa_factors"];
+
+const AUTH_WARNING =
+  "Auth backup includes password hashes, identity provider data and MFA secrets: anyone with these files can take over the accounts";
+
+// Columns that can be inserted (generated ones such as auth.users.confirmed_at
+// are computed again on restore), their types (udt_name) and the primary key
+// used for paging and upserts. Returns null when the table does not exist in
+// this project.
+async function describeAuthTable(db, tableName) {
+  const columns = await db.query(
+    `SELECT column_name, udt_name, is_generated
+     FROM information_schema.columns
+     WHERE table_schema = $1 AND table_name = $2
+     ORDER BY ordinal_position`,
+    [AUTH_SCHEMA, tableName]
+  );
+  if (columns.length === 0) return null;
+
+  const key = await db.query(
+    `SELECT a.attname AS column_name
+     FROM pg_index i
+     JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+     WHERE i.indrelid = format('%I.%I', $1::text, $2::text)::regclass
+       AND i.indisprimary
+     ORDER BY array_position(i.indkey::int2[], a.attnum)`,
+    [AUTH_SCHEMA, tableName]
+  );
+
+  return {
+    columns: columns
+      .filter((col) => col.is_generated !== "ALWAYS")
+      .map((col) => col.column_name),
+    generatedColumns: columns
+      .filter((col) => col.is_generated === "ALWAYS")
+      .map((col) => col.column_name),
+    columnTypes: Object.fromEntries(
+      columns.map((col) => [col.column_name, col.udt_name])
+    ),
+    key: key.map((col) => col.column_name),
+  };
+}
+
+module.exports = {
+  AUTH_SCHEMA,
+  AUTH_DIR,
+  AUTH_TABLES,
+  AUTH_WARNING,
+  describeAuthTable,
+};
@@ -8,6 +8,33 @@ const { execSync, spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const {
+  detectCompression,
+  readTextFile,
+  readTextFileSync,
+  resolveBackupFile,
+} = require("./supabase-backup-compression");
+const {
+  ENCRYPTION_EXTENSION,
+  BackupCipher,
+  EncryptionError,
+  KEY_SOURCES_HELP,
+  isEncryptedFile,
+} = require("./supabase-backup-encryption");
+const {
+  RETENTION_RULES,
+  planRetention,
+  parseBackupId,
+} = require("./supabase-backup-retention");
+const {
+  BACKUP_CONFIG,
+  ConfigError,
+  loadProfile,
+  resolveCredentials,
+  getProfileArg,
+} = require("./supabase-backup-config");
+const { readBackupSummary } = require("./supabase-backup-summary");
+const { EXIT_BACKUP_ERRORS } = require("./supabase-backup-projects");
 
 // CLI Colors
 const colors = {
@@ -43,7 +70,10 @@ class SupabaseBackupCLI {
 
   async run() {
     try {
-      this.displayHeader();
+      // --json output must stay parseable
+      if (!this.hasFlag("json")) this.displayHeader();
+
+      if (!this.loadProfile()) return;
 
       const command = this.args[0];
 
@@ -57,6 +87,15 @@ class SupabaseBackupCLI {
         case "restore":
           await this.restore();
           break;
+        case "verify":
+          await this.verify();
+          break;
+        case "diff":
+          await this.diff();
+          break;
+        case "migration":
+          await this.migration();
+          break;
         case "status":
           await this.status();
           break;
@@ -85,6 +124,29 @@ class SupabaseBackupCLI {
     }
   }
 
+  // Config file profile from --profile (or the file's defaultProfile); logs
+  // the problem and returns false when the file or profile is invalid
+  loadProfile() {
+    try {
+      this.profile = loadProfile(getProfileArg(this.args));
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      log.error(error.message);
+      process.exitCode = 1;
+      return false;
+    }
+
+    if (this.profile?.name && !this.hasFlag("json")) {
+      log.info(`Profile: ${this.profile.name} (${this.profile.file})`);
+    }
+    return true;
+  }
+
+  // Where backups are written: the profile's outputDir or supabase-backup
+  getBackupRoot() {
+    return this.profile?.options.outputDir || BACKUP_CONFIG.outputDir;
+  }
+
   displayHeader() {
     console.log(`
 ${colors.bright}${colors.cyan}╔════════════════════════════════════════════════════════════════╗
@@ -149,8 +211,12 @@ ${colors.bright}${colors.cyan}╔═══════════════
   async backup() {
     log.title("Starting Professional Backup");
 
+    // Multi-project runs check each profile's credentials in its own backup
+    const multiProject =
+      this.hasFlag("all-projects") || this.getOption("projects") !== undefined;
+
     // Validate environment
-    if (!(await this.validateEnvironment())) {
+    if (!multiProject && !(await this.validateEnvironment())) {
       log.error(
         "Environment validation failed. Run: supabase-backup-cli setup"
       );
@@ -172,22 +238,25 @@ ${colors.bright}${colors.cyan}╔═══════════════
     log.info(`Executing: ${command}`);
 
     try {
-      // Run backup with real-time output
+      // Run backup with real-time output. No shell: row filters and table
+      // globs ("a=eq.1&b=gt.0", "public.*") reach the backup unchanged.
       const child = spawn(
         "node",
         ["professional-supabase-backup.js", ...backupArgs],
-        {
-          stdio: "inherit",
-          shell: true,
-        }
+        { stdio: "inherit" }
       );
 
       child.on("close", (code) => {
         if (code === 0) {
           log.success("Backup completed successfully!");
+          if (!multiProject) this.showBackupSummary();
+        } else if (code === EXIT_BACKUP_ERRORS && !multiProject) {
+          log.error("Backup completed with errors (see backup-summary.json)");
           this.showBackupSummary();
+          process.exitCode = code;
         } else {
           log.error(`Backup failed with code ${code}`);
+          process.exitCode = code;
         }
       });
     } catch (error) {
@@ -223,7 +292,245 @@ ${colors.bright}${colors.cyan}╔═══════════════
   }
 
   async restore() {
-    log.title("Restore Guide");
+    log.title("Restore Backup");
+
+    const schemaOnly = this.hasFlag("schema-only");
+    const dataOnly = this.hasFlag("data-only");
+
+    if (schemaOnly && dataOnly) {
+      log.error("Use either --schema-only or --data-only, not both");
+      process.exitCode = 1;
+      return;
+    }
+
+    const backupPath = await this.selectBackup(this.getPositionalArgs()[0]);
+    if (!backupPath) return;
+
+    let restoreFiles;
+    try {
+      restoreFiles = this.getRestoreFiles(backupPath, { schemaOnly, dataOnly });
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    const missingFile = restoreFiles.find((file) => !fs.existsSync(file));
+    if (missingFile) {
+      log.error(`${missingFile} not found`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // The backup source (DATABASE_URL) is never used as a restore target
+    const targetUrl =
+      this.getOption("db-url") || process.env.RESTORE_DATABASE_URL;
+
+    if (!targetUrl) {
+      await this.showRestoreInstructions(restoreFiles);
+      return;
+    }
+
+    // Decrypt and decompress up front, so a missing or wrong key stops the
+    // restore before anything touches the target
+    const scripts = [];
+    try {
+      for (const file of restoreFiles) {
+        const cipher = isEncryptedFile(file) ? this.getCipher() : null;
+        scripts.push({ name: file, sql: await readTextFile(file, { cipher }) });
+      }
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { DirectConnection } = require("./supabase-backup-db");
+    const { BackupRestorer } = require("./supabase-backup-restore");
+
+    const connection = new DirectConnection(targetUrl, {
+      applicationName: "supabase-backup-restore",
+    });
+
+    log.subtitle("\n🎯 Restore Target:");
+    if (restoreFiles.length > 1) {
+      console.log("   Backup chain (applied in order):");
+      restoreFiles.forEach((file) => console.log(`     - ${file}`));
+    } else {
+      console.log(`   Backup: ${restoreFiles[0]}`);
+    }
+    console.log(`   Database: ${connection.describe()}`);
+
+    if (!dataOnly) {
+      log.warning(
+        "Tables contained in the backup will be dropped and recreated"
+      );
+    }
+    if (!schemaOnly) {
+      this.warnPartialData(restoreFiles);
+    }
+
+    if (!this.hasFlag("yes")) {
+      const confirm = await this.question("\nProceed with restore? (y/n): ");
+      if (confirm.toLowerCase() !== "y") {
+        log.info("Restore cancelled");
+        return;
+      }
+    }
+
+    let currentScript = null;
+    const restorer = new BackupRestorer(connection, {
+      onSection: (section, total, script) => {
+        if (restoreFiles.length > 1 && script !== currentScript) {
+          currentScript = script;
+          log.subtitle(`\n📄 ${script}`);
+        }
+        console.log(`\n   📦 ${section} (${total} statements)`);
+      },
+      onStatement: (section, done, total) => {
+        if (done === total) {
+          console.log(`\r      ✅ ${done}/${total} statements`);
+        } else if (done % 100 === 0) {
+          process.stdout.write(`\r      ⏳ ${done}/${total} statements`);
+        }
+      },
+    });
+
+    const startTime = Date.now();
+
+    try {
+      const result = await restorer.restore(scripts);
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+      console.log("");
+      log.success(
+        `Restore completed: ${result.statements} statements in ${duration}s`
+      );
+    } catch (error) {
+      this.reportRestoreFailure(error);
+      process.exitCode = 1;
+    } finally {
+      await connection.end().catch(() => {});
+    }
+  }
+
+  // Backups taken with row filters or as a subset only hold part of the data
+  warnPartialData(restoreFiles) {
+    const dirs = [...new Set(restoreFiles.map((file) => path.dirname(file)))];
+    dirs.forEach((dir) => {
+      const backup = this.readBackupSummary(dir, { full: true })?.backup;
+      if (backup?.subset) {
+        const rows = Object.values(backup.subset.rows).reduce(
+          (sum, count) => sum + count,
+          0
+        );
+        log.warning(
+          `Subset: ${rows.toLocaleString()} rows picked from ${Object.keys(backup.subset.roots).join(", ")} and the rows they reference (${path.basename(dir)})`
+        );
+      }
+      const rowFilters = backup?.rowFilters || {};
+      Object.entries(rowFilters).forEach(([table, filter]) => {
+        log.warning(
+          `Partial data: ${table} only has rows matching ${filter} (${path.basename(dir)})`
+        );
+      });
+    });
+  }
+
+  // Scripts to run for a backup. An incremental backup is restored by
+  // replaying its chain: the full backup, then each incremental's changes.
+  // Compressed scripts (.gz/.zst) are picked up when the plain file is absent.
+  getRestoreFiles(backupPath, { schemaOnly, dataOnly }) {
+    const script = (dir, name) => {
+      const filePath = path.join(dir, name);
+      return resolveBackupFile(filePath) || filePath;
+    };
+
+    if (schemaOnly) return [script(backupPath, "schema-only.sql")];
+
+    const [base, ...increments] = this.resolveBackupChain(backupPath);
+    return [
+      script(base, dataOnly ? "data-only.sql" : "complete-restore.sql"),
+      ...increments.map((dir) => script(dir, "data-only.sql")),
+    ];
+  }
+
+  // Backup directories from the full backup up to backupPath
+  resolveBackupChain(backupPath) {
+    const chain = [backupPath];
+    let summary = this.readBackupSummary(backupPath);
+
+    while (summary?.backup?.type === "incremental") {
+      const parentId = summary.backup.parentId;
+      const parentPath = path.join(path.dirname(chain[0]), parentId || "");
+
+      if (!parentId || !fs.existsSync(parentPath)) {
+        throw new Error(
+          `Parent backup ${parentId} of ${path.basename(chain[0])} not found`
+        );
+      }
+      if (chain.includes(parentPath)) {
+        throw new Error(`Backup chain loops back to ${parentId}`);
+      }
+
+      chain.unshift(parentPath);
+      summary = this.readBackupSummary(parentPath);
+    }
+
+    return chain;
+  }
+
+  // Key for encrypted backups from --key-file= or the environment (null when
+  // none is configured); throws EncryptionError for an unusable key
+  getCipher() {
+    if (this.cipher === undefined) {
+      this.cipher = BackupCipher.fromEnvironment({
+        keyFile: this.getOption("key-file") || this.profile?.encryptionKeyFile,
+      });
+    }
+    return this.cipher;
+  }
+
+  hasCipher() {
+    try {
+      return this.getCipher() !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isEncryptedBackup(backupPath) {
+    if (this.readBackupSummary(backupPath)?.backup?.encryption) return true;
+    return fs.readdirSync(backupPath).some(isEncryptedFile);
+  }
+
+  // Of an encrypted backup only the plaintext stub (ID, type, parent, time);
+  // full reads the whole summary with the backup key
+  readBackupSummary(backupPath, { full = false } = {}) {
+    return readBackupSummary(backupPath, {
+      cipher: full ? this.getCipher() : null,
+      stubOnly: !full,
+    });
+  }
+
+  // Backup directory from an argument (name or path), or picked interactively
+  async selectBackup(requested) {
+    if (requested) {
+      const candidates = [
+        requested,
+        path.join(this.getBackupRoot(), requested),
+      ];
+      const found = candidates.find(
+        (candidate) =>
+          fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()
+      );
+
+      if (!found) {
+        log.error(`Backup not found: ${requested}`);
+        process.exitCode = 1;
+      }
+      return found || null;
+    }
 
     const backupDirs = this.getBackupDirectories();
 
@@ -231,7 +538,7 @@ ${colors.bright}${colors.cyan}╔═══════════════
       log.warning(
         "No backups found. Create a backup first with: supabase-backup-cli backup"
       );
-      return;
+      return null;
     }
 
     log.subtitle("\n📁 Available Backups:");
@@ -247,29 +554,72 @@ ${colors.bright}${colors.cyan}╔═══════════════
 
     if (!selectedBackup) {
       log.error("Invalid selection");
-      return;
+      return null;
     }
 
-    const backupPath = path.join("supabase-backup", selectedBackup);
-    const restoreFile = path.join(backupPath, "complete-restore.sql");
+    return path.join(this.getBackupRoot(), selectedBackup);
+  }
 
-    if (!fs.existsSync(restoreFile)) {
-      log.error("Restore file not found in selected backup");
-      return;
+  reportRestoreFailure(error) {
+    console.log("");
+    log.error("Restore failed - all changes have been rolled back");
+    console.log(`   Error: ${error.cause?.message || error.message}`);
+
+    if (error.statement) {
+      const statement = error.statement.sql;
+
+      if (error.statement.script) {
+        console.log(`   Script: ${error.statement.script}`);
+      }
+      const preview =
+        statement.length > 500
+          ? statement.substring(0, 500) + "\n   ... [truncated]"
+          : statement;
+
+      console.log(`   Section: ${error.statement.section}`);
+      console.log(`   Statement #${error.statement.index + 1}:`);
+      console.log(`\n${preview}\n`);
     }
 
+    if (error.cause?.detail) console.log(`   Detail: ${error.cause.detail}`);
+    if (error.cause?.hint) console.log(`   Hint: ${error.cause.hint}`);
+  }
+
+  async showRestoreInstructions(restoreFiles) {
+    const restoreFile = restoreFiles[0];
+
     log.subtitle("\n🔄 Restore Instructions:");
     console.log("1. Open your target Supabase project dashboard");
     console.log("2. Go to SQL Editor");
-    console.log("3. Copy and paste the contents of:");
-    console.log(`   ${colors.bright}${restoreFile}${colors.reset}`);
+    console.log(
+      restoreFiles.length > 1
+        ? "3. Copy and paste the contents of each file, in this order:"
+        : "3. Copy and paste the contents of:"
+    );
+    restoreFiles.forEach((file) => {
+      console.log(`   ${colors.bright}${file}${colors.reset}`);
+    });
+    if (restoreFiles.some(isEncryptedFile)) {
+      console.log(
+        "   (encrypted: the SQL Editor cannot read .enc files, restore directly with the backup key)"
+      );
+    } else if (restoreFiles.some((file) => detectCompression(file))) {
+      console.log(
+        "   (compressed: decompress first with gunzip -k / zstd -d, or restore directly)"
+      );
+    }
     console.log("4. Execute the script");
     console.log("5. Your database will be fully restored!");
+    console.log(
+      "\nOr restore directly: supabase-backup-cli restore <backup> --db-url=postgresql://..."
+    );
 
     const openFile = await this.question("\nOpen restore file now? (y/n): ");
     if (openFile.toLowerCase() === "y") {
       try {
-        const content = fs.readFileSync(restoreFile, "utf8");
+        const content = readTextFileSync(restoreFile, {
+          cipher: isEncryptedFile(restoreFile) ? this.getCipher() : null,
+        });
         console.log("\n" + "=".repeat(80));
         console.log("SQL RESTORE SCRIPT CONTENT:");
         console.log("=".repeat(80));
@@ -284,6 +634,176 @@ ${colors.bright}${colors.cyan}╔═══════════════
     }
   }
 
+  // Re-hash a backup against its manifest.json; the latest backup by default
+  async verify() {
+    log.title("Verify Backup");
+
+    const { verifyBackup } = require("./supabase-backup-manifest");
+    const requested = this.getPositionalArgs()[0];
+    let backupPath;
+
+    if (requested) {
+      backupPath = await this.selectBackup(requested);
+      if (!backupPath) return;
+    } else {
+      const latest = this.getBackupDirectories()[0];
+      if (!latest) {
+        log.error("No backups found");
+        process.exitCode = 1;
+        return;
+      }
+      backupPath = path.join(this.getBackupRoot(), latest);
+    }
+
+    let cipher = null;
+    try {
+      if (this.isEncryptedBackup(backupPath)) {
+        cipher = this.getCipher();
+        if (!cipher) {
+          throw new EncryptionError(
+            `${path.basename(backupPath)} is encrypted: ${KEY_SOURCES_HELP}`
+          );
+        }
+      }
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    log.info(`Verifying ${backupPath}`);
+    const result = await verifyBackup(backupPath, { cipher });
+
+    result.warnings.forEach((warning) => log.warning(warning));
+
+    if (result.errors.length > 0) {
+      result.errors.forEach((error) => log.error(error));
+      log.error(
+        `Verification failed: ${result.errors.length} problem(s) found`
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    log.success(
+      `Backup verified: ${result.filesChecked} files and ${result.tablesChecked} table row counts match manifest.json`
+    );
+  }
+
+  // Compare the schema and row counts of two backups; --json prints the
+  // diff as JSON only (no header), for scripts
+  async diff() {
+    const {
+      diffBackups,
+      formatDiffText,
+      diffToJson,
+    } = require("./supabase-backup-diff");
+    const json = this.hasFlag("json");
+    const [fromArg, toArg] = this.getPositionalArgs();
+
+    if (!json) log.title("Compare Backups");
+
+    if (!fromArg || !toArg) {
+      log.error("Usage: supabase-backup-cli diff <backupA> <backupB> [--json]");
+      process.exitCode = 1;
+      return;
+    }
+
+    const fromPath = await this.selectBackup(fromArg);
+    const toPath = fromPath && (await this.selectBackup(toArg));
+    if (!toPath) return;
+
+    let diff;
+    try {
+      diff = diffBackups(
+        await this.loadBackupSnapshot(fromPath),
+        await this.loadBackupSnapshot(toPath)
+      );
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (json) {
+      console.log(JSON.stringify(diffToJson(diff), null, 2));
+      return;
+    }
+
+    const markers = { "+": colors.green, "-": colors.red, "~": colors.yellow };
+    formatDiffText(diff).forEach((line) => {
+      const marker = line.trim()[0];
+      if (markers[marker] && /^\s+[+~-] /.test(line)) {
+        console.log(`${markers[marker]}${line}${colors.reset}`);
+      } else if (line.endsWith(":") && !line.startsWith(" ")) {
+        log.subtitle(line);
+      } else {
+        console.log(line);
+      }
+    });
+  }
+
+  // Write the SQL that moves the schema of backup A to that of backup B
+  async migration() {
+    log.title("Generate Migration");
+
+    const { generateMigrationSQL } = require("./supabase-backup-migration");
+    const [fromArg, toArg] = this.getPositionalArgs();
+
+    if (!fromArg || !toArg) {
+      log.error(
+        "Usage: supabase-backup-cli migration <backupA> <backupB> [--output=FILE]"
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const fromPath = await this.selectBackup(fromArg);
+    const toPath = fromPath && (await this.selectBackup(toArg));
+    if (!toPath) return;
+
+    let migration;
+    try {
+      migration = generateMigrationSQL(
+        await this.loadBackupSnapshot(fromPath),
+        await this.loadBackupSnapshot(toPath)
+      );
+    } catch (error) {
+      log.error(error.message);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (migration.statements === 0) {
+      log.success("No schema differences: no migration needed");
+      return;
+    }
+
+    const outputFile =
+      this.getOption("output") ||
+      `migration-${path.basename(fromPath)}-to-${path.basename(toPath)}.sql`;
+    fs.writeFileSync(outputFile, migration.sql);
+
+    migration.warnings.forEach((warning) => log.warning(warning));
+    log.success(
+      `Migration with ${migration.statements} statements written to ${outputFile}`
+    );
+    log.info("Review it, then run it against the database to migrate");
+  }
+
+  // Parsed complete-backup.json of a backup, decrypted when needed
+  async loadBackupSnapshot(backupPath) {
+    const file = resolveBackupFile(
+      path.join(backupPath, "complete-backup.json")
+    );
+    if (!file) {
+      throw new Error(`complete-backup.json not found in ${backupPath}`);
+    }
+
+    const cipher = isEncryptedFile(file) ? this.getCipher() : null;
+    return JSON.parse(await readTextFile(file, { cipher }));
+  }
+
   async status() {
     log.title("Backup System Status");
 
@@ -321,6 +841,14 @@ ${colors.bright}${colors.cyan}╔═══════════════
       console.log(
         `   Tables: ${stats.tables}, Rows: ${stats.rows}, Size: ${stats.size}`
       );
+      if (stats.compression) {
+        console.log(`   Compression: ${stats.compression}`);
+      }
+      if (stats.encryption) {
+        console.log(
+          `   Encryption: ${stats.encryption.algorithm} (${this.hasCipher() ? "key configured" : "no key configured"})`
+        );
+      }
     }
 
     // Disk usage
@@ -332,6 +860,38 @@ ${colors.bright}${colors.cyan}╔═══════════════
   async clean() {
     log.title("Cleaning Backup Directory");
 
+    // --keep-daily/--keep-weekly/--keep-monthly select unattended,
+    // policy-based retention instead of the interactive menu
+    const policy = {};
+    for (const { name, option } of RETENTION_RULES) {
+      const value = this.getCountOption(`keep-${name}`);
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < 0) {
+        log.error(`--keep-${name} expects a non-negative integer`);
+        process.exitCode = 1;
+        return;
+      }
+      policy[option] = value;
+    }
+
+    // Without --keep-* switches, the profile's retention applies
+    if (Object.keys(policy).length === 0 && this.profile?.retention) {
+      Object.assign(policy, this.profile.retention);
+    }
+
+    if (Object.keys(policy).length > 0) {
+      await this.applyRetentionPolicy(policy);
+      return;
+    }
+
+    if (this.hasFlag("yes") || this.hasFlag("dry-run")) {
+      log.error(
+        "--yes and --dry-run need a retention policy: --keep-daily N, --keep-weekly N and/or --keep-monthly N"
+      );
+      process.exitCode = 1;
+      return;
+    }
+
     const backupDirs = this.getBackupDirectories();
 
     if (backupDirs.length === 0) {
@@ -449,6 +1009,30 @@ ${colors.bright}${colors.cyan}╔═══════════════
   async validateEnvironment(showLogs = true) {
     require("dotenv").config();
 
+    let credentials;
+    try {
+      credentials = resolveCredentials(this.profile);
+    } catch (error) {
+      if (showLogs) log.error(error.message);
+      return false;
+    }
+
+    if (credentials) {
+      const valid =
+        (credentials.supabaseUrl && credentials.serviceRoleKey) ||
+        credentials.databaseUrl;
+      if (showLogs) {
+        if (valid) {
+          log.success(`Credentials from ${this.profile.label}`);
+        } else {
+          log.error(
+            `${this.profile.label} needs supabaseUrl (or supabaseUrlEnv) and serviceRoleKeyEnv, or databaseUrlEnv`
+          );
+        }
+      }
+      return Boolean(valid);
+    }
+
     const url =
       process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
     const key =
@@ -505,7 +1089,7 @@ ${colors.bright}${colors.cyan}╔═══════════════
   }
 
   getBackupDirectories() {
-    const backupDir = "supabase-backup";
+    const backupDir = this.getBackupRoot();
     if (!fs.existsSync(backupDir)) return [];
 
     return fs
@@ -515,27 +1099,47 @@ ${colors.bright}${colors.cyan}╔═══════════════
       .reverse(); // Latest first
   }
 
+  // Statistics from backup-summary.json (backup-summary.json.enc next to the
+  // plaintext stub of an encrypted backup), or from complete-backup.json
+  // (plain or compressed) when the summary is missing
   getBackupStats(backupDir) {
-    const summaryPath = path.join(
-      "supabase-backup",
-      backupDir,
-      "backup-summary.json"
+    const dirPath = path.join(this.getBackupRoot(), backupDir);
+    const encryptedSummary = path.join(
+      dirPath,
+      `backup-summary.json${ENCRYPTION_EXTENSION}`
     );
+    const statsFile =
+      (fs.existsSync(encryptedSummary) && encryptedSummary) ||
+      resolveBackupFile(path.join(dirPath, "backup-summary.json")) ||
+      resolveBackupFile(path.join(dirPath, "complete-backup.json"));
 
-    if (!fs.existsSync(summaryPath)) {
+    if (!statsFile) {
       return { tables: "Unknown", rows: "Unknown", size: "Unknown" };
     }
 
     try {
-      const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+      const cipher = isEncryptedFile(statsFile) ? this.getCipher() : null;
+      const content = JSON.parse(readTextFileSync(statsFile, { cipher }));
       return {
-        tables: summary.statistics?.totalTables || "Unknown",
-        rows: summary.statistics?.totalRows?.toLocaleString() || "Unknown",
-        size: this.formatBytes(
-          this.getDirectorySize(path.join("supabase-backup", backupDir))
-        ),
+        tables: content.statistics?.totalTables || "Unknown",
+        rows: content.statistics?.totalRows?.toLocaleString() || "Unknown",
+        size: this.formatBytes(this.getDirectorySize(dirPath)),
+        compression:
+          content.backup?.compression ||
+          content.metadata?.compression ||
+          detectCompression(statsFile),
+        encryption:
+          content.backup?.encryption || content.metadata?.encryption || null,
       };
     } catch (error) {
+      if (error instanceof EncryptionError) {
+        return {
+          tables: "Encrypted",
+          rows: "Encrypted",
+          size: this.formatBytes(this.getDirectorySize(dirPath)),
+          encryption: { algorithm: "aes-256-gcm" },
+        };
+      }
       return { tables: "Error", rows: "Error", size: "Error" };
     }
   }
@@ -571,12 +1175,123 @@ ${colors.bright}${colors.cyan}╔═══════════════
   }
 
   calculateBackupSize() {
-    const backupDir = "supabase-backup";
+    const backupDir = this.getBackupRoot();
     if (!fs.existsSync(backupDir)) return "0 Bytes";
 
     return this.formatBytes(this.getDirectorySize(backupDir));
   }
 
+  // Print the grandfather-father-son plan, then delete (unless --dry-run)
+  async applyRetentionPolicy(policy) {
+    const backups = this.getBackupDirectories().map((dir) =>
+      this.getBackupInfo(dir)
+    );
+
+    if (backups.length === 0) {
+      log.info("No backups to clean");
+      return;
+    }
+
+    if (Object.values(policy).every((count) => count === 0)) {
+      log.error(
+        "Retention policy keeps no backups; refusing to delete them all"
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const plan = planRetention(backups, policy);
+    const rules = RETENTION_RULES.filter(({ option }) => option in policy)
+      .map(({ name, option }) => `${name} ${policy[option]}`)
+      .join(", ");
+    const sizes = new Map(
+      backups.map((backup) => [
+        backup.id,
+        this.getDirectorySize(path.join(this.getBackupRoot(), backup.id)),
+      ])
+    );
+
+    log.subtitle(`\n📋 Retention plan (${rules}; periods in UTC):`);
+    plan.entries.forEach(({ backup, reasons, keep }) => {
+      const action = keep
+        ? `${colors.green}keep  ${colors.reset}`
+        : `${colors.red}delete${colors.reset}`;
+      const type = backup.type === "incremental" ? " (incremental)" : "";
+      const detail = keep
+        ? reasons.join(", ")
+        : this.formatBytes(sizes.get(backup.id));
+      console.log(`   ${action}  ${backup.id}${type}  ${detail}`);
+    });
+
+    const freed = plan.remove.reduce(
+      (total, backup) => total + sizes.get(backup.id),
+      0
+    );
+    console.log(
+      `\n   Keep ${plan.keep.length}, delete ${plan.remove.length} (${this.formatBytes(freed)})`
+    );
+
+    if (plan.remove.length === 0) {
+      log.success("Nothing to delete");
+      return;
+    }
+
+    if (this.hasFlag("dry-run")) {
+      log.info("Dry run: no backups were deleted");
+      return;
+    }
+
+    if (!this.hasFlag("yes")) {
+      if (!process.stdin.isTTY) {
+        log.error(
+          "Not deleting without confirmation: pass --yes to run unattended"
+        );
+        process.exitCode = 1;
+        return;
+      }
+      const confirm = await this.question(
+        `\nDelete ${plan.remove.length} backups? (y/n): `
+      );
+      if (confirm.toLowerCase() !== "y") {
+        log.info("Cleaning cancelled");
+        return;
+      }
+    }
+
+    for (const backup of plan.remove) {
+      fs.rmSync(path.join(this.getBackupRoot(), backup.id), {
+        recursive: true,
+        force: true,
+      });
+      log.success(`Removed ${backup.id}`);
+    }
+    log.success(
+      `Removed ${plan.remove.length} backups, freed ${this.formatBytes(freed)}`
+    );
+  }
+
+  // Age and chain position of a backup, from backup-summary.json (falling
+  // back to the timestamp in the directory name; null when neither is usable)
+  getBackupInfo(dir) {
+    let summary = null;
+    try {
+      summary = this.readBackupSummary(path.join(this.getBackupRoot(), dir));
+    } catch (error) {
+      // Unreadable summary: treat like a missing one
+    }
+
+    const recorded = summary?.backup?.timestamp
+      ? new Date(summary.backup.timestamp)
+      : parseBackupId(dir);
+
+    return {
+      id: dir,
+      timestamp: recorded && !isNaN(recorded) ? recorded : null,
+      type: summary?.backup?.type || "full",
+      parentId: summary?.backup?.parentId || null,
+    };
+  }
+
   async cleanOldBackups(days) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
@@ -585,10 +1300,10 @@ ${colors.bright}${colors.cyan}╔═══════════════
     let removed = 0;
 
     for (const dir of backupDirs) {
-      const dirPath = path.join("supabase-backup", dir);
-      const stats = fs.statSync(dirPath);
+      const dirPath = path.join(this.getBackupRoot(), dir);
+      const { timestamp } = this.getBackupInfo(dir);
 
-      if (stats.mtime < cutoffDate) {
+      if (timestamp && timestamp < cutoffDate) {
         const confirm = await this.question(`Remove backup ${dir}? (y/n): `);
         if (confirm.toLowerCase() === "y") {
           fs.rmSync(dirPath, { recursive: true, force: true });
@@ -617,7 +1332,7 @@ ${colors.bright}${colors.cyan}╔═══════════════
     const confirm = await this.question("\nProceed? (y/n): ");
     if (confirm.toLowerCase() === "y") {
       for (const dir of toRemove) {
-        fs.rmSync(path.join("supabase-backup", dir), {
+        fs.rmSync(path.join(this.getBackupRoot(), dir), {
           recursive: true,
           force: true,
         });
@@ -626,6 +1341,27 @@ ${colors.bright}${colors.cyan}╔═══════════════
     }
   }
 
+  async removeAllBackups() {
+    const backupDirs = this.getBackupDirectories();
+
+    log.warning(
+      `This will permanently remove all ${backupDirs.length} backups (${this.calculateBackupSize()})`
+    );
+    const confirm = await this.question('Type "delete all" to confirm: ');
+    if (confirm !== "delete all") {
+      log.info("Cleaning cancelled");
+      return;
+    }
+
+    for (const dir of backupDirs) {
+      fs.rmSync(path.join(this.getBackupRoot(), dir), {
+        recursive: true,
+        force: true,
+      });
+    }
+    log.success(`Removed ${backupDirs.length} backups`);
+  }
+
   createBasicEnv() {
     const content = `# Supabase Configuration
 NEXT_PUBLIC_SUPABASE_URL=https://your-project.supabase.co
@@ -724,7 +1460,7 @@ jobs:
       const stats = this.getBackupStats(latest);
 
       log.subtitle("\n📊 Backup Summary:");
-      console.log(`   Location: supabase-backup/${latest}`);
+      console.log(`   Location: ${path.join(this.getBackupRoot(), latest)}`);
       console.log(`   Tables: ${stats.tables}`);
       console.log(`   Rows: ${stats.rows}`);
       console.log(`   Size: ${stats.size}`);
@@ -741,7 +1477,10 @@ ${colors.cyan}USAGE:${colors.reset}
 ${colors.cyan}COMMANDS:${colors.reset}
   ${colors.green}setup${colors.reset}      Set up the backup system with interactive configuration
   ${colors.green}backup${colors.reset}     Create a new backup (interactive mode if no options)
-  ${colors.green}restore${colors.reset}    Show restore instructions for existing backups
+  ${colors.green}restore${colors.reset}    Restore a backup into a target database
+  ${colors.green}verify${colors.reset}     Check a backup's files and row counts against its manifest
+  ${colors.green}diff${colors.reset}       Compare the schema and row counts of two backups
+  ${colors.green}migration${colors.reset}  Generate migration SQL from one backup's schema to another's
   ${colors.green}status${colors.reset}     Display system status and backup history
   ${colors.green}clean${colors.reset}      Clean old backups with various options
   ${colors.green}schedule${colors.reset}   Generate scheduling configurations (cron, docker, etc.)
@@ -755,6 +1494,49 @@ ${colors.cyan}BACKUP OPTIONS:${colors.reset}
   supabase-backup-cli backup --fast            # Fast development backup
   supabase-backup-cli backup --sql-only        # No CSV files
 
+${colors.cyan}RESTORE OPTIONS:${colors.reset}
+  supabase-backup-cli restore [backup] --db-url=postgresql://...
+  supabase-backup-cli restore [backup] --schema-only   # Schema only
+  supabase-backup-cli restore [backup] --data-only     # Data only
+  supabase-backup-cli restore [backup] --yes           # Skip confirmation
+  (target can also be set with RESTORE_DATABASE_URL; without a target
+   the restore instructions for the SQL Editor are shown)
+
+${colors.cyan}CLEAN OPTIONS:${colors.reset}
+  supabase-backup-cli clean                     # Interactive menu
+  supabase-backup-cli clean --keep-daily 7 --keep-weekly 4 --keep-monthly 12 --yes
+  supabase-backup-cli clean --keep-daily 7 --dry-run   # Print the plan only
+  (keeps the newest backup of each of the latest N days/ISO weeks/months,
+   by the timestamp in backup-summary.json, plus the parents of kept
+   incremental backups)
+
+${colors.cyan}ENCRYPTED BACKUPS:${colors.reset}
+  restore, verify, diff, migration and status decrypt with BACKUP_ENCRYPTION_PASSPHRASE,
+  BACKUP_ENCRYPTION_KEY, BACKUP_ENCRYPTION_KEY_FILE or --key-file=PATH
+
+${colors.cyan}VERIFY OPTIONS:${colors.reset}
+  supabase-backup-cli verify                    # Latest backup
+  supabase-backup-cli verify [backup]           # Exits non-zero on any mismatch
+
+${colors.cyan}DIFF AND MIGRATION OPTIONS:${colors.reset}
+  supabase-backup-cli diff <backupA> <backupB>         # Changes from A to B
+  supabase-backup-cli diff <backupA> <backupB> --json  # Machine-readable
+  (tables, columns, functions, views, triggers, policies, indexes, enums
+   and per-table row counts)
+  supabase-backup-cli migration <backupA> <backupB> --output=migrate.sql
+  (ALTER TABLE, CREATE OR REPLACE FUNCTION, policy and enum statements
+   that move schema A to schema B; review before running)
+
+${colors.cyan}PROFILES:${colors.reset}
+  supabase-backup-cli backup --profile staging   # Any command takes --profile
+  supabase-backup-cli clean --profile production --yes
+  supabase-backup-cli backup --all-projects      # Every profile, one after another
+  supabase-backup-cli backup --projects=shop,blog
+  (profiles in supabase-backup.config.json or .js set credentials sources,
+   backup options, outputDir and retention; without --profile the file's
+   defaultProfile is used; each profile's backups go to
+   supabase-backup/<profile>/<timestamp>)
+
 ${colors.cyan}EXAMPLES:${colors.reset}
   # First time setup
   supabase-backup-cli setup
@@ -765,6 +1547,9 @@ ${colors.cyan}EXAMPLES:${colors.reset}
   # Quick development backup  
   supabase-backup-cli backup --fast
   
+  # Restore a specific backup into a staging database
+  supabase-backup-cli restore 2024-01-15T02-00-00 --db-url=$STAGING_DB_URL
+
   # Check system status
   supabase-backup-cli status
   
@@ -785,6 +1570,34 @@ ${colors.cyan}SUPPORT:${colors.reset}
 `);
   }
 
+  // --name=value option from the command line
+  getOption(name) {
+    const prefix = `--${name}=`;
+    const arg = this.args.find((item) => item.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : undefined;
+  }
+
+  // --name=N or --name N as a number (undefined when absent, NaN when invalid)
+  getCountOption(name) {
+    const index = this.args.indexOf(`--${name}`);
+    const value = index === -1 ? this.getOption(name) : this.args[index + 1];
+    if (index === -1 && value === undefined) return undefined;
+    return /^\d+$/.test(value || "") ? Number(value) : NaN;
+  }
+
+  hasFlag(name) {
+    return this.args.includes(`--${name}`);
+  }
+
+  // Arguments after the command that are not options
+  getPositionalArgs() {
+    return this.args
+      .slice(1)
+      .filter(
+        (item, i, args) => !item.startsWith("--") && args[i - 1] !== "--profile"
+      );
+  }
+
   async question(prompt) {
     return new Promise((resolve) => {
       this.rl.question(prompt, resolve);
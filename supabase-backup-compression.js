@@ -0,0 +1,171 @@
+// supabase-backup-compression.js
+// gzip/zstd streams for backup files, and reading files back through
+// decryption and decompression. zstd uses zlib on Node.js 22.15+, else the CLI
+
+const fs = require("fs");
+const zlib = require("zlib");
+const { spawn, execFileSync } = require("child_process");
+const { Duplex, PassThrough } = require("stream");
+const {
+  ENCRYPTION_EXTENSION,
+  isEncryptedFile,
+  requireCipher,
+} = require("./supabase-backup-encryption");
+
+const COMPRESSION_FORMATS = {
+  gzip: { extension: ".gz" },
+  zstd: { extension: ".zst" },
+};
+
+const hasZlibZstd = typeof zlib.createZstdCompress === "function";
+
+// compressOutput config value -> format name or null (true means gzip)
+function normalizeCompression(value) {
+  if (!value) return null;
+  const format = value === true ? "gzip" : String(value).toLowerCase();
+  if (!COMPRESSION_FORMATS[format]) {
+    throw new Error(
+      `Unsupported compression "${value}" (expected ${Object.keys(COMPRESSION_FORMATS).join(" or ")})`
+    );
+  }
+  return format;
+}
+
+function compressionExtension(format) {
+  return format ? COMPRESSION_FORMATS[format].extension : "";
+}
+
+// Compression of a stored file, looking through an encryption extension
+function detectCompression(filePath) {
+  const name = isEncryptedFile(filePath)
+    ? filePath.slice(0, -ENCRYPTION_EXTENSION.length)
+    : filePath;
+  return (
+    Object.keys(COMPRESSION_FORMATS).find((format) =>
+      name.endsWith(COMPRESSION_FORMATS[format].extension)
+    ) || null
+  );
+}
+
+// Throws when the format cannot be written or read on this machine
+function assertCompressionAvailable(format) {
+  if (format !== "zstd" || hasZlibZstd) return;
+
+  try {
+    execFileSync("zstd", ["--version"], { stdio: "ignore" });
+  } catch (error) {
+    throw new Error(
+      "zstd compression needs Node.js 22.15+ or the zstd command-line tool"
+    );
+  }
+}
+
+// Duplex over a child process; the readable side only ends once the process
+// has exited cleanly, so a failed (de)compression is never silently truncated
+function spawnTransform(command, args) {
+  const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+  const output = new PassThrough();
+  let stderr = "";
+
+  child.stdout.pipe(output, { end: false });
+  child.stderr.on("data", (chunk) => {
+    stderr += chunk;
+  });
+
+  const duplex = Duplex.from({ writable: child.stdin, readable: output });
+
+  child.on("error", (error) => duplex.destroy(error));
+  child.on("close", (code) => {
+    if (code === 0) {
+      output.end();
+    } else {
+      duplex.destroy(
+        new Error(`${command} exited with code ${code}: ${stderr.trim()}`)
+      );
+    }
+  });
+
+  return duplex;
+}
+
+function createCompressor(format) {
+  if (format === "gzip") return zlib.createGzip();
+  if (hasZlibZstd) return zlib.createZstdCompress();
+  return spawnTransform("zstd", ["-q", "-c"]);
+}
+
+function createDecompressor(format) {
+  if (format === "gzip") return zlib.createGunzip();
+  if (hasZlibZstd) return zlib.createZstdDecompress();
+  return spawnTransform("zstd", ["-q", "-d", "-c"]);
+}
+
+// Stored file (plain, compressed and/or encrypted) as a stream of its
+// original content. cipher: a BackupCipher, needed for .enc files.
+function openReadStream(filePath, { encoding, cipher } = {}) {
+  const source = isEncryptedFile(filePath)
+    ? requireCipher(cipher, filePath).createDecryptStream(filePath)
+    : fs.createReadStream(filePath);
+
+  const format = detectCompression(filePath);
+  const stream = format ? source.pipe(createDecompressor(format)) : source;
+
+  if (format) source.on("error", (error) => stream.destroy(error));
+  if (encoding) stream.setEncoding(encoding);
+  return stream;
+}
+
+async function readTextFile(filePath, { cipher } = {}) {
+  const chunks = [];
+  for await (const chunk of openReadStream(filePath, { cipher })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function readTextFileSync(filePath, { cipher } = {}) {
+  const content = isEncryptedFile(filePath)
+    ? requireCipher(cipher, filePath).decryptFileSync(filePath)
+    : fs.readFileSync(filePath);
+
+  const format = detectCompression(filePath);
+  if (format === "gzip") return zlib.gunzipSync(content).toString("utf8");
+  if (format === "zstd" && hasZlibZstd) {
+    return zlib.zstdDecompressSync(content).toString("utf8");
+  }
+  if (format === "zstd") {
+    return execFileSync("zstd", ["-q", "-d", "-c"], {
+      input: content,
+      encoding: "utf8",
+      maxBuffer: Infinity,
+    });
+  }
+  return content.toString("utf8");
+}
+
+// The stored path of a backup file, compressed and/or encrypted or not
+// (null when missing)
+function resolveBackupFile(filePath) {
+  const extensions = Object.values(COMPRESSION_FORMATS).map(
+    ({ extension }) => extension
+  );
+  const candidates = ["", ...extensions].flatMap((extension) => [
+    filePath + extension,
+    filePath + extension + ENCRYPTION_EXTENSION,
+  ]);
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+module.exports = {
+  COMPRESSION_FORMATS,
+  normalizeCompression,
+  compressionExtension,
+  detectCompression,
+  assertCompressionAvailable,
+  createCompressor,
+  createDecompressor,
+  openReadStream,
+  readTextFile,
+  readTextFileSync,
+  resolveBackupFile,
+};
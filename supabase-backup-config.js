@@ -0,0 +1,476 @@
+// supabase-backup-config.js
+// Backup defaults and the project config file with named profiles
+// (supabase-backup.config.js or .json), validated before a run starts
+
+const fs = require("fs");
+const path = require("path");
+const { RETENTION_RULES } = require("./supabase-backup-retention");
+
+// Enhanced backup configuration
+const BACKUP_CONFIG = {
+  // Schema objects
+  includeTables: true,
+  includeViews: true,
+  includeFunctions: true,
+  includeTriggers: true,
+  includePolicies: true,
+  includeIndexes: true,
+  includeSequences: true,
+  includeConstraints: true,
+  includeExtensions: true,
+  includeEnums: true,
+
+  // Data options
+  includeData: true,
+  includeSystemTables: false,
+
+  // Export formats
+  exportFormats: ["sql", "json", "csv"],
+
+  // System schemas/tables to exclude
+  excludeSchemas: [
+    "information_schema",
+    "pg_catalog",
+    "pg_toast",
+    "pg_temp_1",
+    "pg_toast_temp_1",
+    "auth",
+    "storage",
+    "realtime",
+    "supabase_functions",
+    "supabase_migrations",
+    "pgsodium",
+    "vault",
+    "graphql",
+    "graphql_public",
+  ],
+
+  // Table and column rules: "schema.table" globs with * and ?, checked in
+  // order with the last match winning; "!" takes a table back out of an
+  // earlier match. A name without a schema means public.
+  onlyTables: [], // Only these tables and views (default: all)
+  excludeTables: [], // Left out of schema and data, e.g. "public.audit_*"
+  excludeColumns: [], // "schema.table.column" left out of data files
+
+  // Partial backups: { "schema.table" glob: filter } in PostgREST syntax
+  // ("status=neq.archived") or SQL (direct connection only)
+  tableFilters: {},
+
+  // Subset mode (direct connection): sampled rows of root tables plus every
+  // row they reference, e.g. { roots: { "public.orders": 100 },
+  // followChildren: false }. Roots take a sample size, "all" or a row filter.
+  subset: null,
+
+  // Deterministic masking of data files: { "schema.table.column" glob:
+  // strategy }, e.g. { "*.*.email": "fake_email", "*.phone": "hash" }
+  maskColumns: {},
+
+  // Schema backed up, rows not
+  excludeDataTables: [
+    "auth.users",
+    "auth.sessions",
+    "auth.refresh_tokens",
+    "auth.instances",
+    "auth.audit_log_entries",
+    "auth.flow_state",
+    "auth.identities",
+    "storage.objects",
+    "storage.buckets",
+    "storage.migrations",
+    "realtime.subscription",
+    "realtime.schema_migrations",
+    "pgsodium.key",
+    "vault.secrets",
+  ],
+
+  // Auth users, identities and MFA factors with their password hashes and
+  // MFA secrets (direct connection only; the auth schema is not in PostgREST)
+  includeAuth: false,
+
+  // Storage buckets and object files (Storage API; needs SUPABASE_URL and
+  // the service role key, also in direct connection mode)
+  includeStorage: false,
+  storageBuckets: [], // Only these buckets (default: all)
+  storagePrefixes: [], // Only objects under these "bucket/prefix" paths
+
+  // Incremental backups
+  incremental: false, // Only fetch rows changed since the parent backup
+  parentBackupId: null, // Parent backup directory name (default: latest)
+  changeColumns: ["updated_at", "created_at"], // First match per table
+  tableChangeColumns: {}, // Per-table override: { "public.orders": "modified_at" }
+
+  // Limits
+  maxRowsPerTable: 100000,
+  maxTableSizeMB: 500,
+  queryTimeout: 30000,
+  concurrency: 1, // Tables fetched/analyzed in parallel
+
+  // Output options
+  outputDir: "supabase-backup", // Backups go to <outputDir>/<timestamp>
+  createRestoreScript: true,
+  includeDropStatements: true,
+  includeSystemInfo: true,
+  generateReadme: true,
+  compressOutput: false, // false, "gzip" or "zstd" (data files and scripts)
+  sqlDataFormat: "insert", // "insert" or "copy" (COPY ... FROM stdin blocks)
+  supabaseCliExport: false, // true or "split": supabase/migrations + seed.sql
+  encryptOutput: false, // AES-256-GCM; key from the environment or --key-file
+};
+
+const CONFIG_FILES = [
+  "supabase-backup.config.js",
+  "supabase-backup.config.json",
+];
+
+const FILE_KEYS = ["defaultProfile", "defaults", "profiles"];
+
+// Profile keys besides the BACKUP_CONFIG options. Credentials never go in the
+// file: a profile names the environment variables that hold them.
+const PROFILE_KEYS = {
+  supabaseUrl: ["string"],
+  supabaseUrlEnv: ["string"],
+  serviceRoleKeyEnv: ["string"],
+  databaseUrlEnv: ["string"],
+  encryptionKeyFile: ["string"],
+  retention: ["object"],
+};
+
+// Credentials someone may try to put in the file -> the key to use instead
+const SECRET_KEYS = {
+  serviceRoleKey: "serviceRoleKeyEnv",
+  serviceKey: "serviceRoleKeyEnv",
+  databaseUrl: "databaseUrlEnv",
+};
+
+// Options whose type differs from the type of their default value
+const OPTION_TYPES = {
+  compressOutput: ["boolean", "string"],
+  supabaseCliExport: ["boolean", "string"],
+  parentBackupId: ["string", "null"],
+  subset: ["object", "null"],
+};
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function expectedTypes(key) {
+  if (PROFILE_KEYS[key]) return PROFILE_KEYS[key];
+  if (key in BACKUP_CONFIG) {
+    return OPTION_TYPES[key] || [typeOf(BACKUP_CONFIG[key])];
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// " (did you mean "x"?)" for a near miss or a shortened known key
+function suggestKey(key, knownKeys) {
+  const lower = key.toLowerCase();
+  const [best] = knownKeys
+    .map((known) => ({
+      known,
+      distance: known.toLowerCase().startsWith(lower)
+        ? 0
+        : editDistance(lower, known.toLowerCase()),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return best && best.distance <= Math.max(2, Math.floor(key.length / 3))
+    ? ` (did you mean "${best.known}"?)`
+    : "";
+}
+
+// Problems with one profile (or the shared defaults), as messages
+function validateSection(section, label) {
+  if (typeOf(section) !== "object") {
+    return [`${label} must be an object`];
+  }
+
+  const knownKeys = [
+    ...Object.keys(BACKUP_CONFIG),
+    ...Object.keys(PROFILE_KEYS),
+  ];
+  const errors = [];
+
+  Object.entries(section).forEach(([key, value]) => {
+    if (SECRET_KEYS[key]) {
+      errors.push(
+        `${label}: "${key}" would put a credential in the config file; set it in an environment variable and name that variable in "${SECRET_KEYS[key]}"`
+      );
+      return;
+    }
+
+    const types = expectedTypes(key);
+    if (!types) {
+      errors.push(
+        `${label}: unknown key "${key}"${suggestKey(key, knownKeys)}`
+      );
+      return;
+    }
+    if (!types.includes(typeOf(value))) {
+      errors.push(
+        `${label}: "${key}" must be ${types.join(" or ")}, got ${typeOf(value)}`
+      );
+      return;
+    }
+
+    if (key === "retention") {
+      const options = RETENTION_RULES.map((rule) => rule.option);
+      Object.entries(value).forEach(([option, count]) => {
+        if (!options.includes(option)) {
+          errors.push(
+            `${label}: unknown retention key "${option}"${suggestKey(option, options)}`
+          );
+        } else if (!Number.isInteger(count) || count < 0) {
+          errors.push(
+            `${label}: retention.${option} must be a non-negative integer`
+          );
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+// Every problem in a parsed config file; throws ConfigError listing them
+function validateConfig(config, fileName) {
+  if (typeOf(config) !== "object") {
+    throw new ConfigError(`${fileName} must contain an object`);
+  }
+
+  const errors = [];
+  Object.keys(config)
+    .filter((key) => !FILE_KEYS.includes(key))
+    .forEach((key) => {
+      errors.push(
+        `unknown top-level key "${key}"${suggestKey(key, FILE_KEYS)}; options belong in "defaults" or in a profile`
+      );
+    });
+
+  if (config.defaults !== undefined) {
+    errors.push(...validateSection(config.defaults, "defaults"));
+  }
+
+  const profiles = config.profiles ?? {};
+  if (typeOf(profiles) !== "object") {
+    errors.push(`"profiles" must be an object of named profiles`);
+  } else {
+    Object.entries(profiles).forEach(([name, profile]) => {
+      errors.push(...validateSection(profile, `profile "${name}"`));
+    });
+
+    if (
+      config.defaultProfile !== undefined &&
+      !Object.hasOwn(profiles, config.defaultProfile)
+    ) {
+      errors.push(
+        `defaultProfile "${config.defaultProfile}" is not one of the profiles`
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(
+      `Invalid ${fileName}:\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+}
+
+// The config file in dir: { file, config }, or null when there is none
+function readConfigFile(dir = process.cwd()) {
+  const fileName = CONFIG_FILES.find((name) =>
+    fs.existsSync(path.join(dir, name))
+  );
+  if (!fileName) return null;
+
+  const filePath = path.resolve(dir, fileName);
+  let config;
+  try {
+    config = fileName.endsWith(".js")
+      ? require(filePath)
+      : JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Cannot load ${fileName}: ${error.message}`);
+  }
+
+  validateConfig(config, fileName);
+  return { file: fileName, config };
+}
+
+// Profile `name` (or the file's defaultProfile) merged over the shared
+// defaults: { name, file, label, options, encryptionKeyFile, retention,
+// sources }. A named profile writes to <outputDir>/<name> unless it sets
+// its own outputDir.
+// options only holds the BACKUP_CONFIG keys the file sets. Returns null when
+// there is no config file and no profile was asked for.
+function loadProfile(name, { dir = process.cwd() } = {}) {
+  const loaded = readConfigFile(dir);
+
+  if (!loaded) {
+    if (name === undefined) return null;
+    throw new ConfigError(
+      `--profile ${name} needs a config file: create ${CONFIG_FILES.join(" or ")} in ${dir}`
+    );
+  }
+
+  const { file, config } = loaded;
+  const profiles = config.profiles || {};
+  const profileName = name ?? config.defaultProfile ?? null;
+
+  if (profileName !== null && !Object.hasOwn(profiles, profileName)) {
+    const available = Object.keys(profiles);
+    throw new ConfigError(
+      `Unknown profile "${profileName}" in ${file}${
+        available.length
+          ? `; available: ${available.join(", ")}`
+          : " (it defines no profiles)"
+      }`
+    );
+  }
+
+  const profile = profileName !== null ? profiles[profileName] : {};
+  const merged = { ...config.defaults, ...profile };
+
+  // Each named profile keeps its backups apart: <outputDir>/<profile>
+  if (profileName !== null && profile.outputDir === undefined) {
+    merged.outputDir = path.join(
+      config.defaults?.outputDir || BACKUP_CONFIG.outputDir,
+      profileName
+    );
+  }
+  const options = {};
+  const sources = {};
+  Object.entries(merged).forEach(([key, value]) => {
+    if (key in BACKUP_CONFIG) options[key] = value;
+    else if (key !== "encryptionKeyFile" && key !== "retention") {
+      sources[key] = value;
+    }
+  });
+
+  return {
+    name: profileName,
+    file,
+    label:
+      profileName !== null
+        ? `profile "${profileName}" in ${file}`
+        : `defaults in ${file}`,
+    options,
+    encryptionKeyFile: merged.encryptionKeyFile,
+    retention: merged.retention,
+    sources,
+  };
+}
+
+// Credentials from the profile's sources, or null when it names none (the
+// usual environment variables apply then). A profile that names any source
+// never falls back to those variables, so it cannot reach another project.
+function resolveCredentials(profile, env = process.env) {
+  const { sources } = profile || {};
+  if (!sources || Object.keys(sources).length === 0) return null;
+
+  const read = (key) => {
+    const variable = sources[key];
+    if (variable === undefined) return undefined;
+    if (!env[variable]) {
+      throw new ConfigError(
+        `Cannot use ${profile.label}: environment variable ${variable} (${key}) is not set`
+      );
+    }
+    return env[variable];
+  };
+
+  return {
+    supabaseUrl: sources.supabaseUrl ?? read("supabaseUrlEnv"),
+    serviceRoleKey: read("serviceRoleKeyEnv"),
+    databaseUrl: read("databaseUrlEnv"),
+  };
+}
+
+// --profile NAME or --profile=NAME from command line arguments
+function getProfileArg(args) {
+  const index = args.indexOf("--profile");
+  if (index !== -1) {
+    const value = args[index + 1];
+    if (!value || value.startsWith("--")) {
+      throw new ConfigError("--profile expects a profile name");
+    }
+    return value;
+  }
+
+  const arg = args.find((item) => item.startsWith("--profile="));
+  return arg ? arg.slice("--profile=".length) : undefined;
+}
+
+// Profiles to back up in one run, from --projects=a,b or --all-projects
+// (every profile in the file); null for a single-project run
+function getProjectNames(args, { dir = process.cwd() } = {}) {
+  const listArg = args.find((item) => item.startsWith("--projects="));
+  const all = args.includes("--all-projects");
+  if (!listArg && !all) return null;
+
+  const option = listArg ? "--projects" : "--all-projects";
+  const loaded = readConfigFile(dir);
+  if (!loaded) {
+    throw new ConfigError(
+      `${option} needs a config file with a profile per project: create ${CONFIG_FILES.join(" or ")} in ${dir}`
+    );
+  }
+
+  const available = Object.keys(loaded.config.profiles || {});
+  const names = all
+    ? available
+    : listArg
+        .slice("--projects=".length)
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+  if (names.length === 0) {
+    throw new ConfigError(`${option}: no profiles to back up`);
+  }
+
+  const unknown = names.filter((name) => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new ConfigError(
+      `${option}: unknown profile${unknown.length > 1 ? "s" : ""} ${unknown.join(", ")} in ${loaded.file}; available: ${available.join(", ")}`
+    );
+  }
+
+  return [...new Set(names)];
+}
+
+module.exports = {
+  BACKUP_CONFIG,
+  CONFIG_FILES,
+  ConfigError,
+  validateConfig,
+  readConfigFile,
+  loadProfile,
+  resolveCredentials,
+  getProfileArg,
+  getProjectNames,
+};
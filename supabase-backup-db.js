@@ -0,0 +1,171 @@
+// supabase-backup-db.js
+// Direct PostgreSQL connection for the backup system
+// Reads catalogs and table data over the wire protocol (no exec_sql needed)
+
+const { Client, Pool, Query, types } = require("pg");
+
+// Type OIDs that need custom parsing
+const TYPE_OIDS = {
+  NAME_ARRAY: 1003,
+  TEXT_ARRAY: 1009,
+  BYTEA: 17,
+  DATE: 1082,
+  TIME: 1083,
+  TIMESTAMP: 1114,
+  TIMESTAMPTZ: 1184,
+  INTERVAL: 1186,
+  TIMETZ: 1266,
+};
+
+// Keep date/time and binary values as Postgres text so they round-trip exactly
+const RAW_TEXT_TYPES = new Set([
+  TYPE_OIDS.BYTEA,
+  TYPE_OIDS.DATE,
+  TYPE_OIDS.TIME,
+  TYPE_OIDS.TIMESTAMP,
+  TYPE_OIDS.TIMESTAMPTZ,
+  TYPE_OIDS.INTERVAL,
+  TYPE_OIDS.TIMETZ,
+]);
+
+const typeParsers = {
+  getTypeParser(oid, format) {
+    if (format === "text" && RAW_TEXT_TYPES.has(oid)) {
+      return (value) => value;
+    }
+    if (format === "text" && oid === TYPE_OIDS.NAME_ARRAY) {
+      return types.getTypeParser(TYPE_OIDS.TEXT_ARRAY, format);
+    }
+    return types.getTypeParser(oid, format);
+  },
+};
+
+const COPY_CHUNK_BYTES = 64 * 1024;
+
+// pg has no COPY FROM stdin of its own: a query that answers the server's
+// CopyInResponse with the data and the end-of-copy message
+class CopyFromQuery extends Query {
+  constructor(sql, data, callback) {
+    super(sql, undefined, callback);
+    this.data = data;
+  }
+
+  handleCopyInResponse(connection) {
+    const data = Buffer.from(this.data || "");
+    for (let i = 0; i < data.length; i += COPY_CHUNK_BYTES) {
+      connection.sendCopyFromChunk(data.subarray(i, i + COPY_CHUNK_BYTES));
+    }
+    connection.endCopyFrom();
+  }
+}
+
+class DirectConnection {
+  constructor(connectionString, options = {}) {
+    this.connectionString = connectionString;
+    this.options = options;
+    this.client = null;
+  }
+
+  // Supabase requires TLS; local servers usually do not offer it
+  sslConfig() {
+    const url = new URL(this.connectionString);
+    if (url.searchParams.has("sslmode")) return undefined; // let pg decide
+
+    const localHosts = ["localhost", "127.0.0.1", "::1", "[::1]"];
+    return localHosts.includes(url.hostname)
+      ? false
+      : { rejectUnauthorized: false };
+  }
+
+  // A single client by default; a pool when poolSize > 1 so that queries can
+  // run in parallel (sessions are then not shared, so no transactions)
+  async connect() {
+    if (this.client) return this.client;
+
+    const config = {
+      connectionString: this.connectionString,
+      ssl: this.sslConfig(),
+      types: typeParsers,
+      statement_timeout: this.options.queryTimeout || undefined,
+      application_name:
+        this.options.applicationName || "professional-supabase-backup",
+    };
+
+    if (this.options.poolSize > 1) {
+      const pool = new Pool({ ...config, max: this.options.poolSize });
+      pool.on("error", () => {}); // idle client errors surface on next query
+      this.client = pool;
+      return pool;
+    }
+
+    const client = new Client(config);
+    await client.connect();
+    this.client = client;
+    return client;
+  }
+
+  async query(sql, params = []) {
+    const client = await this.connect();
+    const result = await client.query(sql, params);
+    return result.rows;
+  }
+
+  // COPY ... FROM stdin with the rows as COPY text (what a restore script
+  // carries after the statement); a pool lends one of its clients
+  async copyFrom(sql, data) {
+    const client = await this.connect();
+    const pooled = client instanceof Pool ? await client.connect() : null;
+    try {
+      await new Promise((resolve, reject) => {
+        (pooled || client).query(
+          new CopyFromQuery(sql, data, (error) =>
+            error ? reject(error) : resolve()
+          )
+        );
+      });
+    } finally {
+      if (pooled) pooled.release();
+    }
+  }
+
+  async end() {
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+
+  // Connection string with the password hidden, safe for logs and metadata
+  describe() {
+    try {
+      const url = new URL(this.connectionString);
+      if (url.password) url.password = "****";
+      return url.toString();
+    } catch {
+      return "postgresql://(invalid connection string)";
+    }
+  }
+
+  // Supabase project ref from db.<ref>.supabase.co or a postgres.<ref> pooler user
+  projectRef() {
+    try {
+      const url = new URL(this.connectionString);
+      const hostMatch = url.hostname.match(/^db\.([^.]+)\.supabase\.co$/);
+      if (hostMatch) return hostMatch[1];
+
+      const userMatch = decodeURIComponent(url.username).match(
+        /^[^.]+\.([a-z0-9]+)$/
+      );
+      return userMatch ? userMatch[1] : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Quote an identifier for SQL ("my""table")
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+module.exports = { DirectConnection, quoteIdent };
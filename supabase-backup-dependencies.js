@@ -0,0 +1,106 @@
+// supabase-backup-dependencies.js
+// Dependency graph used to order restore scripts
+// Topological sort with cycle reporting and cycle breaking
+
+class DependencyGraph {
+  constructor() {
+    this.nodes = new Map(); // key -> { key, value, rank, index }
+    this.edges = new Map(); // key -> Map(dependencyKey -> meta)
+  }
+
+  // rank decides the order between nodes that are ready at the same time
+  addNode(key, value, rank = 0) {
+    if (!this.nodes.has(key)) {
+      this.nodes.set(key, { key, value, rank, index: this.nodes.size });
+      this.edges.set(key, new Map());
+    }
+    return this.nodes.get(key);
+  }
+
+  hasNode(key) {
+    return this.nodes.has(key);
+  }
+
+  // "from" must be created after "to"; edges to unknown nodes are ignored
+  addDependency(from, to, meta = {}) {
+    if (from === to || !this.nodes.has(from) || !this.nodes.has(to)) {
+      return false;
+    }
+    this.edges.get(from).set(to, meta);
+    return true;
+  }
+
+  compareNodes(a, b) {
+    return a.rank - b.rank || a.index - b.index;
+  }
+
+  // Returns { order, cycles, brokenEdges }. Cycles are broken by dropping the
+  // edge that closes them, preferring edges marked as breakable.
+  sort() {
+    const remaining = new Map(
+      [...this.edges].map(([key, deps]) => [key, new Map(deps)])
+    );
+    const order = [];
+    const cycles = [];
+    const brokenEdges = [];
+
+    while (remaining.size > 0) {
+      const ready = [...remaining.keys()]
+        .filter((key) =>
+          [...remaining.get(key).keys()].every((dep) => !remaining.has(dep))
+        )
+        .map((key) => this.nodes.get(key))
+        .sort((a, b) => this.compareNodes(a, b));
+
+      if (ready.length > 0) {
+        const node = ready[0];
+        order.push(node.value);
+        remaining.delete(node.key);
+        continue;
+      }
+
+      const cycle = this.findCycle(remaining);
+      const edge = this.pickEdgeToBreak(cycle, remaining);
+      cycles.push(cycle);
+      brokenEdges.push(edge);
+      remaining.get(edge.from).delete(edge.to);
+    }
+
+    return { order, cycles, brokenEdges };
+  }
+
+  // Walk dependencies from the first stuck node until one repeats
+  findCycle(remaining) {
+    const start = [...remaining.keys()]
+      .map((key) => this.nodes.get(key))
+      .sort((a, b) => this.compareNodes(a, b))[0].key;
+
+    const path = [];
+    const position = new Map();
+    let current = start;
+
+    while (!position.has(current)) {
+      position.set(current, path.length);
+      path.push(current);
+      current = [...remaining.get(current).keys()].find((dep) =>
+        remaining.has(dep)
+      );
+    }
+
+    return path.slice(position.get(current));
+  }
+
+  pickEdgeToBreak(cycle, remaining) {
+    const cycleEdges = cycle.map((from, i) => {
+      const to = cycle[(i + 1) % cycle.length];
+      return { from, to, meta: remaining.get(from).get(to) };
+    });
+
+    return (
+      cycleEdges.find((edge) => edge.meta?.breakable) ||
+      cycleEdges[cycleEdges.length - 1]
+    );
+  }
+}
+
+module.exports = { DependencyGraph };
@@ -0,0 +1,434 @@
+// supabase-backup-diff.js
+// Compares the schema and row counts of two backups (complete-backup.json)
+// Produces a structured diff plus text and JSON renderings of it
+
+// Column type as written by the restore script generator
+function columnType(column) {
+  const dataType = (column.data_type || "").toLowerCase();
+
+  if (dataType === "array" && column.udt_name) {
+    return `${column.udt_name.replace(/^_/, "")}[]`;
+  }
+  if (dataType === "user-defined" && column.udt_name) {
+    return column.udt_schema
+      ? `${column.udt_schema}.${column.udt_name}`
+      : column.udt_name;
+  }
+  if (column.character_maximum_length) {
+    return `${dataType}(${column.character_maximum_length})`;
+  }
+  if (dataType === "numeric" && column.numeric_precision) {
+    return column.numeric_scale
+      ? `numeric(${column.numeric_precision},${column.numeric_scale})`
+      : `numeric(${column.numeric_precision})`;
+  }
+  return dataType || column.udt_name || "unknown";
+}
+
+function describeColumn(column) {
+  return {
+    name: column.column_name,
+    type: columnType(column),
+    nullable: column.is_nullable !== "NO",
+    default: column.column_default ?? null,
+  };
+}
+
+// information_schema.triggers has one row per event; merge them per trigger
+function groupTriggers(triggers) {
+  const grouped = new Map();
+  triggers.forEach((trigger) => {
+    const key = `${trigger.event_object_schema}.${trigger.event_object_table}.${trigger.trigger_name}`;
+    const entry = grouped.get(key) || { ...trigger, events: [] };
+    entry.events.push(trigger.event_manipulation);
+    grouped.set(key, entry);
+  });
+  return [...grouped.values()];
+}
+
+// Schema object kinds compared by definition text. `list` picks the rows
+// from a backup's schema section, `key` names an object and `definition`
+// renders what is compared.
+const OBJECT_KINDS = [
+  {
+    kind: "functions",
+    list: (schema) => schema.functions || [],
+    key: (fn) =>
+      `${fn.routine_schema}.${fn.routine_name}(${fn.function_arguments ?? ""})`,
+    definition: (fn) =>
+      fn.full_definition ||
+      fn.complete_definition ||
+      fn.routine_definition ||
+      "",
+  },
+  {
+    kind: "views",
+    list: (schema) => schema.views || [],
+    key: (view) => `${view.view_schema}.${view.view_name}`,
+    definition: (view) => view.view_definition || "",
+  },
+  {
+    kind: "triggers",
+    list: (schema) => groupTriggers(schema.triggers || []),
+    key: (trigger) =>
+      `${trigger.event_object_schema}.${trigger.event_object_table}.${trigger.trigger_name}`,
+    definition: (trigger) =>
+      [
+        trigger.action_timing,
+        [...trigger.events].sort().join(" OR "),
+        `FOR EACH ${trigger.action_orientation}`,
+        trigger.action_condition ? `WHEN (${trigger.action_condition})` : "",
+        trigger.action_statement,
+      ]
+        .filter(Boolean)
+        .join(" "),
+  },
+  {
+    kind: "policies",
+    list: (schema) => schema.policies || [],
+    key: (policy) =>
+      `${policy.schemaname}.${policy.tablename}.${policy.policyname}`,
+    definition: (policy) =>
+      JSON.stringify({
+        permissive: policy.permissive,
+        roles: policy.roles,
+        cmd: policy.cmd,
+        using: policy.qual,
+        withCheck: policy.with_check,
+      }),
+  },
+  {
+    kind: "indexes",
+    list: (schema) => schema.indexes || [],
+    key: (index) => `${index.schemaname}.${index.indexname}`,
+    definition: (index) => index.indexdef || "",
+  },
+  {
+    kind: "enums",
+    list: (schema) => schema.enums || [],
+    key: (enumType) => `${enumType.schema_name}.${enumType.enum_name}`,
+    definition: (enumType) => (enumType.enum_values || []).join(", "),
+  },
+];
+
+// { added: [{ name, to }], removed: [{ name, from }], changed: [{ name, from, to }] }
+function diffByKey(fromItems, toItems, key, isChanged) {
+  const fromMap = new Map(fromItems.map((item) => [key(item), item]));
+  const toMap = new Map(toItems.map((item) => [key(item), item]));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return {
+    added: [...toMap]
+      .filter(([name]) => !fromMap.has(name))
+      .map(([name, to]) => ({ name, to }))
+      .sort(byName),
+    removed: [...fromMap]
+      .filter(([name]) => !toMap.has(name))
+      .map(([name, from]) => ({ name, from }))
+      .sort(byName),
+    changed: [...toMap]
+      .filter(([name]) => fromMap.has(name))
+      .map(([name, to]) => ({ name, from: fromMap.get(name), to }))
+      .filter(({ from, to }) => isChanged(from, to))
+      .sort(byName),
+  };
+}
+
+function diffColumns(fromTable, toTable) {
+  const columns = diffByKey(
+    (fromTable.columns || []).map(describeColumn),
+    (toTable.columns || []).map(describeColumn),
+    (column) => column.name,
+    (from, to) =>
+      from.type !== to.type ||
+      from.nullable !== to.nullable ||
+      from.default !== to.default
+  );
+
+  columns.changed = columns.changed.map(({ name, from, to }) => ({
+    name,
+    from,
+    to,
+    changes: ["type", "nullable", "default"].filter(
+      (field) => from[field] !== to[field]
+    ),
+  }));
+  return columns;
+}
+
+function diffTables(fromSchema, toSchema) {
+  const tables = (schema) =>
+    schema.tableStructures?.length ? schema.tableStructures : [];
+  const tableKey = (table) => `${table.table_schema}.${table.table_name}`;
+
+  const result = diffByKey(
+    tables(fromSchema),
+    tables(toSchema),
+    tableKey,
+    (from, to) => {
+      const columns = diffColumns(from, to);
+      return (
+        columns.added.length + columns.removed.length + columns.changed.length >
+        0
+      );
+    }
+  );
+
+  result.changed = result.changed.map((entry) => ({
+    ...entry,
+    columns: diffColumns(entry.from, entry.to),
+  }));
+  return result;
+}
+
+function backupInfo(backup) {
+  const metadata = backup.metadata || {};
+  return {
+    id: metadata.backupId || null,
+    timestamp: metadata.timestamp || null,
+    type: metadata.backupType || "full",
+  };
+}
+
+// Row counts per "schema.table"; totalRows is the table's count at backup
+// time, rowCount what was written (lower when maxRowsPerTable applied).
+// Tables whose data was not backed up (excluded, or the fetch failed) have
+// no count and map to null.
+function tableRowCounts(backup) {
+  const counts = new Map();
+  Object.entries(backup.data || {}).forEach(([key, data]) => {
+    // Keyed by "schema.table"; older backups used the bare table name
+    const name = data.table ? key : `${data.schema}.${key}`;
+    counts.set(name, data.totalRows ?? data.rowCount ?? null);
+  });
+  return counts;
+}
+
+function diffRowCounts(fromBackup, toBackup) {
+  const incremental = [fromBackup, toBackup]
+    .map(backupInfo)
+    .filter((info) => info.type === "incremental");
+
+  if (incremental.length > 0) {
+    return {
+      comparable: false,
+      note: `${incremental.map((info) => info.id).join(" and ")} ${incremental.length > 1 ? "are" : "is an"} incremental backup${incremental.length > 1 ? "s" : ""}: row counts cover changed rows only`,
+      tables: [],
+    };
+  }
+
+  const fromCounts = tableRowCounts(fromBackup);
+  const toCounts = tableRowCounts(toBackup);
+  const names = [...new Set([...fromCounts.keys(), ...toCounts.keys()])];
+
+  return {
+    comparable: true,
+    note:
+      fromCounts.size === 0 || toCounts.size === 0
+        ? "One of the backups contains no table data"
+        : null,
+    tables: names
+      .sort()
+      .map((name) => {
+        const from = fromCounts.get(name) ?? null;
+        const to = toCounts.get(name) ?? null;
+        return {
+          name,
+          from,
+          to,
+          change: from !== null && to !== null ? to - from : null,
+          // In a backup, but without its data
+          notBackedUp: [fromCounts, toCounts].some(
+            (counts) => counts.has(name) && counts.get(name) === null
+          ),
+        };
+      })
+      // Tables with data in neither backup have nothing to compare
+      .filter(
+        (entry) =>
+          entry.change !== 0 && (entry.from !== null || entry.to !== null)
+      ),
+  };
+}
+
+// fromBackup/toBackup: parsed complete-backup.json contents
+function diffBackups(fromBackup, toBackup) {
+  const fromSchema = fromBackup.schema || {};
+  const toSchema = toBackup.schema || {};
+
+  const schema = { tables: diffTables(fromSchema, toSchema) };
+  OBJECT_KINDS.forEach(({ kind, list, key, definition }) => {
+    schema[kind] = diffByKey(
+      list(fromSchema),
+      list(toSchema),
+      key,
+      (from, to) => definition(from).trim() !== definition(to).trim()
+    );
+  });
+
+  const rows = diffRowCounts(fromBackup, toBackup);
+  const schemaChanges = Object.values(schema).reduce(
+    (total, entries) =>
+      total +
+      entries.added.length +
+      entries.removed.length +
+      entries.changed.length,
+    0
+  );
+
+  return {
+    from: backupInfo(fromBackup),
+    to: backupInfo(toBackup),
+    schema,
+    rows,
+    summary: {
+      schemaChanges,
+      tablesWithRowChanges: rows.tables.length,
+      identical: schemaChanges === 0 && rows.tables.length === 0,
+    },
+  };
+}
+
+function formatColumn(column) {
+  return `${column.name} ${column.type}${column.nullable ? "" : " NOT NULL"}${
+    column.default !== null ? ` DEFAULT ${column.default}` : ""
+  }`;
+}
+
+function formatColumnChange({ name, from, to, changes }) {
+  const show = {
+    type: (column) => column.type,
+    nullable: (column) => (column.nullable ? "NULL" : "NOT NULL"),
+    default: (column) => column.default ?? "no default",
+  };
+  return `${name}: ${changes
+    .map((field) => `${show[field](from)} -> ${show[field](to)}`)
+    .join(", ")}`;
+}
+
+// Lines of plain text; entries start with "+" (added), "-" (removed) or
+// "~" (changed)
+function formatDiffText(diff) {
+  const lines = [
+    `Comparing ${diff.from.id} (${diff.from.type}) -> ${diff.to.id} (${diff.to.type})`,
+  ];
+
+  Object.entries(diff.schema).forEach(([kind, entries]) => {
+    const count =
+      entries.added.length + entries.removed.length + entries.changed.length;
+    if (count === 0) return;
+
+    lines.push("", `${kind[0].toUpperCase()}${kind.slice(1)} (${count}):`);
+    entries.added.forEach(({ name }) => lines.push(`  + ${name}`));
+    entries.removed.forEach(({ name }) => lines.push(`  - ${name}`));
+    entries.changed.forEach(({ name, columns }) => {
+      lines.push(`  ~ ${name}`);
+      if (!columns) return;
+      columns.added.forEach(({ to }) =>
+        lines.push(`      + column ${formatColumn(to)}`)
+      );
+      columns.removed.forEach(({ from }) =>
+        lines.push(`      - column ${formatColumn(from)}`)
+      );
+      columns.changed.forEach((change) =>
+        lines.push(`      ~ column ${formatColumnChange(change)}`)
+      );
+    });
+  });
+
+  lines.push("", "Row counts:");
+  if (!diff.rows.comparable) {
+    lines.push(`  ${diff.rows.note}`);
+  } else {
+    if (diff.rows.note) lines.push(`  ${diff.rows.note}`);
+    if (diff.rows.tables.length === 0) lines.push("  No changes");
+    const rows = (count) =>
+      count === null ? "not backed up" : `${count.toLocaleString()} rows`;
+    diff.rows.tables.forEach(({ name, from, to, change, notBackedUp }) => {
+      if (notBackedUp) {
+        lines.push(`  ~ ${name}: ${rows(from)} -> ${rows(to)}`);
+      } else if (from === null) {
+        lines.push(`  + ${name}: ${to.toLocaleString()} rows`);
+      } else if (to === null) {
+        lines.push(`  - ${name}: ${from.toLocaleString()} rows`);
+      } else {
+        const sign = change > 0 ? "+" : "";
+        lines.push(
+          `  ~ ${name}: ${from.toLocaleString()} -> ${to.toLocaleString()} (${sign}${change.toLocaleString()})`
+        );
+      }
+    });
+  }
+
+  lines.push(
+    "",
+    diff.summary.identical
+      ? "No differences"
+      : `${diff.summary.schemaChanges} schema changes, ${diff.summary.tablesWithRowChanges} tables with row count changes`
+  );
+  return lines;
+}
+
+// JSON-friendly diff: definitions instead of raw catalog rows
+function diffToJson(diff) {
+  const schema = {};
+
+  Object.entries(diff.schema).forEach(([kind, entries]) => {
+    if (kind === "tables") {
+      schema.tables = {
+        added: entries.added.map(({ name, to }) => ({
+          name,
+          columns: (to.columns || []).map(describeColumn),
+        })),
+        removed: entries.removed.map(({ name }) => ({ name })),
+        changed: entries.changed.map(({ name, columns }) => ({
+          name,
+          columns: {
+            added: columns.added.map(({ to }) => to),
+            removed: columns.removed.map(({ from }) => from),
+            changed: columns.changed.map(({ name, from, to, changes }) => ({
+              name,
+              changes,
+              from,
+              to,
+            })),
+          },
+        })),
+      };
+      return;
+    }
+
+    const { definition } = OBJECT_KINDS.find((entry) => entry.kind === kind);
+    schema[kind] = {
+      added: entries.added.map(({ name, to }) => ({
+        name,
+        definition: definition(to),
+      })),
+      removed: entries.removed.map(({ name, from }) => ({
+        name,
+        definition: definition(from),
+      })),
+      changed: entries.changed.map(({ name, from, to }) => ({
+        name,
+        from: definition(from),
+        to: definition(to),
+      })),
+    };
+  });
+
+  return {
+    from: diff.from,
+    to: diff.to,
+    schema,
+    rows: diff.rows,
+    summary: diff.summary,
+  };
+}
+
+module.exports = {
+  OBJECT_KINDS,
+  diffBackups,
+  formatDiffText,
+  diffToJson,
+  columnType,
+};
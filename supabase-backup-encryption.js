@@ -0,0 +1,323 @@
+// supabase-backup-encryption.js
+// AES-256-GCM encryption of backup files
+// Key from a passphrase (scrypt), a key file or BACKUP_ENCRYPTION_KEY
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable, Transform } = require("stream");
+
+const ENCRYPTION_EXTENSION = ".enc";
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// File layout: MAGIC, one line of JSON header, ciphertext, GCM tag. The
+// header is authenticated as additional data, so it cannot be swapped.
+const MAGIC = "SUPABASE-BACKUP-ENCRYPTED 1\n";
+const MAX_HEADER_LENGTH = 4096;
+const SCRYPT_PARAMS = { N: 65536, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+const KEY_SOURCES_HELP =
+  "set BACKUP_ENCRYPTION_PASSPHRASE, BACKUP_ENCRYPTION_KEY or BACKUP_ENCRYPTION_KEY_FILE (or pass --key-file=)";
+
+// code: "WRONG_KEY" when the key does not fit the file, otherwise
+// "ENCRYPTION_ERROR"
+class EncryptionError extends Error {
+  constructor(message, code = "ENCRYPTION_ERROR") {
+    super(message);
+    this.name = "EncryptionError";
+    this.code = code;
+  }
+}
+
+function isEncryptedFile(filePath) {
+  return filePath.endsWith(ENCRYPTION_EXTENSION);
+}
+
+// 32-byte key written as 64 hex characters or base64
+function parseKey(text, source) {
+  const value = text.trim();
+  if (/^[0-9a-fA-F]{64}$/.test(value)) return Buffer.from(value, "hex");
+
+  const decoded = Buffer.from(value, "base64");
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(value) && decoded.length === KEY_LENGTH) {
+    return decoded;
+  }
+
+  throw new EncryptionError(
+    `${source} must hold a 32-byte key (64 hex characters or base64)`
+  );
+}
+
+// Raw 32-byte key file, or one holding the key as hex/base64 text
+function loadKeyFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new EncryptionError(`Key file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath);
+  if (content.length === KEY_LENGTH) return content;
+  return parseKey(content.toString("utf8"), `Key file ${filePath}`);
+}
+
+// Short fingerprint in each header, so a wrong key is reported as such
+// instead of as a damaged file
+function keyCheck(key) {
+  return crypto
+    .createHmac("sha256", key)
+    .update("supabase-backup key check")
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function readEncryptedLayout(filePath) {
+  const fd = fs.openSync(filePath, "r");
+
+  try {
+    const size = fs.fstatSync(fd).size;
+    const start = Buffer.alloc(Math.min(MAX_HEADER_LENGTH, size));
+    fs.readSync(fd, start, 0, start.length, 0);
+
+    if (start.subarray(0, MAGIC.length).toString("latin1") !== MAGIC) {
+      throw new EncryptionError(
+        `${path.basename(filePath)} is not an encrypted backup file`
+      );
+    }
+
+    const headerEnd = start.indexOf(0x0a, MAGIC.length);
+    if (headerEnd === -1 || size < headerEnd + 1 + TAG_LENGTH) {
+      throw new EncryptionError(
+        `${path.basename(filePath)} is damaged (incomplete encryption header)`
+      );
+    }
+
+    const tag = Buffer.alloc(TAG_LENGTH);
+    fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+
+    return {
+      header: JSON.parse(
+        start.subarray(MAGIC.length, headerEnd).toString("utf8")
+      ),
+      headerBytes: start.subarray(0, headerEnd + 1),
+      tag,
+      bodyStart: headerEnd + 1,
+      bodyEnd: size - TAG_LENGTH,
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class BackupCipher {
+  // secret: { key: Buffer } or { passphrase: string }
+  constructor(secret) {
+    this.secret = secret;
+    this.derivedKeys = new Map();
+    this.encryption = null;
+  }
+
+  // Key from --key-file / BACKUP_ENCRYPTION_KEY_FILE, BACKUP_ENCRYPTION_KEY
+  // or BACKUP_ENCRYPTION_PASSPHRASE, in that order; null when none is set
+  static fromEnvironment({ keyFile, env = process.env } = {}) {
+    const file = keyFile || env.BACKUP_ENCRYPTION_KEY_FILE;
+    if (file) return new BackupCipher({ key: loadKeyFile(file) });
+
+    if (env.BACKUP_ENCRYPTION_KEY) {
+      return new BackupCipher({
+        key: parseKey(env.BACKUP_ENCRYPTION_KEY, "BACKUP_ENCRYPTION_KEY"),
+      });
+    }
+
+    if (env.BACKUP_ENCRYPTION_PASSPHRASE) {
+      return new BackupCipher({
+        passphrase: env.BACKUP_ENCRYPTION_PASSPHRASE,
+      });
+    }
+
+    return null;
+  }
+
+  get usesPassphrase() {
+    return typeof this.secret.passphrase === "string";
+  }
+
+  // Recorded in backup-summary.json; never contains key material
+  describe() {
+    return {
+      algorithm: ALGORITHM,
+      kdf: this.usesPassphrase ? "scrypt" : "none",
+    };
+  }
+
+  deriveKey(kdf) {
+    if (kdf.name === "none") {
+      if (this.usesPassphrase) {
+        throw new EncryptionError(
+          "This backup was encrypted with a key, not a passphrase: set BACKUP_ENCRYPTION_KEY or BACKUP_ENCRYPTION_KEY_FILE",
+          "WRONG_KEY"
+        );
+      }
+      return this.secret.key;
+    }
+
+    if (kdf.name !== "scrypt") {
+      throw new EncryptionError(`Unsupported key derivation: ${kdf.name}`);
+    }
+    if (!this.usesPassphrase) {
+      throw new EncryptionError(
+        "This backup was encrypted with a passphrase: set BACKUP_ENCRYPTION_PASSPHRASE",
+        "WRONG_KEY"
+      );
+    }
+
+    const cacheKey = `${kdf.salt}:${kdf.N}:${kdf.r}:${kdf.p}`;
+    if (!this.derivedKeys.has(cacheKey)) {
+      const key = crypto.scryptSync(
+        this.secret.passphrase,
+        Buffer.from(kdf.salt, "base64"),
+        KEY_LENGTH,
+        { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM }
+      );
+      this.derivedKeys.set(cacheKey, key);
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  // One salt and derived key for every file of a backup, so the (slow) KDF
+  // runs once per backup rather than once per file
+  getEncryptionKey() {
+    if (!this.encryption) {
+      const kdf = this.usesPassphrase
+        ? {
+            name: "scrypt",
+            salt: crypto.randomBytes(16).toString("base64"),
+            ...SCRYPT_PARAMS,
+          }
+        : { name: "none" };
+      this.encryption = { kdf, key: this.deriveKey(kdf) };
+    }
+    return this.encryption;
+  }
+
+  createEncryptStream() {
+    const { kdf, key } = this.getEncryptionKey();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const header = {
+      version: 1,
+      algorithm: ALGORITHM,
+      kdf,
+      iv: iv.toString("base64"),
+      keyCheck: keyCheck(key),
+    };
+    const headerBytes = Buffer.from(`${MAGIC}${JSON.stringify(header)}\n`);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(headerBytes);
+
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        this.push(cipher.final());
+        this.push(cipher.getAuthTag());
+        callback();
+      },
+    });
+    stream.push(headerBytes);
+    return stream;
+  }
+
+  openDecipher(filePath) {
+    const layout = readEncryptedLayout(filePath);
+    const { header } = layout;
+
+    if (header.algorithm !== ALGORITHM) {
+      throw new EncryptionError(
+        `Unsupported encryption algorithm in ${path.basename(filePath)}: ${header.algorithm}`
+      );
+    }
+
+    const key = this.deriveKey(header.kdf);
+    if (keyCheck(key) !== header.keyCheck) {
+      throw new EncryptionError(
+        `Wrong encryption key for ${path.basename(filePath)}`,
+        "WRONG_KEY"
+      );
+    }
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(header.iv, "base64")
+    );
+    decipher.setAAD(layout.headerBytes);
+    decipher.setAuthTag(layout.tag);
+
+    return { decipher, ...layout };
+  }
+
+  createDecryptStream(filePath) {
+    const { decipher, bodyStart, bodyEnd } = this.openDecipher(filePath);
+    const body =
+      bodyEnd > bodyStart
+        ? fs.createReadStream(filePath, { start: bodyStart, end: bodyEnd - 1 })
+        : Readable.from([]);
+
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, decipher.update(chunk));
+      },
+      flush(callback) {
+        try {
+          this.push(decipher.final());
+          callback();
+        } catch (error) {
+          callback(authenticationError(filePath));
+        }
+      },
+    });
+
+    body.on("error", (error) => stream.destroy(error));
+    return body.pipe(stream);
+  }
+
+  decryptFileSync(filePath) {
+    const { decipher, bodyStart, bodyEnd } = this.openDecipher(filePath);
+    const body = fs.readFileSync(filePath).subarray(bodyStart, bodyEnd);
+
+    try {
+      return Buffer.concat([decipher.update(body), decipher.final()]);
+    } catch (error) {
+      throw authenticationError(filePath);
+    }
+  }
+}
+
+function authenticationError(filePath) {
+  return new EncryptionError(
+    `${path.basename(filePath)} failed authentication (damaged or modified)`
+  );
+}
+
+// Fails cleanly when an encrypted file is read without a key
+function requireCipher(cipher, filePath) {
+  if (!cipher) {
+    throw new EncryptionError(
+      `${path.basename(filePath)} is encrypted: ${KEY_SOURCES_HELP}`
+    );
+  }
+  return cipher;
+}
+
+module.exports = {
+  ENCRYPTION_EXTENSION,
+  KEY_SOURCES_HELP,
+  BackupCipher,
+  EncryptionError,
+  isEncryptedFile,
+  requireCipher,
+};
@@ -0,0 +1,98 @@
+// supabase-backup-export.js
+// Supabase CLI project layout: the schema as supabase/migrations/<ts>_<name>.sql
+// and the data as supabase/seed.sql, for `supabase start` and `supabase db reset`
+
+const SUPABASE_DIR = "supabase";
+const MIGRATIONS_DIR = "migrations";
+const SEED_FILE = "seed.sql";
+
+// The "-- ====\n-- NAME\n-- ====" headers the script generator writes
+const SECTION_HEADER = /^-- =+\n-- ([A-Z][A-Z &-]*)\n-- =+\n/gm;
+
+// The Supabase CLI runs each migration (and the seed) in its own transaction
+const TRANSACTION_LINE = /^(BEGIN|COMMIT);\n/gm;
+
+// supabaseCliExport config value -> null, "single" or "split"
+function normalizeSupabaseExport(value) {
+  if (!value) return null;
+  const mode = value === true ? "single" : String(value).toLowerCase();
+  if (mode !== "single" && mode !== "split") {
+    throw new Error(
+      `Unsupported Supabase CLI export "${value}" (expected true, "single" or "split")`
+    );
+  }
+  return mode;
+}
+
+// 2024-01-15T02:00:00.000Z -> "20240115020000", the CLI's migration version
+function migrationVersion(date) {
+  return date
+    .toISOString()
+    .replace(/\.\d+Z$/, "")
+    .replace(/\D/g, "");
+}
+
+function withoutTransactionControl(sql) {
+  return sql.replace(TRANSACTION_LINE, "");
+}
+
+// Anything left once comments and blank lines are gone
+function hasStatements(sql) {
+  return sql
+    .split("\n")
+    .some((line) => line.trim() !== "" && !line.trim().startsWith("--"));
+}
+
+// Script text -> [{ name, sql }] per section header; the first section is the
+// script header with the session settings
+function splitSections(sql) {
+  const sections = [];
+  const headers = [...sql.matchAll(SECTION_HEADER)];
+  headers.forEach((header, i) => {
+    const end = i + 1 < headers.length ? headers[i + 1].index : sql.length;
+    sections.push({ name: header[1], sql: sql.slice(header.index, end) });
+  });
+  return sections;
+}
+
+// Migration files for a schema-only script: one initial migration, or with
+// split one per section (schemas, extensions, enums, tables, ...), each a
+// second apart so the CLI applies them in order
+function buildMigrations(schemaSql, { date, split = false, backupId = null }) {
+  const source = backupId ? ` from backup ${backupId}` : "";
+
+  if (!split) {
+    return [
+      {
+        file: `${migrationVersion(date)}_initial_schema.sql`,
+        sql: withoutTransactionControl(schemaSql),
+      },
+    ];
+  }
+
+  const [preamble, ...sections] = splitSections(schemaSql);
+  const settings = (preamble?.sql.match(/^SET [^\n]*\n/gm) || []).join("");
+  const parts = sections.filter((section) => hasStatements(section.sql));
+
+  return parts.map((section, i) => {
+    const name = section.name.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+    const version = migrationVersion(new Date(date.getTime() + i * 1000));
+    return {
+      file: `${version}_${name}.sql`,
+      sql: `-- Initial schema${source}, part ${i + 1} of ${parts.length}: ${section.name.toLowerCase()}
+
+${settings}
+${withoutTransactionControl(section.sql)}`,
+    };
+  });
+}
+
+module.exports = {
+  SUPABASE_DIR,
+  MIGRATIONS_DIR,
+  SEED_FILE,
+  normalizeSupabaseExport,
+  migrationVersion,
+  withoutTransactionControl,
+  buildMigrations,
+};
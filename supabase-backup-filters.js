@@ -0,0 +1,120 @@
+// supabase-backup-filters.js
+// Per-table row filters for partial backups, written in PostgREST syntax
+// ("status=neq.archived&total=gt.0") or as a SQL condition (direct connection)
+
+const { compileRules } = require("./supabase-backup-selection");
+
+// Row filter operators: PostgREST name -> SQL operator
+const FILTER_OPERATORS = {
+  eq: "=",
+  neq: "<>",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+  like: "LIKE",
+  ilike: "ILIKE",
+  in: "= ANY",
+  is: "IS",
+};
+
+const POSTGREST_FILTER = new RegExp(
+  `^([A-Za-z_][\\w$]*)=(${Object.keys(FILTER_OPERATORS).join("|")})\\.(.*)$`,
+  "s"
+);
+
+const IS_VALUES = { null: null, true: true, false: false };
+
+class RowFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RowFilterError";
+  }
+}
+
+// "(a,b,\"c,d\")" -> ["a", "b", "c,d"]
+function parseInList(text, source) {
+  const match = /^\((.*)\)$/s.exec(text);
+  if (!match) {
+    throw new RowFilterError(`"${source}": in. expects a list like in.(a,b)`);
+  }
+  return [...match[1].matchAll(/"((?:[^"\\]|\\.)*)"|([^,]+)/g)].map(
+    ([, quoted, plain]) =>
+      quoted !== undefined ? quoted.replace(/\\(.)/g, "$1") : plain.trim()
+  );
+}
+
+function parseCondition(condition, source) {
+  const [, column, operator, raw] = POSTGREST_FILTER.exec(condition);
+
+  if (operator === "in") {
+    return { column, operator, value: parseInList(raw, source) };
+  }
+  if (operator === "is") {
+    if (!(raw in IS_VALUES)) {
+      throw new RowFilterError(`"${source}": is. expects null, true or false`);
+    }
+    return { column, operator, value: IS_VALUES[raw] };
+  }
+  if (operator === "like" || operator === "ilike") {
+    // PostgREST writes the % wildcard as * in URLs
+    return { column, operator, value: raw.replace(/\*/g, "%") };
+  }
+  return { column, operator, value: raw };
+}
+
+// One filter string -> { text, filters: [{ column, operator, value }] }, or
+// { text, filters: [{ sql }] } when it is not PostgREST syntax
+function parseRowFilter(text) {
+  const conditions = text.split("&").map((part) => part.trim());
+
+  if (conditions.every((condition) => POSTGREST_FILTER.test(condition))) {
+    return {
+      text,
+      syntax: "postgrest",
+      filters: conditions.map((condition) => parseCondition(condition, text)),
+    };
+  }
+
+  return { text, syntax: "sql", filters: [{ sql: text }] };
+}
+
+// BACKUP_CONFIG.tableFilters: { "schema.table" glob: filter }; when several
+// keys match a table the last one wins
+class RowFilters {
+  constructor(tableFilters = {}) {
+    this.rules = compileRules(Object.keys(tableFilters), 2, "tableFilters").map(
+      (rule) => {
+        const text = tableFilters[rule.pattern];
+        if (rule.negate) {
+          throw new RowFilterError(
+            `tableFilters: "${rule.pattern}": "!" is not supported here`
+          );
+        }
+        if (typeof text !== "string" || !text.trim()) {
+          throw new RowFilterError(
+            `tableFilters: "${rule.pattern}" needs a filter string`
+          );
+        }
+        return { ...rule, filter: parseRowFilter(text.trim()) };
+      }
+    );
+  }
+
+  // The parsed filter for a table, or null to back up every row
+  forTable(schema, table) {
+    const name = `${schema}.${table}`;
+    let filter = null;
+    this.rules.forEach((rule) => {
+      if (rule.regexp.test(name)) filter = rule.filter;
+    });
+    return filter;
+  }
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  RowFilterError,
+  RowFilters,
+  parseRowFilter,
+};
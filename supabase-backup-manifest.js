@@ -0,0 +1,234 @@
+// supabase-backup-manifest.js
+// Integrity manifest for backup directories
+// SHA-256 per file plus per-table row counts, and verification against them
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  openReadStream,
+  readTextFileSync,
+} = require("./supabase-backup-compression");
+const { ENCRYPTION_EXTENSION } = require("./supabase-backup-encryption");
+
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+// Encrypted backups store the manifest as manifest.json.enc
+const MANIFEST_FILES = [MANIFEST_FILE, MANIFEST_FILE + ENCRYPTION_EXTENSION];
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+
+  return { size, sha256: hash.digest("hex") };
+}
+
+// Every file below dir, as sorted "/"-separated relative paths
+function listFiles(dir, base = dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory()
+        ? listFiles(fullPath, base)
+        : [path.relative(base, fullPath).split(path.sep).join("/")];
+    })
+    .sort();
+}
+
+// Rows in a data/*.json file (as stored, e.g. .json.gz.enc): one row per line
+// between "[" and "]". Every row is parsed, so a damaged file does not count.
+async function countJsonRows(filePath, { cipher } = {}) {
+  let rows = 0;
+  let buffer = "";
+  let opened = false;
+  let closed = false;
+
+  const handleLine = (line) => {
+    const text = line.trim();
+    if (!text) return;
+    if (closed) throw new Error("content after closing bracket");
+    if (!opened) {
+      if (text === "[]") {
+        opened = closed = true;
+        return;
+      }
+      if (text !== "[") throw new Error("not a JSON array");
+      opened = true;
+      return;
+    }
+    if (text === "]") {
+      closed = true;
+      return;
+    }
+    JSON.parse(text.endsWith(",") ? text.slice(0, -1) : text);
+    rows++;
+  };
+
+  const source = openReadStream(filePath, { encoding: "utf8", cipher });
+  for await (const chunk of source) {
+    buffer += chunk;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+
+  if (!closed) throw new Error("JSON array is not closed (truncated file?)");
+  return rows;
+}
+
+// Data records in a CSV file (header excluded); newlines inside quoted
+// values do not end a record
+async function countCsvRows(filePath, { cipher } = {}) {
+  let records = 0;
+  let inQuotes = false;
+  let lineHasContent = false;
+
+  const source = openReadStream(filePath, { encoding: "utf8", cipher });
+  for await (const chunk of source) {
+    for (const ch of chunk) {
+      if (ch === '"') {
+        inQuotes = !inQuotes;
+        lineHasContent = true;
+      } else if (ch === "\n" && !inQuotes) {
+        if (lineHasContent) records++;
+        lineHasContent = false;
+      } else if (ch !== "\r") {
+        lineHasContent = true;
+      }
+    }
+  }
+
+  if (inQuotes) throw new Error("unterminated quoted value (truncated file?)");
+  if (lineHasContent) records++;
+  return Math.max(records - 1, 0);
+}
+
+// tables: { "schema.table": { rows, files: { json, csv } } }
+async function buildManifest(backupDir, { backupId, tables }) {
+  const files = [];
+
+  for (const file of listFiles(backupDir)) {
+    if (MANIFEST_FILES.includes(file)) continue;
+    const { size, sha256 } = await hashFile(path.join(backupDir, file));
+    files.push({ path: file, size, sha256 });
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    backupId,
+    createdAt: new Date().toISOString(),
+    algorithm: "sha256",
+    files,
+    tables,
+  };
+}
+
+// Returns { errors, warnings, filesChecked, tablesChecked }. An encrypted
+// manifest and the row counts of encrypted data files are read with cipher
+// (a BackupCipher).
+async function verifyBackup(backupDir, { cipher } = {}) {
+  const errors = [];
+  const warnings = [];
+  const manifestPath = MANIFEST_FILES.map((file) =>
+    path.join(backupDir, file)
+  ).find((file) => fs.existsSync(file));
+
+  if (!manifestPath) {
+    return {
+      errors: [`${MANIFEST_FILE} not found`],
+      warnings,
+      filesChecked: 0,
+      tablesChecked: 0,
+    };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(readTextFileSync(manifestPath, { cipher }));
+  } catch (error) {
+    return {
+      errors: [error.message],
+      warnings,
+      filesChecked: 0,
+      tablesChecked: 0,
+    };
+  }
+
+  const listed = new Set(manifest.files.map((file) => file.path));
+
+  for (const file of manifest.files) {
+    const filePath = path.join(backupDir, file.path);
+    if (!fs.existsSync(filePath)) {
+      errors.push(`${file.path}: missing`);
+      continue;
+    }
+
+    const { size, sha256 } = await hashFile(filePath);
+    if (size !== file.size) {
+      errors.push(`${file.path}: size ${size} bytes, expected ${file.size}`);
+    } else if (sha256 !== file.sha256) {
+      errors.push(`${file.path}: SHA-256 mismatch`);
+    }
+  }
+
+  listFiles(backupDir)
+    .filter((file) => !MANIFEST_FILES.includes(file) && !listed.has(file))
+    .forEach((file) => warnings.push(`${file}: not listed in manifest`));
+
+  const counters = { json: countJsonRows, csv: countCsvRows };
+  const tables = Object.entries(manifest.tables || {});
+
+  const checks = tables.flatMap(([tableKey, table]) =>
+    Object.entries(table.files || {}).map(([format, file]) => ({
+      tableKey,
+      expected: table.rows,
+      format,
+      file,
+    }))
+  );
+
+  for (const { tableKey, expected, format, file } of checks) {
+    const filePath = path.join(backupDir, file);
+    if (!counters[format] || !fs.existsSync(filePath)) continue;
+
+    try {
+      const rows = await counters[format](filePath, { cipher });
+      if (rows !== expected) {
+        errors.push(
+          `${tableKey}: ${file} has ${rows} rows, expected ${expected}`
+        );
+      }
+    } catch (error) {
+      // A wrong key fails every encrypted file alike; report it once
+      if (error.code === "WRONG_KEY") {
+        errors.push(error.message);
+        break;
+      }
+      errors.push(`${tableKey}: ${file} is unreadable (${error.message})`);
+    }
+  }
+
+  return {
+    errors,
+    warnings,
+    filesChecked: manifest.files.length,
+    tablesChecked: tables.length,
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  buildManifest,
+  verifyBackup,
+  hashFile,
+  countJsonRows,
+  countCsvRows,
+};
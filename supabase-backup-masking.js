@@ -0,0 +1,198 @@
+// supabase-backup-masking.js
+// Deterministic masking of personal data on its way to the data files
+// The same input always gives the same output, so joins on masked columns still match
+
+const crypto = require("crypto");
+const { PatternError, compileRules } = require("./supabase-backup-selection");
+
+// Optional secret mixed into every masked value; without it hashes can be
+// matched against guessed inputs (e.g. a list of known email addresses)
+const MASKING_KEY_ENV = "BACKUP_MASKING_KEY";
+
+const FIRST_NAMES = [
+  "Alex",
+  "Blake",
+  "Casey",
+  "Dana",
+  "Eli",
+  "Frankie",
+  "Gray",
+  "Harper",
+  "Indy",
+  "Jordan",
+  "Kai",
+  "Logan",
+  "Morgan",
+  "Noel",
+  "Parker",
+  "Quinn",
+  "Riley",
+  "Sage",
+  "Taylor",
+  "Avery",
+];
+const LAST_NAMES = [
+  "Adams",
+  "Brooks",
+  "Carter",
+  "Diaz",
+  "Evans",
+  "Fisher",
+  "Garcia",
+  "Hayes",
+  "Ito",
+  "Jensen",
+  "Khan",
+  "Lopez",
+  "Meyer",
+  "Novak",
+  "Okafor",
+  "Patel",
+  "Reyes",
+  "Silva",
+  "Tanaka",
+  "Walsh",
+];
+
+// Strategy -> (digest of the value) -> masked value. null stays null.
+const STRATEGIES = {
+  hash: (digest) => digest.toString("hex").slice(0, 32),
+  fake_email: (digest) =>
+    `user_${digest.toString("hex").slice(0, 12)}@example.com`,
+  fake_name: (digest) =>
+    `${FIRST_NAMES[digest.readUInt16BE(0) % FIRST_NAMES.length]} ${
+      LAST_NAMES[digest.readUInt16BE(2) % LAST_NAMES.length]
+    }`,
+  fake_phone: (digest) =>
+    `+1555${String(digest.readUInt32BE(4) % 1e7).padStart(7, "0")}`,
+  redact: () => "[redacted]",
+  null: () => null,
+  keep: null,
+};
+
+class DataMasker {
+  // rules: { "schema.table.column" glob: strategy }, later rules win;
+  // "keep" leaves columns an earlier rule matched unmasked
+  constructor(rules = {}, { key = process.env[MASKING_KEY_ENV] } = {}) {
+    this.rules = rules;
+    this.key = key || null;
+    this.compiled = compileRules(Object.keys(rules), 3, "maskColumns").map(
+      (rule) => {
+        const strategy = rules[rule.pattern];
+        if (rule.negate) {
+          throw new PatternError(
+            `maskColumns: "${rule.pattern}": use the "keep" strategy instead of "!"`
+          );
+        }
+        if (!Object.hasOwn(STRATEGIES, strategy)) {
+          throw new PatternError(
+            `maskColumns: unknown strategy "${strategy}" for "${rule.pattern}" (use ${Object.keys(STRATEGIES).join(", ")})`
+          );
+        }
+        return { ...rule, strategy };
+      }
+    );
+    // "schema.table" -> { column: strategy } for every table masked so far
+    this.applied = {};
+  }
+
+  get enabled() {
+    return this.compiled.length > 0;
+  }
+
+  digest(value) {
+    const text =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+    return this.key
+      ? crypto.createHmac("sha256", this.key).update(text).digest()
+      : crypto.createHash("sha256").update(text).digest();
+  }
+
+  // Arrays and json/jsonb objects keep their shape: every element and leaf
+  // is masked on its own, so the column still accepts the masked value
+  maskValue(strategy, value) {
+    if (value === null || value === undefined) return value;
+    if (strategy === "null") return null;
+    if (Array.isArray(value)) {
+      return value.map((item) => this.maskValue(strategy, item));
+    }
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.maskValue(strategy, item),
+        ])
+      );
+    }
+    return STRATEGIES[strategy](this.digest(value));
+  }
+
+  // { columns, maskRows(rows) } for a table with these columns, or null when
+  // no rule masks any of them
+  forTable(schema, table, columns) {
+    const masked = {};
+    columns.forEach((column) => {
+      const name = `${schema}.${table}.${column}`;
+      let strategy = "keep";
+      this.compiled.forEach((rule) => {
+        if (rule.regexp.test(name)) strategy = rule.strategy;
+      });
+      if (strategy !== "keep") masked[column] = strategy;
+    });
+    if (Object.keys(masked).length === 0) return null;
+
+    this.applied[`${schema}.${table}`] = masked;
+    const entries = Object.entries(masked);
+    return {
+      columns: masked,
+      maskRows: (rows) =>
+        rows.map((row) => {
+          const copy = { ...row };
+          entries.forEach(([column, strategy]) => {
+            if (column in copy) {
+              copy[column] = this.maskValue(strategy, copy[column]);
+            }
+          });
+          return copy;
+        }),
+    };
+  }
+
+  // For backup-summary.json: the rules and the columns they masked
+  describe() {
+    return {
+      keyed: Boolean(this.key),
+      rules: this.rules,
+      tables: Object.fromEntries(
+        Object.keys(this.applied)
+          .sort()
+          .map((table) => [table, this.applied[table]])
+      ),
+    };
+  }
+}
+
+// "public.profiles.email:fake_email,*.phone:hash" command line lists
+function parseMaskList(value) {
+  const rules = {};
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .forEach((item) => {
+      const colon = item.lastIndexOf(":");
+      if (colon === -1) {
+        throw new PatternError(
+          `--mask: "${item}" needs a strategy, e.g. ${item}:hash`
+        );
+      }
+      rules[item.slice(0, colon).trim()] = item.slice(colon + 1).trim();
+    });
+  return rules;
+}
+
+module.exports = {
+  MASKING_KEY_ENV,
+  DataMasker,
+  parseMaskList,
+};
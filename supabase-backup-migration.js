@@ -0,0 +1,489 @@
+// supabase-backup-migration.js
+// Forward migration SQL from the schema differences between two backups
+// Column rendering is shared with the restore script generator
+
+const { diffBackups } = require("./supabase-backup-diff");
+
+// Column type as written in CREATE TABLE and ALTER COLUMN statements
+function columnTypeSQL(col) {
+  switch (col.data_type?.toLowerCase()) {
+    case "timestamp with time zone":
+    case "timestamptz":
+      return "TIMESTAMP WITH TIME ZONE";
+    case "uuid":
+      return "UUID";
+    case "jsonb":
+      return "JSONB";
+    case "json":
+      return "JSON";
+    case "boolean":
+      return "BOOLEAN";
+    case "integer":
+    case "int4":
+      return "INTEGER";
+    case "bigint":
+    case "int8":
+      return "BIGINT";
+    case "numeric":
+    case "decimal":
+      return col.numeric_precision
+        ? `NUMERIC(${col.numeric_precision}${col.numeric_scale ? `,${col.numeric_scale}` : ""})`
+        : "NUMERIC";
+    case "date":
+      return "DATE";
+    case "time":
+      return "TIME";
+    case "character varying":
+    case "varchar":
+      return col.character_maximum_length
+        ? `VARCHAR(${col.character_maximum_length})`
+        : "VARCHAR";
+    case "text":
+      return "TEXT";
+    case "array":
+      // udt_name of an array type is its element type prefixed with "_"
+      return col.udt_name
+        ? `${col.udt_name.replace(/^_/, "").toUpperCase()}[]`
+        : "TEXT[]";
+    case "user-defined":
+      // Enums, domains and extension types keep their schema
+      return col.udt_schema
+        ? `"${col.udt_schema}"."${col.udt_name}"`
+        : col.udt_name?.toUpperCase() || "TEXT";
+    default:
+      return (
+        col.udt_name?.toUpperCase() || col.data_type?.toUpperCase() || "TEXT"
+      );
+  }
+}
+
+// "name" TYPE [NOT NULL] [DEFAULT ...]
+function columnDefinitionSQL(col) {
+  let def = `"${col.column_name}" ${columnTypeSQL(col)}`;
+  if (col.is_nullable === "NO") def += " NOT NULL";
+  if (col.column_default) def += ` DEFAULT ${col.column_default}`;
+  return def;
+}
+
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+const tableRef = (schema, table) => `"${schema}"."${table}"`;
+
+// pg_policies.roles arrives as an array, or as "{a,b}" from some drivers
+function policyRoles(roles) {
+  if (Array.isArray(roles)) return roles;
+  if (typeof roles === "string") {
+    return roles
+      .replace(/^\{|\}$/g, "")
+      .split(",")
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// pg_get_function_arguments() output without DEFAULT clauses, as needed to
+// name a function in DROP FUNCTION
+function identityArguments(args = "") {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+
+  for (const ch of args) {
+    if (ch === "'") quoted = !quoted;
+    if (!quoted && ch === "(") depth++;
+    if (!quoted && ch === ")") depth--;
+    if (!quoted && depth === 0 && ch === ",") {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current);
+
+  return parts
+    .map((part) => part.replace(/\s+DEFAULT\s[\s\S]*$/i, "").trim())
+    .join(", ");
+}
+
+function functionRef(fn) {
+  return `${tableRef(fn.routine_schema, fn.routine_name)}(${identityArguments(fn.function_arguments)})`;
+}
+
+function createTableSQL(table) {
+  const columns = [...(table.columns || [])]
+    .sort((a, b) => a.ordinal_position - b.ordinal_position)
+    .map((col) => `  ${columnDefinitionSQL(col)}`);
+  return `CREATE TABLE ${tableRef(table.table_schema, table.table_name)} (\n${columns.join(",\n")}\n);`;
+}
+
+function createSequenceSQL(seq) {
+  return `CREATE SEQUENCE IF NOT EXISTS ${tableRef(seq.sequence_schema, seq.sequence_name)}
+  START WITH ${seq.start_value}
+  INCREMENT BY ${seq.increment}
+  MINVALUE ${seq.minimum_value}
+  MAXVALUE ${seq.maximum_value}
+  ${seq.cycle_option === "YES" ? "CYCLE" : "NO CYCLE"};`;
+}
+
+function createEnumSQL(enumType) {
+  const values = (enumType.enum_values || []).map(quoteLiteral).join(", ");
+  return `CREATE TYPE ${tableRef(enumType.schema_name, enumType.enum_name)} AS ENUM (${values});`;
+}
+
+// Triggers come grouped per trigger by the diff (events: ["INSERT", ...])
+function createTriggerSQL(trigger) {
+  let sql = `CREATE TRIGGER "${trigger.trigger_name}"\n`;
+  sql += `  ${trigger.action_timing} ${trigger.events.join(" OR ")}\n`;
+  sql += `  ON ${tableRef(trigger.event_object_schema, trigger.event_object_table)}\n`;
+  sql += `  FOR EACH ${trigger.action_orientation}\n`;
+  if (trigger.action_condition) {
+    sql += `  WHEN (${trigger.action_condition})\n`;
+  }
+  return `${sql}  ${trigger.action_statement};`;
+}
+
+function createPolicySQL(policy) {
+  let sql = `CREATE POLICY "${policy.policyname}" ON ${tableRef(policy.schemaname, policy.tablename)}\n`;
+  if (policy.permissive === "RESTRICTIVE") sql += "  AS RESTRICTIVE\n";
+  sql += `  FOR ${policy.cmd}\n`;
+
+  const roles = policyRoles(policy.roles);
+  if (roles.length > 0) sql += `  TO ${roles.join(", ")}\n`;
+  if (policy.qual) sql += `  USING (${policy.qual})\n`;
+  if (policy.with_check) sql += `  WITH CHECK (${policy.with_check})\n`;
+
+  return `${sql.trimEnd()};`;
+}
+
+// ALTER TYPE ... ADD VALUE for new labels, positioned like the target enum.
+// Labels cannot be removed or reordered in place; those become warnings.
+function alterEnumSQL(name, from, to, warnings) {
+  const oldValues = from.enum_values || [];
+  const newValues = to.enum_values || [];
+  const statements = [];
+
+  const removed = oldValues.filter((value) => !newValues.includes(value));
+  if (removed.length > 0) {
+    warnings.push(
+      `${name}: enum values ${removed.join(", ")} were removed; PostgreSQL cannot drop enum values in place`
+    );
+  }
+
+  const kept = newValues.filter((value) => oldValues.includes(value));
+  if (
+    oldValues.filter((value) => kept.includes(value)).join() !== kept.join()
+  ) {
+    warnings.push(
+      `${name}: enum values were reordered; PostgreSQL cannot reorder enum values in place`
+    );
+  }
+
+  newValues.forEach((value, index) => {
+    if (oldValues.includes(value)) return;
+    const position =
+      index > 0
+        ? `AFTER ${quoteLiteral(newValues[index - 1])}`
+        : newValues.length > 1
+          ? `BEFORE ${quoteLiteral(newValues[1])}`
+          : "";
+    statements.push(
+      `ALTER TYPE ${tableRef(to.schema_name, to.enum_name)} ADD VALUE IF NOT EXISTS ${quoteLiteral(value)}${position ? ` ${position}` : ""};`
+    );
+  });
+
+  return statements;
+}
+
+function alterColumnsSQL(table, columns, warnings) {
+  const ref = tableRef(table.table_schema, table.table_name);
+  const rawColumn = (name) =>
+    table.columns.find((column) => column.column_name === name);
+  const statements = [];
+
+  columns.added.forEach(({ name }) => {
+    const column = rawColumn(name);
+    statements.push(
+      `ALTER TABLE ${ref} ADD COLUMN ${columnDefinitionSQL(column)};`
+    );
+    if (column.is_nullable === "NO" && !column.column_default) {
+      warnings.push(
+        `${table.table_schema}.${table.table_name}.${name}: NOT NULL column without a default fails on a non-empty table`
+      );
+    }
+  });
+
+  columns.changed.forEach(({ name, to, changes }) => {
+    const column = rawColumn(name);
+    const alter = `ALTER TABLE ${ref} ALTER COLUMN "${name}"`;
+
+    if (changes.includes("type")) {
+      const type = columnTypeSQL(column);
+      statements.push(`${alter} TYPE ${type} USING "${name}"::${type};`);
+    }
+    if (changes.includes("default")) {
+      statements.push(
+        to.default !== null
+          ? `${alter} SET DEFAULT ${to.default};`
+          : `${alter} DROP DEFAULT;`
+      );
+    }
+    if (changes.includes("nullable")) {
+      statements.push(
+        to.nullable ? `${alter} DROP NOT NULL;` : `${alter} SET NOT NULL;`
+      );
+    }
+  });
+
+  columns.removed.forEach(({ name }) => {
+    statements.push(`ALTER TABLE ${ref} DROP COLUMN "${name}";`);
+    warnings.push(
+      `${table.table_schema}.${table.table_name}.${name}: dropping the column deletes its data`
+    );
+  });
+
+  return statements;
+}
+
+// fromBackup/toBackup: parsed complete-backup.json contents. Returns
+// { sql, statements, warnings }; warnings are also written into the script.
+function generateMigrationSQL(fromBackup, toBackup) {
+  const diff = diffBackups(fromBackup, toBackup);
+  const { schema } = diff;
+  const fromSchema = fromBackup.schema || {};
+  const toSchema = toBackup.schema || {};
+  const warnings = [];
+  const sections = [];
+
+  const section = (title, statements) => {
+    if (statements.length > 0) sections.push({ title, statements });
+  };
+  const replaced = (entries) => [...entries.removed, ...entries.changed];
+  const created = (entries) => [...entries.added, ...entries.changed];
+
+  // Indexes that back PRIMARY KEY/UNIQUE/EXCLUDE constraints are created
+  // and dropped through their constraint
+  const constraintFor = (schemaSection, index) =>
+    (schemaSection.constraints || []).find(
+      (con) =>
+        con.index_name === index.indexname &&
+        con.table_schema === index.schemaname
+    );
+
+  const addedTables = new Set(schema.tables.added.map(({ name }) => name));
+  const isOnAddedTable = (con) =>
+    addedTables.has(`${con.table_schema}.${con.table_name}`);
+
+  // Policies, triggers and indexes of dropped tables go with the table
+  const removedTables = new Set(schema.tables.removed.map(({ name }) => name));
+  const replacedOnKeptTables = (entries, tableOf) =>
+    replaced(entries).filter(({ from }) => !removedTables.has(tableOf(from)));
+
+  // 1. Drop what is removed or replaced, dependents first
+  section(
+    "Drop removed and changed policies",
+    replacedOnKeptTables(
+      schema.policies,
+      (policy) => `${policy.schemaname}.${policy.tablename}`
+    ).map(
+      ({ from }) =>
+        `DROP POLICY IF EXISTS "${from.policyname}" ON ${tableRef(from.schemaname, from.tablename)};`
+    )
+  );
+  section(
+    "Drop removed and changed triggers",
+    replacedOnKeptTables(
+      schema.triggers,
+      (trigger) =>
+        `${trigger.event_object_schema}.${trigger.event_object_table}`
+    ).map(
+      ({ from }) =>
+        `DROP TRIGGER IF EXISTS "${from.trigger_name}" ON ${tableRef(from.event_object_schema, from.event_object_table)};`
+    )
+  );
+  section(
+    "Drop removed and changed views",
+    replaced(schema.views).map(
+      ({ from }) =>
+        `DROP VIEW IF EXISTS ${tableRef(from.view_schema, from.view_name)};`
+    )
+  );
+  section(
+    "Drop removed and changed indexes",
+    replacedOnKeptTables(
+      schema.indexes,
+      (index) => `${index.schemaname}.${index.tablename}`
+    ).map(({ from }) => {
+      const con = constraintFor(fromSchema, from);
+      return con
+        ? `ALTER TABLE ${tableRef(con.table_schema, con.table_name)} DROP CONSTRAINT IF EXISTS "${con.constraint_name}";`
+        : `DROP INDEX IF EXISTS ${tableRef(from.schemaname, from.indexname)};`;
+    })
+  );
+
+  // 2. Types, sequences and tables
+  section("Enums", [
+    ...schema.enums.added.map(({ to }) => createEnumSQL(to)),
+    ...schema.enums.changed.flatMap(({ name, from, to }) =>
+      alterEnumSQL(name, from, to, warnings)
+    ),
+  ]);
+
+  const sequenceKey = (seq) => `${seq.sequence_schema}.${seq.sequence_name}`;
+  const oldSequences = new Set((fromSchema.sequences || []).map(sequenceKey));
+  section(
+    "New sequences",
+    (toSchema.sequences || [])
+      .filter((seq) => !oldSequences.has(sequenceKey(seq)))
+      .map(createSequenceSQL)
+  );
+
+  section("New tables", [
+    ...schema.tables.added.map(({ to }) => createTableSQL(to)),
+    ...(toSchema.constraints || [])
+      .filter(
+        (con) => isOnAddedTable(con) && con.constraint_type !== "FOREIGN KEY"
+      )
+      .map(
+        (con) =>
+          `ALTER TABLE ${tableRef(con.table_schema, con.table_name)} ADD CONSTRAINT "${con.constraint_name}" ${con.constraint_definition};`
+      ),
+  ]);
+
+  section(
+    "Changed columns",
+    schema.tables.changed.flatMap(({ to, columns }) =>
+      alterColumnsSQL(to, columns, warnings)
+    )
+  );
+
+  // 3. Functions and views; a changed return type needs a DROP first
+  section("Functions", [
+    ...schema.functions.removed.map(
+      ({ from }) => `DROP FUNCTION IF EXISTS ${functionRef(from)};`
+    ),
+    ...schema.functions.changed
+      .filter(({ from, to }) => from.return_type !== to.return_type)
+      .map(({ from }) => `DROP FUNCTION IF EXISTS ${functionRef(from)};`),
+    ...created(schema.functions).map(({ to }) =>
+      (
+        to.full_definition ||
+        to.complete_definition ||
+        to.routine_definition
+      ).trim()
+    ),
+  ]);
+
+  section(
+    "Views",
+    created(schema.views).map(
+      ({ to }) =>
+        `CREATE OR REPLACE VIEW ${tableRef(to.view_schema, to.view_name)} AS\n${to.view_definition.trim().replace(/;$/, "")};`
+    )
+  );
+
+  // 4. Indexes, foreign keys of new tables, triggers and policies
+  section(
+    "Indexes",
+    created(schema.indexes)
+      .map(({ to }) => {
+        const con = constraintFor(toSchema, to);
+        if (!con) return `${to.indexdef};`;
+        if (isOnAddedTable(con)) return null; // created with the table
+        return `ALTER TABLE ${tableRef(con.table_schema, con.table_name)} ADD CONSTRAINT "${con.constraint_name}" ${con.constraint_definition};`;
+      })
+      .filter(Boolean)
+  );
+
+  section(
+    "Foreign keys of new tables",
+    (toSchema.constraints || [])
+      .filter(
+        (con) => isOnAddedTable(con) && con.constraint_type === "FOREIGN KEY"
+      )
+      .map(
+        (con) =>
+          `ALTER TABLE ${tableRef(con.table_schema, con.table_name)} ADD CONSTRAINT "${con.constraint_name}" ${con.constraint_definition};`
+      )
+  );
+
+  section(
+    "Triggers",
+    created(schema.triggers).map(({ to }) => createTriggerSQL(to))
+  );
+
+  const policyTable = (policy) => `${policy.schemaname}.${policy.tablename}`;
+  const oldPolicyTables = new Set((fromSchema.policies || []).map(policyTable));
+  const newPolicyTables = [
+    ...new Set(schema.policies.added.map(({ to }) => policyTable(to))),
+  ].filter((name) => !oldPolicyTables.has(name));
+
+  section("Policies", [
+    ...newPolicyTables.map((name) => {
+      const [schemaName, table] = name.split(".");
+      return `ALTER TABLE ${tableRef(schemaName, table)} ENABLE ROW LEVEL SECURITY;`;
+    }),
+    ...created(schema.policies).map(({ to }) => createPolicySQL(to)),
+  ]);
+
+  // 5. Removed tables and types last, once nothing refers to them
+  section("Drop removed tables", [
+    ...schema.tables.removed.map(({ from }) => {
+      warnings.push(
+        `${from.table_schema}.${from.table_name}: dropping the table deletes its data`
+      );
+      return `DROP TABLE IF EXISTS ${tableRef(from.table_schema, from.table_name)};`;
+    }),
+  ]);
+  section(
+    "Drop removed enums",
+    schema.enums.removed.map(
+      ({ from }) =>
+        `DROP TYPE IF EXISTS ${tableRef(from.schema_name, from.enum_name)};`
+    )
+  );
+
+  const statements = sections.reduce(
+    (total, { statements: list }) => total + list.length,
+    0
+  );
+
+  let sql = `-- =============================================
+-- SUPABASE SCHEMA MIGRATION
+-- =============================================
+-- From: ${diff.from.id} (${diff.from.timestamp || "unknown time"})
+-- To:   ${diff.to.id} (${diff.to.timestamp || "unknown time"})
+-- Generated: ${new Date().toISOString()}
+--
+-- Review before running: data in dropped tables and columns is lost.
+-- Constraints other than those of new tables and indexes, and comments,
+-- are not migrated.
+-- =============================================
+`;
+
+  if (warnings.length > 0) {
+    sql += `--\n-- WARNINGS:\n${warnings.map((warning) => `--   ${warning}`).join("\n")}\n`;
+  }
+
+  if (statements === 0) {
+    return {
+      sql: `${sql}\n-- No schema differences\n`,
+      statements,
+      warnings,
+    };
+  }
+
+  sql += "\nSET check_function_bodies = false;\nBEGIN;\n";
+  sections.forEach(({ title, statements: list }) => {
+    sql += `\n-- ${title}\n${list.join("\n\n")}\n`;
+  });
+  sql += "\nCOMMIT;\n";
+
+  return { sql, statements, warnings };
+}
+
+module.exports = {
+  columnTypeSQL,
+  columnDefinitionSQL,
+  generateMigrationSQL,
+};
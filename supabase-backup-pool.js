@@ -0,0 +1,59 @@
+// supabase-backup-pool.js
+// Bounded worker pool for per-table backup work
+// Results keep input order; parallel output is printed one task at a time
+
+// Run worker(item, index) over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+// Console output, warnings and errors for one task. When buffered, lines are
+// held until flush() so tasks running side by side do not interleave.
+class TaskOutput {
+  constructor({ buffered = false } = {}) {
+    this.buffered = buffered;
+    this.lines = [];
+    this.warnings = [];
+    this.errors = [];
+  }
+
+  log(...args) {
+    this.emit("log", args);
+  }
+
+  error(...args) {
+    this.emit("error", args);
+  }
+
+  // Inline progress (\r updates) only makes sense when tasks run one by one
+  progress(text) {
+    if (!this.buffered) process.stdout.write(text);
+  }
+
+  emit(method, args) {
+    if (this.buffered) {
+      this.lines.push([method, args]);
+    } else {
+      console[method](...args);
+    }
+  }
+
+  flush() {
+    this.lines.forEach(([method, args]) => console[method](...args));
+    this.lines = [];
+  }
+}
+
+module.exports = { mapWithConcurrency, TaskOutput };
@@ -0,0 +1,169 @@
+// supabase-backup-projects.js
+// Multi-project runs: one backup process per config file profile
+// A failing project never stops the others; the run ends with a summary
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+  BackupCipher,
+  EncryptionError,
+} = require("./supabase-backup-encryption");
+const { readBackupSummary } = require("./supabase-backup-summary");
+
+// Exit code of a backup that was written but recorded errors
+const EXIT_BACKUP_ERRORS = 2;
+
+// Options of the combined run that its project backups must not inherit
+const RUN_ONLY_ARGS = ["--all-projects"];
+const RUN_ONLY_PREFIXES = ["--projects=", "--profile="];
+
+function projectArgs(args) {
+  return args.filter(
+    (arg, i) =>
+      !RUN_ONLY_ARGS.includes(arg) &&
+      !RUN_ONLY_PREFIXES.some((prefix) => arg.startsWith(prefix)) &&
+      arg !== "--profile" &&
+      args[i - 1] !== "--profile"
+  );
+}
+
+// Same format as the backup directory names, so they compare as strings
+function runTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+function runBackupProcess(scriptPath, args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [scriptPath, ...args], {
+      stdio: "inherit",
+    });
+    child.on("error", () => resolve(1));
+    child.on("close", (code, signal) => resolve(signal ? 1 : code));
+  });
+}
+
+// Key for a project's encrypted backups: --key-file= of the run, else the
+// profile's key file or the environment (null when none is usable)
+function projectCipher(project, args) {
+  const keyArg = args.find((arg) => arg.startsWith("--key-file="));
+  try {
+    return BackupCipher.fromEnvironment({
+      keyFile: keyArg ? keyArg.slice("--key-file=".length) : project.keyFile,
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+// The backup a project's process wrote since `since`, with its summary (only
+// the plaintext stub of an encrypted backup when cipher cannot read it)
+function findProjectBackup(outputDir, since, { cipher = null } = {}) {
+  if (!fs.existsSync(outputDir)) return null;
+
+  const id = fs
+    .readdirSync(outputDir)
+    .filter(
+      (item) =>
+        item >= since && fs.statSync(path.join(outputDir, item)).isDirectory()
+    )
+    .sort()
+    .pop();
+  if (!id) return null;
+
+  const dir = path.join(outputDir, id);
+  let summary;
+  try {
+    summary = readBackupSummary(dir, { cipher });
+  } catch (error) {
+    if (!(error instanceof EncryptionError)) throw error;
+    summary = readBackupSummary(dir, { stubOnly: true });
+  }
+  return { id, dir, summary };
+}
+
+// Back up each { name, outputDir, keyFile } in turn with `node scriptPath
+// --profile name ...args`. Returns one result per project:
+// { name, status: "ok" | "failed", exitCode, backup, tables, rows, errors,
+//   warnings, duration }
+async function runProjects(projects, { scriptPath, args, log = console.log }) {
+  const forwarded = projectArgs(args);
+  const results = [];
+
+  for (const [i, project] of projects.entries()) {
+    log(`\n${"━".repeat(80)}`);
+    log(`📦 Project ${i + 1}/${projects.length}: ${project.name}`);
+    log("━".repeat(80));
+
+    const since = runTimestamp();
+    const started = Date.now();
+    const exitCode = await runBackupProcess(scriptPath, [
+      "--profile",
+      project.name,
+      ...forwarded,
+    ]);
+    const backup =
+      exitCode === 0 || exitCode === EXIT_BACKUP_ERRORS
+        ? findProjectBackup(project.outputDir, since, {
+            cipher: projectCipher(project, args),
+          })
+        : null;
+    const statistics = backup?.summary?.statistics;
+    const errors = backup?.summary?.errors?.length ?? null;
+
+    results.push({
+      name: project.name,
+      status: exitCode === 0 && backup && !errors ? "ok" : "failed",
+      exitCode,
+      backup: backup?.dir || null,
+      tables: statistics?.totalTables ?? null,
+      rows: statistics?.totalRows ?? null,
+      errors,
+      warnings: backup?.summary?.warnings?.length ?? null,
+      duration: Date.now() - started,
+    });
+  }
+
+  return results;
+}
+
+// Summary table lines for runProjects results
+function formatProjectSummary(results) {
+  const failed = results.filter((result) => result.status === "failed");
+  const count = (value) => (value === null ? "-" : value.toLocaleString());
+
+  const rows = [
+    ["Project", "Status", "Tables", "Rows", "Errors", "Duration", "Backup"],
+    ...results.map((result) => [
+      result.name,
+      result.status === "ok" ? "✅ ok" : "❌ failed",
+      count(result.tables),
+      count(result.rows),
+      count(result.errors),
+      `${Math.round(result.duration / 1000)}s`,
+      result.backup || `(exit code ${result.exitCode})`,
+    ]),
+  ];
+  const widths = rows[0].map((_, col) =>
+    Math.max(...rows.map((row) => row[col].length))
+  );
+
+  return [
+    `📊 Projects: ${results.length}, ${results.length - failed.length} succeeded, ${failed.length} failed`,
+    "",
+    ...rows.map((row) =>
+      row
+        .map((cell, col) =>
+          col === row.length - 1 ? cell : cell.padEnd(widths[col])
+        )
+        .join("  ")
+    ),
+  ];
+}
+
+module.exports = {
+  EXIT_BACKUP_ERRORS,
+  projectArgs,
+  runProjects,
+  formatProjectSummary,
+};
@@ -0,0 +1,280 @@
+// supabase-backup-restore.js
+// Executes backup SQL scripts against a target database
+// Statement by statement, inside one transaction, with per-section progress
+
+const TRANSACTION_CONTROL =
+  /^(BEGIN|COMMIT|ROLLBACK|END|START\s+TRANSACTION|ABORT)\s*;?$/i;
+
+const COPY_FROM_STDIN = /^COPY\s[\s\S]*\sFROM\s+stdin\b/i;
+
+class RestoreError extends Error {
+  constructor(message, { statement, cause } = {}) {
+    super(message);
+    this.name = "RestoreError";
+    this.statement = statement;
+    this.cause = cause;
+  }
+}
+
+// Split a SQL script into statements, tracking the "-- ====\n-- NAME\n-- ===="
+// section headers the backup generator writes. Understands quoted strings,
+// E'' strings, quoted identifiers, dollar quoting and both comment styles.
+// COPY ... FROM stdin statements carry the rows up to the "\." line as
+// copyData, the way psql reads them.
+function splitSqlStatements(sql) {
+  const statements = [];
+  const recentComments = [];
+  let section = "PREAMBLE";
+  let current = "";
+  let i = 0;
+
+  const isIdentChar = (ch) => ch !== undefined && /[A-Za-z0-9_$]/.test(ch);
+
+  const pushStatement = () => {
+    const text = current.trim();
+    if (text) {
+      statements.push({ sql: text, section, index: statements.length });
+    }
+    current = "";
+  };
+
+  // Data lines start after the line holding the COPY statement
+  const readCopyData = (from) => {
+    const lineEnd = sql.indexOf("\n", from);
+    const start = lineEnd === -1 ? sql.length : lineEnd + 1;
+    const terminator = /^\\\.\r?$/gm;
+    terminator.lastIndex = start;
+    const match = terminator.exec(sql);
+    if (!match) {
+      return { data: sql.slice(start), next: sql.length };
+    }
+    const stop = match.index;
+    const after = sql.indexOf("\n", stop);
+    return {
+      data: sql.slice(start, stop),
+      next: after === -1 ? sql.length : after + 1,
+    };
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Line comment
+    if (ch === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      const stop = end === -1 ? sql.length : end;
+      const comment = sql.slice(i + 2, stop).trim();
+
+      if (current.trim() === "") {
+        // Between statements: only used to follow section headers
+        recentComments.push(comment);
+        if (recentComments.length > 3) recentComments.shift();
+        const [open, name, close] = recentComments;
+        if (
+          recentComments.length === 3 &&
+          /^=+$/.test(open) &&
+          /^=+$/.test(close) &&
+          /^[A-Z][A-Z &-]*$/.test(name)
+        ) {
+          section = name;
+        }
+      } else {
+        current += sql.slice(i, stop);
+      }
+      i = stop;
+      continue;
+    }
+
+    // Block comment (nestable in Postgres)
+    if (ch === "/" && next === "*") {
+      let depth = 1;
+      let j = i + 2;
+      while (j < sql.length && depth > 0) {
+        if (sql[j] === "/" && sql[j + 1] === "*") {
+          depth++;
+          j += 2;
+        } else if (sql[j] === "*" && sql[j + 1] === "/") {
+          depth--;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      if (current.trim() !== "") current += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // String literal, with backslash escapes for E'...'
+    if (ch === "'") {
+      const prev = sql[i - 1];
+      const escapes =
+        (prev === "E" || prev === "e") && !isIdentChar(sql[i - 2]);
+      let j = i + 1;
+      while (j < sql.length) {
+        if (escapes && sql[j] === "\\") {
+          j += 2;
+        } else if (sql[j] === "'" && sql[j + 1] === "'") {
+          j += 2;
+        } else if (sql[j] === "'") {
+          j++;
+          break;
+        } else {
+          j++;
+        }
+      }
+      current += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // Quoted identifier
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === '"' && sql[j + 1] === '"') {
+          j += 2;
+        } else if (sql[j] === '"') {
+          j++;
+          break;
+        } else {
+          j++;
+        }
+      }
+      current += sql.slice(i, j);
+      i = j;
+      continue;
+    }
+
+    // Dollar-quoted body ($$...$$ or $tag$...$tag$)
+    if (ch === "$" && !isIdentChar(sql[i - 1])) {
+      const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const stop = close === -1 ? sql.length : close + tag[0].length;
+        current += sql.slice(i, stop);
+        i = stop;
+        continue;
+      }
+    }
+
+    if (ch === ";") {
+      current += ch;
+      const copy = COPY_FROM_STDIN.test(current.trim());
+      pushStatement();
+      recentComments.length = 0;
+      i++;
+      if (copy) {
+        const { data, next } = readCopyData(i);
+        statements[statements.length - 1].copyData = data;
+        i = next;
+      }
+      continue;
+    }
+
+    if (!/\s/.test(ch)) recentComments.length = 0;
+    current += ch;
+    i++;
+  }
+
+  pushStatement();
+  return statements;
+}
+
+class BackupRestorer {
+  // connection: anything with query(sql) -> Promise, e.g. DirectConnection
+  constructor(connection, { onSection, onStatement } = {}) {
+    this.connection = connection;
+    this.onSection = onSection || (() => {});
+    this.onStatement = onStatement || (() => {});
+  }
+
+  // The restorer owns the transaction, so BEGIN/COMMIT in the script are skipped
+  planStatements(sql) {
+    return splitSqlStatements(sql).filter(
+      (statement) => !TRANSACTION_CONTROL.test(statement.sql)
+    );
+  }
+
+  // COPY rows go through the connection's copyFrom (DirectConnection has one)
+  async copyFrom(statement) {
+    if (typeof this.connection.copyFrom !== "function") {
+      throw new Error("this connection cannot run COPY ... FROM stdin");
+    }
+    await this.connection.copyFrom(statement.sql, statement.copyData);
+  }
+
+  // scripts: SQL text, or [{ name, sql }] to apply several scripts (such as
+  // a backup chain) in one transaction
+  async restore(scripts) {
+    const list =
+      typeof scripts === "string" ? [{ name: null, sql: scripts }] : scripts;
+    const statements = list.flatMap((script) =>
+      this.planStatements(script.sql).map((statement) => ({
+        ...statement,
+        script: script.name,
+      }))
+    );
+
+    const sectionKey = (statement) =>
+      `${statement.script}:${statement.section}`;
+    const sectionTotals = statements.reduce((acc, statement) => {
+      const key = sectionKey(statement);
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+
+    const sections = [];
+    let currentSection = null;
+    let doneInSection = 0;
+
+    await this.connection.query("BEGIN");
+
+    try {
+      for (const statement of statements) {
+        const key = sectionKey(statement);
+        if (key !== currentSection) {
+          currentSection = key;
+          doneInSection = 0;
+          sections.push(statement.section);
+          this.onSection(
+            statement.section,
+            sectionTotals[key],
+            statement.script
+          );
+        }
+
+        try {
+          if (statement.copyData !== undefined) {
+            await this.copyFrom(statement);
+          } else {
+            await this.connection.query(statement.sql);
+          }
+        } catch (error) {
+          const location = statement.script
+            ? `${statement.script} ${statement.section}`
+            : statement.section;
+          throw new RestoreError(
+            `Statement ${statement.index + 1} in ${location} failed: ${error.message}`,
+            { statement, cause: error }
+          );
+        }
+
+        doneInSection++;
+        this.onStatement(statement.section, doneInSection, sectionTotals[key]);
+      }
+
+      await this.connection.query("COMMIT");
+    } catch (error) {
+      await this.connection.query("ROLLBACK").catch(() => {});
+      throw error instanceof RestoreError
+        ? error
+        : new RestoreError(error.message, { cause: error });
+    }
+
+    return { statements: statements.length, sections };
+  }
+}
+
+module.exports = { BackupRestorer, RestoreError, splitSqlStatements };
@@ -0,0 +1,119 @@
+// supabase-backup-retention.js
+// Grandfather-father-son retention planning for backup directories
+// Pure planning only: the CLI decides what to print and what to delete
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period keys are computed in UTC, matching the backup timestamps
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ISO 8601 week, e.g. "2024-W03"
+function weekKey(date) {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday of this week
+
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / DAY_MS + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+const RETENTION_RULES = [
+  { name: "daily", option: "keepDaily", periodKey: dayKey },
+  { name: "weekly", option: "keepWeekly", periodKey: weekKey },
+  { name: "monthly", option: "keepMonthly", periodKey: monthKey },
+];
+
+// Directory names are backup timestamps with ":" and "." replaced by "-"
+function parseBackupId(id) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(
+    id
+  );
+  if (!match) return null;
+  const [, date, hours, minutes, seconds, millis] = match;
+  return new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// backups: [{ id, timestamp: Date|null, type, parentId }]
+// policy: { keepDaily, keepWeekly, keepMonthly }
+//
+// For each rule the newest backup of each of the latest N periods that have
+// backups is kept. Parents of kept incremental backups are kept as well, so
+// every kept backup stays restorable, and backups of unknown age are never
+// removed. Returns { entries: [{ backup, reasons, keep }], keep, remove },
+// each newest first.
+function planRetention(backups, policy) {
+  const reasons = new Map(backups.map((backup) => [backup.id, []]));
+  const dated = backups
+    .filter((backup) => backup.timestamp)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  RETENTION_RULES.forEach(({ name, option, periodKey }) => {
+    const count = policy[option] || 0;
+    const periods = new Set();
+
+    for (const backup of dated) {
+      if (periods.size >= count) break;
+      const period = periodKey(backup.timestamp);
+      if (periods.has(period)) continue;
+
+      periods.add(period);
+      reasons.get(backup.id).push(name);
+    }
+  });
+
+  backups
+    .filter((backup) => !backup.timestamp)
+    .forEach((backup) => reasons.get(backup.id).push("unknown age"));
+
+  const byId = new Map(backups.map((backup) => [backup.id, backup]));
+  backups
+    .filter((backup) => reasons.get(backup.id).length > 0)
+    .forEach((backup) => {
+      let child = backup;
+      let parent = byId.get(child.parentId);
+      while (parent && child.type === "incremental") {
+        const reason = `parent of ${backup.id}`;
+        if (!reasons.get(parent.id).includes(reason)) {
+          reasons.get(parent.id).push(reason);
+        }
+        child = parent;
+        parent = byId.get(child.parentId);
+      }
+    });
+
+  const newestFirst = [...backups].sort(
+    (a, b) =>
+      (b.timestamp || Infinity) - (a.timestamp || Infinity) ||
+      b.id.localeCompare(a.id)
+  );
+
+  const entries = newestFirst.map((backup) => ({
+    backup,
+    reasons: reasons.get(backup.id),
+    keep: reasons.get(backup.id).length > 0,
+  }));
+
+  return {
+    entries,
+    keep: entries.filter((entry) => entry.keep),
+    remove: entries.filter((entry) => !entry.keep).map(({ backup }) => backup),
+  };
+}
+
+module.exports = {
+  RETENTION_RULES,
+  planRetention,
+  parseBackupId,
+  dayKey,
+  weekKey,
+  monthKey,
+};
@@ -0,0 +1,107 @@
+// supabase-backup-selection.js
+// Which tables, views and columns a backup keeps: schema-qualified glob rules
+// applied in order, where the last matching rule wins and "!" negates a rule
+
+class PatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatternError";
+  }
+}
+
+// "*" matches any run of characters within one name part, "?" exactly one
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") return "[^.]*";
+      if (char === "?") return "[^.]";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns for "schema.table" (2 parts) or "schema.table.column" (3 parts);
+// one part fewer means the public schema
+function compileRules(patterns, parts, option) {
+  const shape = parts === 2 ? "schema.table" : "schema.table.column";
+
+  return patterns.map((pattern) => {
+    const negate = pattern.startsWith("!");
+    let glob = (negate ? pattern.slice(1) : pattern).trim();
+    if (glob.split(".").length === parts - 1) glob = `public.${glob}`;
+
+    const names = glob.split(".");
+    if (names.length !== parts || names.some((name) => !name)) {
+      throw new PatternError(
+        `${option}: "${pattern}" is not a ${shape} pattern`
+      );
+    }
+
+    return { pattern, negate, regexp: globToRegExp(glob) };
+  });
+}
+
+// True when the last rule matching `name` is not negated
+function matchRules(rules, name) {
+  let matched = false;
+  rules.forEach((rule) => {
+    if (rule.regexp.test(name)) matched = !rule.negate;
+  });
+  return matched;
+}
+
+// BACKUP_CONFIG onlyTables / excludeTables decide what is backed up at all
+// (schema and data), excludeDataTables keeps a table's schema but not its
+// rows, and excludeColumns drops columns from the data files
+class TableSelection {
+  constructor({
+    onlyTables = [],
+    excludeTables = [],
+    excludeDataTables = [],
+    excludeColumns = [],
+  } = {}) {
+    this.only = compileRules(onlyTables, 2, "onlyTables");
+    this.exclude = compileRules(excludeTables, 2, "excludeTables");
+    this.excludeData = compileRules(excludeDataTables, 2, "excludeDataTables");
+    this.excludeColumns = compileRules(excludeColumns, 3, "excludeColumns");
+  }
+
+  includes(schema, table) {
+    const name = `${schema}.${table}`;
+    return (
+      (this.only.length === 0 || matchRules(this.only, name)) &&
+      !matchRules(this.exclude, name)
+    );
+  }
+
+  includesData(schema, table) {
+    return (
+      this.includes(schema, table) &&
+      !matchRules(this.excludeData, `${schema}.${table}`)
+    );
+  }
+
+  // The names in `columns` that excludeColumns drops for this table
+  excludedColumns(schema, table, columns) {
+    return columns.filter((column) =>
+      matchRules(this.excludeColumns, `${schema}.${table}.${column}`)
+    );
+  }
+}
+
+// "a,!b" command line lists
+function parsePatternList(value) {
+  return value
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  PatternError,
+  compileRules,
+  TableSelection,
+  parsePatternList,
+};
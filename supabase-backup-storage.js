@@ -0,0 +1,414 @@
+// supabase-backup-storage.js
+// Supabase Storage buckets and object files over the Storage REST API
+// Listing, streamed downloads, reuse of unchanged objects and re-upload
+
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const {
+  ENCRYPTION_EXTENSION,
+  requireCipher,
+} = require("./supabase-backup-encryption");
+const {
+  readTextFileSync,
+  resolveBackupFile,
+} = require("./supabase-backup-compression");
+const { readBackupSummary } = require("./supabase-backup-summary");
+
+const STORAGE_DIR = "storage";
+const BUCKETS_FILE = "buckets.json";
+const OBJECTS_FILE = "objects.json";
+const REUPLOAD_SCRIPT = "reupload-storage.js";
+const LIST_PAGE_SIZE = 1000;
+
+class StorageError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "StorageError";
+    this.status = status;
+  }
+}
+
+const encodeObjectName = (name) =>
+  name.split("/").map(encodeURIComponent).join("/");
+
+class StorageClient {
+  // url: project URL (https://<ref>.supabase.co), serviceKey: service role key
+  constructor(url, serviceKey) {
+    this.baseUrl = `${url.replace(/\/+$/, "")}/storage/v1`;
+    this.headers = {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+    };
+  }
+
+  async request(method, endpoint, { json, body, headers = {} } = {}) {
+    const options = { method, headers: { ...this.headers, ...headers } };
+    if (json !== undefined) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(json);
+    } else if (body !== undefined) {
+      options.body = body;
+      options.duplex = "half"; // Streamed request bodies
+    }
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, options);
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      let message = text;
+      try {
+        const parsed = JSON.parse(text);
+        message = parsed.message || parsed.error || text;
+      } catch (error) {
+        // Not JSON; keep the raw text
+      }
+      throw new StorageError(
+        `${method} ${endpoint} failed: ${response.status} ${message}`.trim(),
+        response.status
+      );
+    }
+    return response;
+  }
+
+  async listBuckets() {
+    return (await this.request("GET", "/bucket")).json();
+  }
+
+  // One page of one folder level: files, and folders (id null)
+  async listFolder(bucket, folder, offset) {
+    const response = await this.request(
+      "POST",
+      `/object/list/${encodeURIComponent(bucket)}`,
+      {
+        json: {
+          prefix: folder,
+          limit: LIST_PAGE_SIZE,
+          offset,
+          sortBy: { column: "name", order: "asc" },
+        },
+      }
+    );
+    return response.json();
+  }
+
+  // Every object of a bucket, depth first, with its full name. include(path)
+  // filters objects and prunes folders (folder paths end with "/").
+  async *listObjects(bucket, { folder = "", include = () => true } = {}) {
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const entries = await this.listFolder(bucket, folder, offset);
+
+      for (const entry of entries) {
+        const name = folder ? `${folder}/${entry.name}` : entry.name;
+        if (entry.id === null || entry.id === undefined) {
+          if (include(`${name}/`)) {
+            yield* this.listObjects(bucket, { folder: name, include });
+          }
+        } else if (include(name)) {
+          yield { ...entry, name };
+        }
+      }
+
+      if (entries.length < LIST_PAGE_SIZE) return;
+    }
+  }
+
+  async download(bucket, name) {
+    const response = await this.request(
+      "GET",
+      `/object/${encodeURIComponent(bucket)}/${encodeObjectName(name)}`
+    );
+    return Readable.fromWeb(response.body);
+  }
+
+  async createBucket(bucket) {
+    await this.request("POST", "/bucket", {
+      json: { id: bucket.id, name: bucket.name, ...bucketSettings(bucket) },
+    });
+  }
+
+  async updateBucket(bucket) {
+    await this.request("PUT", `/bucket/${encodeURIComponent(bucket.id)}`, {
+      json: bucketSettings(bucket),
+    });
+  }
+
+  // Uploads (or overwrites) an object; body: Buffer or readable stream
+  async upload(bucket, name, body, { contentType, cacheControl } = {}) {
+    const headers = { "x-upsert": "true" };
+    if (contentType) headers["Content-Type"] = contentType;
+    if (cacheControl) headers["Cache-Control"] = cacheControl;
+
+    await this.request(
+      "POST",
+      `/object/${encodeURIComponent(bucket)}/${encodeObjectName(name)}`,
+      { body, headers }
+    );
+  }
+}
+
+function bucketSettings(bucket) {
+  return {
+    public: Boolean(bucket.public),
+    file_size_limit: bucket.file_size_limit ?? null,
+    allowed_mime_types: bucket.allowed_mime_types ?? null,
+  };
+}
+
+// Buckets named in buckets or in a "bucket/prefix" entry; all when both
+// lists are empty
+function selectBuckets(allBuckets, { buckets = [], prefixes = [] } = {}) {
+  const wanted = new Set([
+    ...buckets,
+    ...prefixes.map((prefix) => prefix.split("/")[0]),
+  ]);
+  return wanted.size === 0
+    ? allBuckets
+    : allBuckets.filter((bucket) => wanted.has(bucket.id));
+}
+
+// include(path) for listObjects from "bucket/prefix" entries; a bucket
+// without entries is not restricted
+function prefixFilter(bucket, prefixes = []) {
+  const own = prefixes
+    .filter((prefix) => prefix.split("/")[0] === bucket)
+    .map((prefix) => prefix.slice(bucket.length + 1));
+
+  if (own.length === 0 || own.includes("")) return () => true;
+  return (name) =>
+    own.some(
+      (prefix) =>
+        name.startsWith(prefix) ||
+        (name.endsWith("/") && prefix.startsWith(name))
+    );
+}
+
+// Index entry for a listed object; file is set once it is stored
+function describeObject(bucket, entry) {
+  const metadata = entry.metadata || {};
+  return {
+    bucket,
+    name: entry.name,
+    id: entry.id,
+    size: metadata.size ?? metadata.contentLength ?? null,
+    mimetype: metadata.mimetype || null,
+    cacheControl: metadata.cacheControl || null,
+    eTag: metadata.eTag || null,
+    lastModified: metadata.lastModified || null,
+    createdAt: entry.created_at || null,
+    updatedAt: entry.updated_at || null,
+    userMetadata: entry.user_metadata || null,
+    file: null,
+  };
+}
+
+// Backup-relative path of an object file, or null for names that would
+// escape storage/<bucket>/
+function objectFilePath(bucket, name) {
+  const segments = [bucket, ...name.split("/")];
+  if (segments.some((part) => !part || part === "." || part === "..")) {
+    return null;
+  }
+  return [STORAGE_DIR, ...segments].join("/");
+}
+
+// Same object as recorded by an earlier backup: same size, and the same
+// ETag when both have one, otherwise the same updated_at
+function isUnchanged(previous, object) {
+  if (!previous || previous.size !== object.size) return false;
+  if (previous.eTag && object.eTag) return previous.eTag === object.eTag;
+  return Boolean(previous.updatedAt) && previous.updatedAt === object.updatedAt;
+}
+
+// Streams an object to filePath (.enc added with a cipher); returns the
+// stored path
+async function saveObjectFile(source, filePath, { cipher } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const target = filePath + (cipher ? ENCRYPTION_EXTENSION : "");
+  const stages = cipher ? [cipher.createEncryptStream()] : [];
+  await pipeline(source, ...stages, fs.createWriteStream(target));
+  return target;
+}
+
+// Object files hold the object's own bytes, whatever its name ends in
+// (.gz, .enc, ...); only the backup's encryption decides whether the file
+// is encrypted. encrypted: that backup's summary names an encryption.
+function openObjectFile(filePath, { cipher, encrypted = false } = {}) {
+  return encrypted
+    ? requireCipher(cipher, filePath).createDecryptStream(filePath)
+    : fs.createReadStream(filePath);
+}
+
+// Hard link (or copy) of an object file from an earlier backup, provided it
+// is stored the same way: plain, or encrypted with a key this cipher holds.
+// encrypted: whether that earlier backup was encrypted. Returns the stored
+// path, or null when it has to be downloaded again.
+function reuseObjectFile(
+  sourcePath,
+  filePath,
+  { cipher, encrypted = false } = {}
+) {
+  if (!fs.existsSync(sourcePath)) return null;
+  if (Boolean(cipher) !== encrypted) return null;
+  if (cipher) {
+    try {
+      cipher.openDecipher(sourcePath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const target = filePath + (cipher ? ENCRYPTION_EXTENSION : "");
+  try {
+    fs.linkSync(sourcePath, target);
+  } catch (error) {
+    fs.copyFileSync(sourcePath, target);
+  }
+  return target;
+}
+
+// Parsed buckets.json/objects.json of a backup directory (null when absent)
+function readStorageIndex(backupDir, fileName, { cipher } = {}) {
+  const file = resolveBackupFile(path.join(backupDir, STORAGE_DIR, fileName));
+  return file ? JSON.parse(readTextFileSync(file, { cipher })) : null;
+}
+
+// Re-creates the buckets (with their settings) and uploads every object of
+// a backup; existing objects are overwritten. Returns counts and failures.
+async function uploadStorageBackup(
+  backupDir,
+  client,
+  { cipher, buckets = [], log = console.log } = {}
+) {
+  const savedBuckets = readStorageIndex(backupDir, BUCKETS_FILE, { cipher });
+  const objects = readStorageIndex(backupDir, OBJECTS_FILE, { cipher });
+  if (!savedBuckets || !objects) {
+    throw new Error(`No Storage backup found in ${backupDir}`);
+  }
+  const encrypted = Boolean(
+    readBackupSummary(backupDir, { stubOnly: true })?.backup?.encryption
+  );
+
+  const selected = selectBuckets(savedBuckets, { buckets });
+  const selectedIds = new Set(selected.map((bucket) => bucket.id));
+  const existing = new Set(
+    (await client.listBuckets()).map((bucket) => bucket.id)
+  );
+
+  for (const bucket of selected) {
+    if (existing.has(bucket.id)) {
+      await client.updateBucket(bucket);
+    } else {
+      await client.createBucket(bucket);
+    }
+    log(`🪣 Bucket ${bucket.id}${bucket.public ? " (public)" : ""}`);
+  }
+
+  const result = { buckets: selected.length, objects: 0, bytes: 0, failed: [] };
+  for (const object of objects) {
+    if (!selectedIds.has(object.bucket) || !object.file) continue;
+
+    try {
+      const filePath = path.join(backupDir, object.file);
+      await client.upload(
+        object.bucket,
+        object.name,
+        openObjectFile(filePath, { cipher, encrypted }),
+        { contentType: object.mimetype, cacheControl: object.cacheControl }
+      );
+      result.objects++;
+      result.bytes += object.size || 0;
+    } catch (error) {
+      result.failed.push(`${object.bucket}/${object.name}: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+// Stand-alone script, written next to the Storage files of each backup
+function generateReuploadScript(backupId) {
+  return `#!/usr/bin/env node
+// Re-uploads the Storage buckets and files of backup ${backupId}
+//
+// Usage:
+//   SUPABASE_URL=https://<ref>.supabase.co SUPABASE_SERVICE_ROLE_KEY=... \\
+//     node ${REUPLOAD_SCRIPT} [--bucket=name ...] [--key-file=PATH]
+//
+// Encrypted backups also need BACKUP_ENCRYPTION_PASSPHRASE,
+// BACKUP_ENCRYPTION_KEY, BACKUP_ENCRYPTION_KEY_FILE or --key-file.
+
+const path = require("path");
+
+// The backup tool, installed as a package or where this backup was made
+function load(name) {
+  try {
+    return require(\`professional-supabase-backup/\${name}\`);
+  } catch (error) {
+    return require(path.join(${JSON.stringify(__dirname)}, name));
+  }
+}
+
+const { StorageClient, uploadStorageBackup } = load("supabase-backup-storage");
+const { BackupCipher } = load("supabase-backup-encryption");
+
+const url = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const key =
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+if (!url || !key) {
+  console.error(
+    "❌ Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY of the target project"
+  );
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const buckets = args
+  .filter((arg) => arg.startsWith("--bucket="))
+  .map((arg) => arg.slice("--bucket=".length));
+const keyFile = args
+  .find((arg) => arg.startsWith("--key-file="))
+  ?.slice("--key-file=".length);
+
+Promise.resolve()
+  .then(() =>
+    uploadStorageBackup(path.dirname(__dirname), new StorageClient(url, key), {
+      cipher: BackupCipher.fromEnvironment({ keyFile }),
+      buckets,
+    })
+  )
+  .then((result) => {
+    result.failed.forEach((failure) => console.error(\`❌ \${failure}\`));
+    console.log(
+      \`✅ Uploaded \${result.objects} objects to \${result.buckets} buckets\`
+    );
+    if (result.failed.length > 0) process.exitCode = 1;
+  })
+  .catch((error) => {
+    console.error(\`❌ \${error.message}\`);
+    process.exit(1);
+  });
+`;
+}
+
+module.exports = {
+  STORAGE_DIR,
+  BUCKETS_FILE,
+  OBJECTS_FILE,
+  REUPLOAD_SCRIPT,
+  StorageClient,
+  StorageError,
+  selectBuckets,
+  prefixFilter,
+  describeObject,
+  objectFilePath,
+  isUnchanged,
+  saveObjectFile,
+  openObjectFile,
+  reuseObjectFile,
+  readStorageIndex,
+  uploadStorageBackup,
+  generateReuploadScript,
+};
@@ -0,0 +1,283 @@
+// supabase-backup-subset.js
+// Referentially consistent subsets: sampled rows of root tables plus every
+// row they reach through foreign keys, so nothing in the subset dangles
+
+const { quoteIdent } = require("./supabase-backup-db");
+const { compileRules } = require("./supabase-backup-selection");
+const { parseRowFilter } = require("./supabase-backup-filters");
+
+class SubsetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SubsetError";
+  }
+}
+
+// Root spec -> { limit, filter }: a sample size, "all", a row filter
+// (PostgREST or SQL) or { filter, limit }
+function parseRootSpec(pattern, spec) {
+  if (typeof spec === "number" || /^\d+$/.test(spec)) {
+    const limit = Number(spec);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new SubsetError(
+        `subset.roots: "${pattern}" needs a positive sample size`
+      );
+    }
+    return { limit, filter: null };
+  }
+  if (spec === "all") return { limit: null, filter: null };
+  if (typeof spec === "string" && spec.trim()) {
+    return { limit: null, filter: parseRowFilter(spec.trim()) };
+  }
+  if (spec && typeof spec === "object" && !Array.isArray(spec)) {
+    const root =
+      spec.limit === undefined
+        ? { limit: null }
+        : parseRootSpec(pattern, spec.limit);
+    return {
+      limit: root.limit,
+      filter: spec.filter ? parseRowFilter(spec.filter.trim()) : null,
+    };
+  }
+  throw new SubsetError(
+    `subset.roots: "${pattern}" must be a sample size, "all", a row filter or { filter, limit }`
+  );
+}
+
+function tableRef(name) {
+  return name.split(".").map(quoteIdent).join(".");
+}
+
+// (alias.a, alias.b) IN the key rows passed as a JSON parameter, typed by
+// the table's own row type
+function keysCondition(alias, name, columns, param) {
+  const list = columns.map(quoteIdent).join(", ");
+  const qualified = columns
+    .map((col) => (alias ? `${alias}.${quoteIdent(col)}` : quoteIdent(col)))
+    .join(", ");
+  return `(${qualified}) IN (SELECT ${list} FROM jsonb_populate_recordset(NULL::${tableRef(name)}, ${param}::jsonb))`;
+}
+
+class SubsetPlanner {
+  // tables: "schema.table" -> key columns, for every table that can hold
+  // subset rows. leftOut: tables the backup holds without subset rows (no
+  // key). foreignKeys: FOREIGN KEY constraints from backupConstraints().
+  // conditions(filters, params): SQL for row filters.
+  constructor(
+    db,
+    { tables, leftOut = [], foreignKeys, conditions, followChildren, log }
+  ) {
+    this.db = db;
+    this.tables = tables;
+    this.leftOut = new Set(leftOut);
+    this.conditions = conditions;
+    this.followChildren = followChildren;
+    this.log = log || (() => {});
+
+    const references = foreignKeys
+      .map((con) => ({
+        name: con.constraint_name,
+        child: `${con.table_schema}.${con.table_name}`,
+        parent: `${con.foreign_table_schema}.${con.foreign_table_name}`,
+        childColumns: con.column_names,
+        parentColumns: con.foreign_column_names,
+      }))
+      .filter(
+        (fk) =>
+          tables.has(fk.child) &&
+          fk.childColumns?.length > 0 &&
+          fk.childColumns.length === fk.parentColumns?.length
+      );
+
+    // Only foreign keys between tables in the subset are followed; plan()
+    // checks the ones to left-out tables
+    this.foreignKeys = references.filter((fk) => tables.has(fk.parent));
+    this.outsideKeys = references.filter((fk) => !tables.has(fk.parent));
+
+    // "schema.table" -> Map(key JSON -> key row), and the keys already
+    // followed down to their children
+    this.selected = new Map();
+    this.followedDown = new Set();
+  }
+
+  // Key rows of `name` matching a root spec
+  async selectRoots(name, { limit, filter }) {
+    const columns = this.tables.get(name);
+    const params = [];
+    const conditions = filter ? this.conditions(filter.filters, params) : [];
+    const where = conditions.length ? ` WHERE ${conditions.join(" AND ")}` : "";
+    const order = columns.map(quoteIdent).join(", ");
+
+    return await this.db.query(
+      `SELECT ${columns.map((col) => `${quoteIdent(col)}::text AS ${quoteIdent(col)}`).join(", ")} FROM ${tableRef(name)}${where} ORDER BY ${order}${limit ? ` LIMIT ${Number(limit)}` : ""}`,
+      params
+    );
+  }
+
+  // Key rows of `to` joined to the given rows of `from` on column pairs
+  async related(from, rows, to, pairs) {
+    const toColumns = this.tables.get(to);
+    const join = pairs
+      .map(
+        ([fromCol, toCol]) =>
+          `dst.${quoteIdent(toCol)} = src.${quoteIdent(fromCol)}`
+      )
+      .join(" AND ");
+
+    return await this.db.query(
+      `SELECT DISTINCT ${toColumns.map((col) => `dst.${quoteIdent(col)}::text AS ${quoteIdent(col)}`).join(", ")}
+       FROM ${tableRef(from)} src
+       JOIN ${tableRef(to)} dst ON ${join}
+       WHERE ${keysCondition("src", from, this.tables.get(from), "$1")}`,
+      [JSON.stringify(rows)]
+    );
+  }
+
+  // Selected rows of fk.child that reference a row of fk.parent (every
+  // column of the foreign key set)
+  async countReferencing(fk) {
+    const rows = [...(this.selected.get(fk.child)?.values() || [])];
+    if (rows.length === 0) return 0;
+
+    const [{ count }] = await this.db.query(
+      `SELECT count(*)::int AS count FROM ${tableRef(fk.child)} src
+       WHERE ${keysCondition("src", fk.child, this.tables.get(fk.child), "$1")}
+         AND ${fk.childColumns.map((col) => `src.${quoteIdent(col)} IS NOT NULL`).join(" AND ")}`,
+      [JSON.stringify(rows)]
+    );
+    return count;
+  }
+
+  // Add key rows to a table; returns the ones not seen before
+  add(name, rows) {
+    if (!this.selected.has(name)) this.selected.set(name, new Map());
+    const selected = this.selected.get(name);
+    const columns = this.tables.get(name);
+
+    return rows.filter((row) => {
+      const id = JSON.stringify(columns.map((col) => row[col]));
+      if (selected.has(id)) return false;
+      selected.set(id, row);
+      return true;
+    });
+  }
+
+  // Roots, then parents of every selected row (and children of roots and
+  // of rows reached through children) until nothing new turns up. Fails when
+  // selected rows reference a left-out table, whose rows the restore would
+  // not find.
+  async plan(roots) {
+    const queue = [];
+
+    for (const [name, spec] of roots) {
+      const rows = await this.selectRoots(name, spec);
+      this.add(name, rows);
+      queue.push({ name, rows, down: true });
+      this.log(`🌱 ${name}: ${rows.length} root rows`);
+    }
+
+    while (queue.length > 0) {
+      const { name, rows, down } = queue.shift();
+      if (rows.length === 0) continue;
+
+      // Parents: a selected row must find the rows it references
+      for (const fk of this.foreignKeys.filter((fk) => fk.child === name)) {
+        const parents = await this.related(
+          name,
+          rows,
+          fk.parent,
+          fk.childColumns.map((col, i) => [col, fk.parentColumns[i]])
+        );
+        const added = this.add(fk.parent, parents);
+        if (added.length > 0) {
+          this.log(`⬆️  ${fk.parent}: +${added.length} via ${fk.name}`);
+          queue.push({ name: fk.parent, rows: added, down: false });
+        }
+      }
+
+      if (!down || !this.followChildren) continue;
+
+      // Children of roots (and their children), each once
+      const columns = this.tables.get(name);
+      const downRows = rows.filter((row) => {
+        const id = `${name}:${JSON.stringify(columns.map((col) => row[col]))}`;
+        if (this.followedDown.has(id)) return false;
+        this.followedDown.add(id);
+        return true;
+      });
+      if (downRows.length === 0) continue;
+
+      for (const fk of this.foreignKeys.filter((fk) => fk.parent === name)) {
+        const children = await this.related(
+          name,
+          downRows,
+          fk.child,
+          fk.parentColumns.map((col, i) => [col, fk.childColumns[i]])
+        );
+        // Children already selected as parents still need their own children
+        this.add(fk.child, children);
+        if (children.length > 0) {
+          this.log(`⬇️  ${fk.child}: ${children.length} via ${fk.name}`);
+          queue.push({ name: fk.child, rows: children, down: true });
+        }
+      }
+    }
+
+    const dangling = [];
+    for (const fk of this.outsideKeys.filter((fk) =>
+      this.leftOut.has(fk.parent)
+    )) {
+      const count = await this.countReferencing(fk);
+      if (count > 0) {
+        dangling.push(
+          `${count} rows of ${fk.child} reference ${fk.parent} (${fk.name})`
+        );
+      }
+    }
+    if (dangling.length > 0) {
+      throw new SubsetError(
+        `Subset rows reference tables left out of the subset (no primary key or NOT NULL unique key): ${dangling.join(", ")}. Give those tables a key or exclude the referencing tables' data.`
+      );
+    }
+
+    return new Map(
+      [...this.tables.keys()].map((name) => [
+        name,
+        [...(this.selected.get(name)?.values() || [])],
+      ])
+    );
+  }
+}
+
+// BACKUP_CONFIG.subset.roots ({ "schema.table" glob: spec }) -> [name, spec]
+// pairs for the tables they match
+function resolveRoots(roots, tableNames) {
+  const rules = compileRules(Object.keys(roots), 2, "subset.roots").map(
+    (rule) => {
+      if (rule.negate) {
+        throw new SubsetError(
+          `subset.roots: "${rule.pattern}": "!" is not supported here`
+        );
+      }
+      return {
+        ...rule,
+        spec: parseRootSpec(rule.pattern, roots[rule.pattern]),
+      };
+    }
+  );
+
+  const resolved = new Map();
+  tableNames.forEach((name) => {
+    rules.forEach((rule) => {
+      if (rule.regexp.test(name)) resolved.set(name, rule.spec);
+    });
+  });
+  return [...resolved];
+}
+
+module.exports = {
+  SubsetError,
+  SubsetPlanner,
+  resolveRoots,
+  keysCondition,
+};
@@ -0,0 +1,73 @@
+// supabase-backup-summary.js
+// backup-summary.json: what a backup holds, how it was taken and what failed
+// Encrypted backups keep it as backup-summary.json.enc next to a plaintext stub
+
+const fs = require("fs");
+const path = require("path");
+const { readTextFileSync } = require("./supabase-backup-compression");
+const { ENCRYPTION_EXTENSION } = require("./supabase-backup-encryption");
+const { StreamingFileWriter } = require("./supabase-backup-writers");
+
+const SUMMARY_FILE = "backup-summary.json";
+const ENCRYPTED_SUMMARY_FILE = SUMMARY_FILE + ENCRYPTION_EXTENSION;
+
+// What listing, retention and chain restores need without the key: ID,
+// type, parent, time and project, plus the algorithm and key derivation
+function summaryStub(summary) {
+  const { id, type, parentId, timestamp, projectName, encryption } =
+    summary.backup;
+  return {
+    backup: { id, type, parentId, timestamp, projectName, encryption },
+    encryptedSummary: ENCRYPTED_SUMMARY_FILE,
+  };
+}
+
+// With a cipher (BackupCipher) the summary is encrypted and
+// backup-summary.json only holds the stub. Returns the written paths.
+async function writeBackupSummary(backupDir, summary, { cipher = null } = {}) {
+  const summaryFile = path.join(backupDir, SUMMARY_FILE);
+  const text = JSON.stringify(summary, null, 2);
+
+  if (!cipher) {
+    fs.writeFileSync(summaryFile, text, "utf8");
+    return [summaryFile];
+  }
+
+  const writer = new StreamingFileWriter(summaryFile, { cipher });
+  try {
+    await writer.write(text);
+  } finally {
+    await writer.close();
+  }
+
+  fs.writeFileSync(
+    summaryFile,
+    JSON.stringify(summaryStub(summary), null, 2),
+    "utf8"
+  );
+  return [summaryFile, writer.filePath];
+}
+
+// The summary of a backup directory (null when it has none). The full
+// summary of an encrypted backup needs its cipher; with stubOnly the
+// plaintext stub is returned instead.
+function readBackupSummary(
+  backupDir,
+  { cipher = null, stubOnly = false } = {}
+) {
+  const summaryFile = path.join(backupDir, SUMMARY_FILE);
+  if (!fs.existsSync(summaryFile)) return null;
+
+  const summary = JSON.parse(fs.readFileSync(summaryFile, "utf8"));
+  if (!summary.encryptedSummary || stubOnly) return summary;
+
+  return JSON.parse(
+    readTextFileSync(path.join(backupDir, ENCRYPTED_SUMMARY_FILE), { cipher })
+  );
+}
+
+module.exports = {
+  SUMMARY_FILE,
+  writeBackupSummary,
+  readBackupSummary,
+};
@@ -0,0 +1,311 @@
+// supabase-backup-writers.js
+// Streaming writers for table data and generated scripts
+// Rows are written chunk by chunk, so memory stays bounded by the chunk size
+
+const fs = require("fs");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const {
+  compressionExtension,
+  createCompressor,
+  openReadStream,
+} = require("./supabase-backup-compression");
+const { ENCRYPTION_EXTENSION } = require("./supabase-backup-encryption");
+
+// Column types (udt_name) whose arrays are JSON values, not Postgres arrays
+const JSON_TYPES = ["json", "jsonb"];
+
+// Postgres array literal for a fetched array: {"a","b",NULL}, nested for
+// multidimensional arrays. Every element is quoted, so commas, braces and
+// spaces in the values survive. With jsonElements (json[], jsonb[]) every
+// element, inner arrays included, is written as JSON.
+function pgArrayLiteral(values, { jsonElements = false } = {}) {
+  const element = (value) => {
+    if (value === null || value === undefined) return "NULL";
+    if (Array.isArray(value) && !jsonElements) return pgArrayLiteral(value);
+    let text;
+    if (jsonElements) text = JSON.stringify(value);
+    else if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === "object") text = JSON.stringify(value);
+    else text = String(value);
+    return `"${text.replace(/[\\"]/g, (ch) => `\\${ch}`)}"`;
+  };
+  return `{${values.map(element).join(",")}}`;
+}
+
+// Array value of a column with this udt_name ("_text", "_jsonb", ...) as a
+// Postgres array literal; null for json/jsonb columns, which keep it as JSON
+function arrayLiteral(values, type) {
+  if (JSON_TYPES.includes(type)) return null;
+  return pgArrayLiteral(values, {
+    jsonElements: JSON_TYPES.includes(type?.replace(/^_/, "")),
+  });
+}
+
+// SQL literal for a fetched value (standard_conforming_strings = on). type
+// is the column's udt_name, which decides how arrays are written.
+function sqlLiteral(value, type) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "string") return `'${value.replace(/'/g, "''")}'`;
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? String(value) : `'${value}'`;
+  }
+  if (value instanceof Date) return `'${value.toISOString()}'`;
+  const array = Array.isArray(value) ? arrayLiteral(value, type) : null;
+  if (array !== null) return `'${array.replace(/'/g, "''")}'`;
+  if (typeof value === "object") {
+    return `'${JSON.stringify(value).replace(/'/g, "''")}'::jsonb`;
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+const COPY_ESCAPES = { "\\": "\\\\", "\t": "\\t", "\n": "\\n", "\r": "\\r" };
+
+// COPY text format field: \N for NULL, backslash escapes for the
+// characters that separate fields and rows. Arrays as in sqlLiteral.
+function copyValue(value, type) {
+  if (value === null || value === undefined) return "\\N";
+  const array = Array.isArray(value) ? arrayLiteral(value, type) : null;
+  let text;
+  if (array !== null) text = array;
+  else if (typeof value === "string") text = value;
+  else if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+  return text.replace(/[\\\t\n\r]/g, (ch) => COPY_ESCAPES[ch]);
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string") return `"${value.replace(/"/g, '""')}"`;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
+  }
+  return String(value);
+}
+
+// With compression ("gzip" or "zstd") and/or a cipher (BackupCipher) the
+// output goes through a compressor and then AES-256-GCM, and the file name
+// gains the matching extensions (see this.filePath)
+class StreamingFileWriter {
+  constructor(filePath, { compression = null, cipher = null } = {}) {
+    this.filePath =
+      filePath +
+      compressionExtension(compression) +
+      (cipher ? ENCRYPTION_EXTENSION : "");
+    this.cipher = cipher;
+    this.error = null;
+
+    const stages = [];
+    if (compression) stages.push(createCompressor(compression));
+    if (cipher) stages.push(cipher.createEncryptStream());
+
+    const file = fs.createWriteStream(this.filePath, { encoding: "utf8" });
+    if (stages.length > 0) {
+      this.stream = stages[0];
+      this.finished = pipeline(...stages, file);
+    } else {
+      this.stream = file;
+      this.finished = once(file, "finish");
+    }
+    this.finished.catch((error) => {
+      this.error = error;
+    });
+  }
+
+  async write(text) {
+    if (this.error) throw this.error;
+    if (!this.stream.write(text)) {
+      await once(this.stream, "drain");
+    }
+  }
+
+  // Copy another file through without loading it into memory (decrypted
+  // with this writer's cipher when it is an .enc file)
+  async append(filePath) {
+    const source = openReadStream(filePath, {
+      encoding: "utf8",
+      cipher: this.cipher,
+    });
+    for await (const chunk of source) {
+      await this.write(chunk);
+    }
+  }
+
+  async close() {
+    if (this.error) throw this.error;
+    this.stream.end();
+    await this.finished;
+  }
+}
+
+// JSON array of row objects
+class JsonRowsWriter extends StreamingFileWriter {
+  constructor(filePath, options) {
+    super(filePath, options);
+    this.rowCount = 0;
+  }
+
+  async writeRows(rows) {
+    if (rows.length === 0) return;
+
+    let text = "";
+    rows.forEach((row) => {
+      text += (this.rowCount === 0 ? "[\n  " : ",\n  ") + JSON.stringify(row);
+      this.rowCount++;
+    });
+    await this.write(text);
+  }
+
+  async close() {
+    await this.write(this.rowCount > 0 ? "\n]\n" : "[]\n");
+    await super.close();
+  }
+}
+
+// CSV with a header row; columns are fixed by the first chunk
+class CsvRowsWriter extends StreamingFileWriter {
+  constructor(filePath, options) {
+    super(filePath, options);
+    this.columns = null;
+  }
+
+  async writeRows(rows) {
+    if (rows.length === 0) return;
+
+    let text = "";
+    if (!this.columns) {
+      this.columns = Object.keys(rows[0]);
+      text += this.columns.map((col) => `"${col}"`).join(",") + "\n";
+    }
+
+    rows.forEach((row) => {
+      text += this.columns.map((col) => csvValue(row[col])).join(",") + "\n";
+    });
+    await this.write(text);
+  }
+}
+
+// Batched INSERT statements for one table. With conflictColumns the
+// statements become upserts that overwrite existing rows with the same key.
+// columnTypes (column -> udt_name) decides how array values are written.
+class SqlInsertWriter extends StreamingFileWriter {
+  constructor(
+    filePath,
+    {
+      schema,
+      table,
+      batchSize = 100,
+      conflictColumns = null,
+      columnTypes = {},
+      cipher = null,
+    }
+  ) {
+    super(filePath, { cipher });
+    this.target = `"${schema}"."${table}"`;
+    this.batchSize = batchSize;
+    this.conflictColumns = conflictColumns;
+    this.columnTypes = columnTypes;
+    this.columns = null;
+  }
+
+  conflictClause() {
+    if (!this.conflictColumns) return "";
+
+    const keys = this.conflictColumns.map((col) => `"${col}"`).join(", ");
+    const updates = this.columns
+      .filter((col) => !this.conflictColumns.includes(col))
+      .map((col) => `"${col}" = EXCLUDED."${col}"`);
+
+    return updates.length
+      ? `\nON CONFLICT (${keys}) DO UPDATE SET\n  ${updates.join(",\n  ")}`
+      : `\nON CONFLICT (${keys}) DO NOTHING`;
+  }
+
+  async writeRows(rows) {
+    if (rows.length === 0) return;
+
+    if (!this.columns) this.columns = Object.keys(rows[0]);
+    const columnList = this.columns.map((col) => `"${col}"`).join(", ");
+    const conflict = this.conflictClause();
+
+    let text = "";
+    for (let i = 0; i < rows.length; i += this.batchSize) {
+      const batch = rows.slice(i, i + this.batchSize);
+      const values = batch.map(
+        (row) =>
+          `  (${this.columns
+            .map((col) => sqlLiteral(row[col], this.columnTypes[col]))
+            .join(", ")})`
+      );
+      text += `INSERT INTO ${this.target} (${columnList}) VALUES\n`;
+      text += values.join(",\n") + conflict + ";\n\n";
+    }
+    await this.write(text);
+  }
+}
+
+// One COPY ... FROM stdin block for a table, loaded far faster than INSERTs
+// by psql and the built-in restore. COPY cannot upsert, so writers that need
+// ON CONFLICT stay with SqlInsertWriter.
+class SqlCopyWriter extends StreamingFileWriter {
+  constructor(filePath, { schema, table, columnTypes = {}, cipher = null }) {
+    super(filePath, { cipher });
+    this.target = `"${schema}"."${table}"`;
+    this.columnTypes = columnTypes;
+    this.columns = null;
+  }
+
+  async writeRows(rows) {
+    if (rows.length === 0) return;
+
+    let text = "";
+    if (!this.columns) {
+      this.columns = Object.keys(rows[0]);
+      const columnList = this.columns.map((col) => `"${col}"`).join(", ");
+      text += `COPY ${this.target} (${columnList}) FROM stdin;\n`;
+    }
+
+    rows.forEach((row) => {
+      text +=
+        this.columns
+          .map((col) => copyValue(row[col], this.columnTypes[col]))
+          .join("\t") + "\n";
+    });
+    await this.write(text);
+  }
+
+  async close() {
+    if (this.columns) await this.write("\\.\n\n");
+    await super.close();
+  }
+}
+
+const SQL_DATA_FORMATS = ["insert", "copy"];
+
+// sqlDataFormat config value -> "insert" or "copy"
+function normalizeSqlDataFormat(value) {
+  const format = String(value || "insert").toLowerCase();
+  if (!SQL_DATA_FORMATS.includes(format)) {
+    throw new Error(
+      `Unsupported SQL data format "${value}" (expected ${SQL_DATA_FORMATS.join(" or ")})`
+    );
+  }
+  return format;
+}
+
+module.exports = {
+  StreamingFileWriter,
+  JsonRowsWriter,
+  CsvRowsWriter,
+  SqlInsertWriter,
+  SqlCopyWriter,
+  SQL_DATA_FORMATS,
+  normalizeSqlDataFormat,
+  pgArrayLiteral,
+  sqlLiteral,
+  copyValue,
+  csvValue,
+};
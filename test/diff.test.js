@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  diffBackups,
+  formatDiffText,
+  diffToJson,
+  columnType,
+} = require("../supabase-backup-diff");
+
+const column = (name, dataType, extra = {}) => ({
+  column_name: name,
+  data_type: dataType,
+  is_nullable: "YES",
+  column_default: null,
+  ...extra,
+});
+
+// complete-backup.json contents: users and orders with data, logs excluded
+// and audit failed
+function backup(id, { type = "full", data = {}, tables, functions } = {}) {
+  return {
+    metadata: {
+      backupId: id,
+      timestamp: "2024-01-15T02:00:00.000Z",
+      backupType: type,
+    },
+    schema: {
+      tableStructures: tables || [
+        {
+          table_schema: "public",
+          table_name: "users",
+          columns: [column("id", "uuid", { is_nullable: "NO" })],
+        },
+      ],
+      functions: functions || [],
+    },
+    data: {
+      "public.users": { schema: "public", table: "users", totalRows: 3 },
+      "public.orders": { schema: "public", table: "orders", rowCount: 10 },
+      "public.logs": { schema: "public", table: "logs", skipped: true },
+      "public.audit": { schema: "public", table: "audit", error: "timeout" },
+      ...data,
+    },
+  };
+}
+
+test("identical backups with excluded and failed tables", () => {
+  const diff = diffBackups(backup("a"), backup("b"));
+
+  assert.deepEqual(diff.rows.tables, []);
+  assert.equal(diff.summary.identical, true);
+  assert.equal(formatDiffText(diff).at(-1), "No differences");
+});
+
+test("a table backed up on one side only is not backed up on the other", () => {
+  const diff = diffBackups(
+    backup("a", {
+      data: {
+        "public.logs": { schema: "public", table: "logs", totalRows: 5 },
+      },
+    }),
+    backup("b", {
+      data: {
+        "public.users": { schema: "public", table: "users", totalRows: 4 },
+        "public.events": { schema: "public", table: "events", skipped: true },
+      },
+    })
+  );
+
+  assert.deepEqual(diff.rows.tables, [
+    { name: "public.logs", from: 5, to: null, change: null, notBackedUp: true },
+    { name: "public.users", from: 3, to: 4, change: 1, notBackedUp: false },
+  ]);
+  assert.equal(diff.summary.identical, false);
+
+  const text = formatDiffText(diff);
+  assert.ok(text.includes("  ~ public.logs: 5 rows -> not backed up"));
+  assert.ok(text.includes("  ~ public.users: 3 -> 4 (+1)"));
+});
+
+test("added and removed tables and older bare-name keys", () => {
+  const legacy = backup("a");
+  legacy.data = { users: { schema: "public", rowCount: 1000 } };
+
+  const diff = diffBackups(legacy, {
+    ...backup("b"),
+    data: {
+      "public.orders": { schema: "public", table: "orders", rowCount: 2 },
+    },
+  });
+
+  const text = formatDiffText(diff);
+  assert.ok(text.includes("  + public.orders: 2 rows"));
+  assert.ok(text.includes(`  - public.users: ${(1000).toLocaleString()} rows`));
+});
+
+test("incremental backups are not compared by row count", () => {
+  const diff = diffBackups(backup("a"), backup("b", { type: "incremental" }));
+
+  assert.equal(diff.rows.comparable, false);
+  assert.match(diff.rows.note, /^b is an incremental backup/);
+  assert.equal(diff.summary.identical, true);
+});
+
+test("schema changes are listed per table and object", () => {
+  const fn = (definition) => ({
+    routine_schema: "public",
+    routine_name: "touch",
+    function_arguments: "",
+    routine_definition: definition,
+  });
+  const diff = diffBackups(
+    backup("a", { functions: [fn("select 1")] }),
+    backup("b", {
+      functions: [fn("select 2")],
+      tables: [
+        {
+          table_schema: "public",
+          table_name: "users",
+          columns: [
+            column("id", "uuid", { is_nullable: "NO" }),
+            column("email", "character varying", {
+              character_maximum_length: 255,
+            }),
+          ],
+        },
+      ],
+    })
+  );
+
+  assert.equal(diff.summary.schemaChanges, 2);
+  assert.deepEqual(
+    diff.schema.functions.changed.map(({ name }) => name),
+    ["public.touch()"]
+  );
+  assert.ok(
+    formatDiffText(diff).includes("      + column email character varying(255)")
+  );
+  assert.deepEqual(diffToJson(diff).schema.functions.changed, [
+    { name: "public.touch()", from: "select 1", to: "select 2" },
+  ]);
+});
+
+test("columnType writes arrays, enums and sized types", () => {
+  assert.equal(columnType({ data_type: "ARRAY", udt_name: "_text" }), "text[]");
+  assert.equal(
+    columnType({
+      data_type: "USER-DEFINED",
+      udt_schema: "public",
+      udt_name: "mood",
+    }),
+    "public.mood"
+  );
+  assert.equal(
+    columnType({
+      data_type: "numeric",
+      numeric_precision: 10,
+      numeric_scale: 2,
+    }),
+    "numeric(10,2)"
+  );
+});
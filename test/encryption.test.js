@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  BackupCipher,
+  EncryptionError,
+} = require("../supabase-backup-encryption");
+const {
+  readTextFile,
+  readTextFileSync,
+} = require("../supabase-backup-compression");
+const { StreamingFileWriter } = require("../supabase-backup-writers");
+const {
+  writeBackupSummary,
+  readBackupSummary,
+} = require("../supabase-backup-summary");
+
+const tempDirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supabase-backup-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const keyCipher = () => new BackupCipher({ key: crypto.randomBytes(32) });
+
+async function writeEncrypted(filePath, text, options) {
+  const writer = new StreamingFileWriter(filePath, options);
+  await writer.write(text);
+  await writer.close();
+  return writer.filePath;
+}
+
+test("key and passphrase ciphers round-trip, compressed or not", async () => {
+  const dir = tempDir();
+  const text = "COPY t FROM stdin;\n1\tzażółć\n\\.\n".repeat(1000);
+
+  for (const cipher of [
+    keyCipher(),
+    new BackupCipher({ passphrase: "correct horse" }),
+  ]) {
+    for (const compression of [null, "gzip"]) {
+      const file = await writeEncrypted(path.join(dir, "data.sql"), text, {
+        cipher,
+        compression,
+      });
+      assert.ok(file.endsWith(compression ? ".sql.gz.enc" : ".sql.enc"));
+      assert.ok(!fs.readFileSync(file).includes("COPY t FROM stdin"));
+      assert.equal(await readTextFile(file, { cipher }), text);
+      assert.equal(readTextFileSync(file, { cipher }), text);
+    }
+  }
+});
+
+test("a wrong key or a missing key is reported as such", async () => {
+  const dir = tempDir();
+  const file = await writeEncrypted(path.join(dir, "a.sql"), "SELECT 1;", {
+    cipher: keyCipher(),
+  });
+
+  assert.throws(
+    () => readTextFileSync(file, { cipher: keyCipher() }),
+    (error) => error instanceof EncryptionError && error.code === "WRONG_KEY"
+  );
+  assert.throws(
+    () =>
+      readTextFileSync(file, { cipher: new BackupCipher({ passphrase: "x" }) }),
+    (error) => error.code === "WRONG_KEY"
+  );
+  assert.throws(() => readTextFileSync(file), /a\.sql\.enc is encrypted/);
+});
+
+test("a modified file fails authentication", async () => {
+  const dir = tempDir();
+  const cipher = keyCipher();
+  const file = await writeEncrypted(path.join(dir, "a.sql"), "SELECT 1;", {
+    cipher,
+  });
+
+  const content = fs.readFileSync(file);
+  content[content.length - 20] ^= 1;
+  fs.writeFileSync(file, content);
+
+  assert.throws(
+    () => readTextFileSync(file, { cipher }),
+    /failed authentication/
+  );
+});
+
+test("fromEnvironment picks the key file, key or passphrase", () => {
+  const dir = tempDir();
+  const keyFile = path.join(dir, "backup.key");
+  fs.writeFileSync(keyFile, crypto.randomBytes(32).toString("hex"));
+
+  assert.equal(BackupCipher.fromEnvironment({ env: {} }), null);
+  assert.equal(
+    BackupCipher.fromEnvironment({ keyFile, env: {} }).usesPassphrase,
+    false
+  );
+  assert.equal(
+    BackupCipher.fromEnvironment({
+      env: { BACKUP_ENCRYPTION_PASSPHRASE: "pass" },
+    }).describe().kdf,
+    "scrypt"
+  );
+  assert.throws(
+    () =>
+      BackupCipher.fromEnvironment({ env: { BACKUP_ENCRYPTION_KEY: "short" } }),
+    EncryptionError
+  );
+});
+
+test("an encrypted summary leaves only a plaintext stub", async () => {
+  const dir = tempDir();
+  const cipher = keyCipher();
+  const summary = {
+    backup: {
+      id: "2024-01-15T02-00-00-000Z",
+      type: "incremental",
+      parentId: "2024-01-14T02-00-00-000Z",
+      timestamp: "2024-01-15T02:00:00.000Z",
+      projectName: "shop",
+      encryption: cipher.describe(),
+      rowFilters: { "public.orders": "status=eq.paid" },
+    },
+    errors: [],
+    watermarks: { "public.orders": { column: "updated_at", value: "x" } },
+  };
+
+  const files = await writeBackupSummary(dir, summary, { cipher });
+  assert.deepEqual(
+    files.map((file) => path.basename(file)),
+    ["backup-summary.json", "backup-summary.json.enc"]
+  );
+
+  const stub = readBackupSummary(dir, { stubOnly: true });
+  assert.equal(stub.backup.parentId, summary.backup.parentId);
+  assert.equal(stub.backup.rowFilters, undefined);
+  assert.equal(stub.watermarks, undefined);
+  assert.ok(
+    !fs
+      .readFileSync(path.join(dir, "backup-summary.json"), "utf8")
+      .includes("public.orders")
+  );
+
+  assert.deepEqual(readBackupSummary(dir, { cipher }), summary);
+  assert.throws(() => readBackupSummary(dir), EncryptionError);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  RowFilterError,
+  RowFilters,
+  parseRowFilter,
+} = require("../supabase-backup-filters");
+
+test("PostgREST filters are parsed per condition", () => {
+  assert.deepEqual(parseRowFilter("status=neq.archived&total=gt.0"), {
+    text: "status=neq.archived&total=gt.0",
+    syntax: "postgrest",
+    filters: [
+      { column: "status", operator: "neq", value: "archived" },
+      { column: "total", operator: "gt", value: "0" },
+    ],
+  });
+});
+
+test("in., is. and like. values are converted", () => {
+  const { filters } = parseRowFilter(
+    'tag=in.(a, b,"c,d","e\\"f")&deleted_at=is.null&paid=is.true&name=ilike.*son'
+  );
+  assert.deepEqual(filters, [
+    { column: "tag", operator: "in", value: ["a", "b", "c,d", 'e"f'] },
+    { column: "deleted_at", operator: "is", value: null },
+    { column: "paid", operator: "is", value: true },
+    { column: "name", operator: "ilike", value: "%son" },
+  ]);
+});
+
+test("malformed in. and is. values are rejected", () => {
+  assert.throws(
+    () => parseRowFilter("tag=in.a,b"),
+    (error) =>
+      error instanceof RowFilterError &&
+      error.message === '"tag=in.a,b": in. expects a list like in.(a,b)'
+  );
+  assert.throws(
+    () => parseRowFilter("deleted_at=is.maybe"),
+    /is\. expects null, true or false/
+  );
+});
+
+test("anything else is kept as a SQL condition", () => {
+  const text = "created_at > now() - interval '30 days'";
+  assert.deepEqual(parseRowFilter(text), {
+    text,
+    syntax: "sql",
+    filters: [{ sql: text }],
+  });
+
+  // One condition that is not PostgREST syntax makes the whole filter SQL
+  assert.equal(parseRowFilter("a=eq.1&b > 2").syntax, "sql");
+});
+
+test("tableFilters keys are globs and the last match wins", () => {
+  const filters = new RowFilters({
+    "*.*": "deleted_at=is.null",
+    orders: " status=eq.paid ",
+  });
+
+  assert.equal(filters.forTable("public", "orders").text, "status=eq.paid");
+  assert.equal(filters.forTable("app", "users").text, "deleted_at=is.null");
+  assert.equal(new RowFilters().forTable("public", "orders"), null);
+});
+
+test("negated keys and empty filters are rejected", () => {
+  assert.throws(
+    () => new RowFilters({ "!orders": "status=eq.paid" }),
+    /"!" is not supported here/
+  );
+  assert.throws(
+    () => new RowFilters({ orders: " " }),
+    (error) =>
+      error instanceof RowFilterError &&
+      error.message === 'tableFilters: "orders" needs a filter string'
+  );
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DataMasker, parseMaskList } = require("../supabase-backup-masking");
+const { PatternError } = require("../supabase-backup-selection");
+const { sqlLiteral } = require("../supabase-backup-writers");
+
+test("unknown strategies are rejected, inherited names included", () => {
+  for (const strategy of ["toString", "constructor", "scramble"]) {
+    assert.throws(
+      () => new DataMasker({ "*.*.email": strategy }),
+      (error) =>
+        error instanceof PatternError &&
+        error.message.startsWith(
+          `maskColumns: unknown strategy "${strategy}" for "*.*.email"`
+        )
+    );
+  }
+  assert.throws(
+    () => new DataMasker({ "!*.*.email": "hash" }),
+    /use the "keep" strategy instead of "!"/
+  );
+});
+
+test("masking is deterministic and keyed", () => {
+  const masker = new DataMasker({ "*.*.email": "fake_email" }, { key: "k1" });
+  const other = new DataMasker({ "*.*.email": "fake_email" }, { key: "k2" });
+
+  const email = masker.maskValue("fake_email", "ana@example.org");
+  assert.match(email, /^user_[0-9a-f]{12}@example\.com$/);
+  assert.equal(masker.maskValue("fake_email", "ana@example.org"), email);
+  assert.notEqual(other.maskValue("fake_email", "ana@example.org"), email);
+
+  assert.match(masker.maskValue("hash", 42), /^[0-9a-f]{32}$/);
+  assert.match(masker.maskValue("fake_phone", "x"), /^\+1555\d{7}$/);
+  assert.match(masker.maskValue("fake_name", "x"), /^[A-Z][a-z]+ [A-Z][a-z]+$/);
+  assert.equal(masker.maskValue("redact", "x"), "[redacted]");
+  assert.equal(masker.maskValue("hash", null), null);
+});
+
+test("arrays and JSON values keep their shape", () => {
+  const masker = new DataMasker({}, { key: "k" });
+  const one = (value) => masker.maskValue("fake_email", value);
+
+  const emails = masker.maskValue("fake_email", ["a@x.org", null, "b@x.org"]);
+  assert.deepEqual(emails, [one("a@x.org"), null, one("b@x.org")]);
+  assert.equal(
+    sqlLiteral(emails, "_text"),
+    `'{"${one("a@x.org")}",NULL,"${one("b@x.org")}"}'`
+  );
+
+  const profile = masker.maskValue("redact", {
+    name: "Ana",
+    contacts: [{ email: "a@x.org" }, null],
+    verified: true,
+  });
+  assert.deepEqual(profile, {
+    name: "[redacted]",
+    contacts: [{ email: "[redacted]" }, null],
+    verified: "[redacted]",
+  });
+  assert.equal(
+    sqlLiteral(profile, "jsonb"),
+    `'{"name":"[redacted]","contacts":[{"email":"[redacted]"},null],"verified":"[redacted]"}'::jsonb`
+  );
+
+  assert.equal(masker.maskValue("null", ["a", "b"]), null);
+  const when = new Date("2024-01-15T02:00:00Z");
+  assert.match(masker.maskValue("hash", when), /^[0-9a-f]{32}$/);
+});
+
+test("forTable masks the matching columns, later rules winning", () => {
+  const masker = new DataMasker(
+    {
+      "*.*.email": "fake_email",
+      "*.phone": "hash",
+      "public.staff.email": "keep",
+    },
+    { key: "k" }
+  );
+
+  assert.equal(masker.forTable("public", "staff", ["id", "email"]), null);
+
+  const masking = masker.forTable("public", "users", ["id", "email", "phone"]);
+  assert.deepEqual(masking.columns, { email: "fake_email", phone: "hash" });
+
+  const row = { id: 1, email: "a@x.org", phone: null };
+  const [masked] = masking.maskRows([row]);
+  assert.equal(masked.id, 1);
+  assert.equal(masked.email, masker.maskValue("fake_email", "a@x.org"));
+  assert.equal(masked.phone, null);
+  assert.equal(row.email, "a@x.org");
+
+  assert.deepEqual(masker.describe().tables, {
+    "public.users": { email: "fake_email", phone: "hash" },
+  });
+  assert.equal(masker.describe().keyed, true);
+});
+
+test("parseMaskList reads command line rules", () => {
+  assert.deepEqual(parseMaskList("profiles.email:fake_email, *.phone:hash,"), {
+    "profiles.email": "fake_email",
+    "*.phone": "hash",
+  });
+  assert.throws(() => parseMaskList("profiles.email"), /needs a strategy/);
+});
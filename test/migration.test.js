@@ -0,0 +1,182 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  columnTypeSQL,
+  columnDefinitionSQL,
+  generateMigrationSQL,
+} = require("../supabase-backup-migration");
+
+const column = (name, dataType, position, extra = {}) => ({
+  column_name: name,
+  data_type: dataType,
+  ordinal_position: position,
+  is_nullable: "YES",
+  column_default: null,
+  ...extra,
+});
+
+const users = (...extra) => ({
+  table_schema: "public",
+  table_name: "users",
+  columns: [column("id", "uuid", 1, { is_nullable: "NO" }), ...extra],
+});
+
+const backup = (id, schema) => ({
+  metadata: { backupId: id, timestamp: "2024-01-15T02:00:00.000Z" },
+  schema: { tableStructures: [users()], ...schema },
+});
+
+test("column definitions", () => {
+  assert.equal(
+    columnTypeSQL({ data_type: "ARRAY", udt_name: "_int4" }),
+    "INT4[]"
+  );
+  assert.equal(
+    columnTypeSQL({
+      data_type: "USER-DEFINED",
+      udt_schema: "public",
+      udt_name: "mood",
+    }),
+    '"public"."mood"'
+  );
+  assert.equal(
+    columnDefinitionSQL(
+      column("status", "text", 1, {
+        is_nullable: "NO",
+        column_default: "'new'::text",
+      })
+    ),
+    `"status" TEXT NOT NULL DEFAULT 'new'::text`
+  );
+});
+
+test("no schema differences give an empty migration", () => {
+  const result = generateMigrationSQL(backup("a", {}), backup("b", {}));
+
+  assert.equal(result.statements, 0);
+  assert.match(result.sql, /-- No schema differences\n$/);
+  assert.ok(!result.sql.includes("BEGIN;"));
+});
+
+test("column changes become ALTER TABLE statements with warnings", () => {
+  const result = generateMigrationSQL(
+    backup("a", {
+      tableStructures: [
+        users(column("age", "integer", 2), column("nickname", "text", 3)),
+      ],
+    }),
+    backup("b", {
+      tableStructures: [
+        users(
+          column("age", "bigint", 2, { is_nullable: "NO" }),
+          column("email", "text", 4, { is_nullable: "NO" })
+        ),
+      ],
+    })
+  );
+
+  const sql = result.sql;
+  assert.ok(
+    sql.includes(
+      'ALTER TABLE "public"."users" ADD COLUMN "email" TEXT NOT NULL;'
+    )
+  );
+  assert.ok(
+    sql.includes(
+      'ALTER TABLE "public"."users" ALTER COLUMN "age" TYPE BIGINT USING "age"::BIGINT;'
+    )
+  );
+  assert.ok(
+    sql.includes(
+      'ALTER TABLE "public"."users" ALTER COLUMN "age" SET NOT NULL;'
+    )
+  );
+  assert.ok(
+    sql.includes('ALTER TABLE "public"."users" DROP COLUMN "nickname";')
+  );
+  assert.deepEqual(result.warnings, [
+    "public.users.email: NOT NULL column without a default fails on a non-empty table",
+    "public.users.nickname: dropping the column deletes its data",
+  ]);
+  assert.match(sql, /BEGIN;\n[\s\S]*\nCOMMIT;\n$/);
+});
+
+test("new tables come before their foreign keys, dropped tables last", () => {
+  const orders = {
+    table_schema: "public",
+    table_name: "orders",
+    columns: [
+      column("user_id", "uuid", 2),
+      column("id", "bigint", 1, { is_nullable: "NO" }),
+    ],
+  };
+  const constraint = (name, type, definition) => ({
+    table_schema: "public",
+    table_name: "orders",
+    constraint_name: name,
+    constraint_type: type,
+    constraint_definition: definition,
+  });
+  const legacy = { ...users(), table_name: "legacy" };
+
+  const result = generateMigrationSQL(
+    backup("a", { tableStructures: [users(), legacy] }),
+    backup("b", {
+      tableStructures: [users(), orders],
+      constraints: [
+        constraint(
+          "orders_user_id_fkey",
+          "FOREIGN KEY",
+          "FOREIGN KEY (user_id) REFERENCES public.users(id)"
+        ),
+        constraint("orders_pkey", "PRIMARY KEY", "PRIMARY KEY (id)"),
+      ],
+    })
+  );
+
+  const sql = result.sql;
+  const position = (text) => {
+    const index = sql.indexOf(text);
+    assert.ok(index >= 0, `${text} missing`);
+    return index;
+  };
+
+  assert.ok(
+    sql.includes(
+      'CREATE TABLE "public"."orders" (\n  "id" BIGINT NOT NULL,\n  "user_id" UUID\n);'
+    )
+  );
+  assert.ok(
+    position('ADD CONSTRAINT "orders_pkey" PRIMARY KEY (id);') <
+      position('ADD CONSTRAINT "orders_user_id_fkey"')
+  );
+  assert.ok(
+    position('ADD CONSTRAINT "orders_user_id_fkey"') <
+      position('DROP TABLE IF EXISTS "public"."legacy";')
+  );
+  assert.deepEqual(result.warnings, [
+    "public.legacy: dropping the table deletes its data",
+  ]);
+});
+
+test("added enum values keep their position; removed ones warn", () => {
+  const mood = (values) => ({
+    schema_name: "public",
+    enum_name: "mood",
+    enum_values: values,
+  });
+
+  const result = generateMigrationSQL(
+    backup("a", { enums: [mood(["sad", "ok", "meh"])] }),
+    backup("b", { enums: [mood(["sad", "ok", "happy"])] })
+  );
+
+  assert.ok(
+    result.sql.includes(
+      `ALTER TYPE "public"."mood" ADD VALUE IF NOT EXISTS 'happy' AFTER 'ok';`
+    )
+  );
+  assert.deepEqual(result.warnings, [
+    "public.mood: enum values meh were removed; PostgreSQL cannot drop enum values in place",
+  ]);
+});
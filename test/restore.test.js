@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  BackupRestorer,
+  RestoreError,
+  splitSqlStatements,
+} = require("../supabase-backup-restore");
+
+const statementsOf = (sql) => splitSqlStatements(sql).map((s) => s.sql);
+
+test("splits on semicolons outside quotes, identifiers and comments", () => {
+  assert.deepEqual(
+    statementsOf(`
+SELECT 'a;b', E'it\\'s;', 'x''y;';
+CREATE TABLE "we;ird" (id int); -- trailing; comment
+/* block; /* nested; */ still comment */ SELECT 1;
+`),
+    [
+      "SELECT 'a;b', E'it\\'s;', 'x''y;';",
+      'CREATE TABLE "we;ird" (id int);',
+      "SELECT 1;",
+    ]
+  );
+});
+
+test("keeps dollar-quoted function bodies whole", () => {
+  const sql = `CREATE FUNCTION f() RETURNS int AS $body$
+BEGIN
+  RETURN 1; -- inside
+END;
+$body$ LANGUAGE plpgsql;
+SELECT $$a;b$$;`;
+  const statements = statementsOf(sql);
+  assert.equal(statements.length, 2);
+  assert.match(statements[0], /^CREATE FUNCTION[\s\S]*LANGUAGE plpgsql;$/);
+  assert.equal(statements[1], "SELECT $$a;b$$;");
+});
+
+test("tracks the section headers of generated scripts", () => {
+  const statements = splitSqlStatements(`SET client_encoding = 'UTF8';
+
+-- ==========
+-- TABLES
+-- ==========
+CREATE TABLE a (id int);
+
+-- ==========
+-- DATA
+-- ==========
+INSERT INTO a VALUES (1);
+`);
+  assert.deepEqual(
+    statements.map(({ section, index }) => [section, index]),
+    [
+      ["PREAMBLE", 0],
+      ["TABLES", 1],
+      ["DATA", 2],
+    ]
+  );
+});
+
+test("attaches COPY rows up to the \\. line as copyData", () => {
+  const statements =
+    splitSqlStatements(`COPY "public"."t" ("id", "note") FROM stdin;
+1\ta;b
+2\t\\N
+\\.
+
+SELECT setval('"public"."t_id_seq"', 2, true);
+`);
+  assert.equal(statements.length, 2);
+  assert.equal(
+    statements[0].sql,
+    'COPY "public"."t" ("id", "note") FROM stdin;'
+  );
+  assert.equal(statements[0].copyData, "1\ta;b\n2\t\\N\n");
+  assert.equal(statements[1].copyData, undefined);
+});
+
+function recordingConnection({ failOn } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql) {
+      calls.push(sql);
+      if (failOn && sql.includes(failOn)) throw new Error("boom");
+      return [];
+    },
+    async copyFrom(sql, data) {
+      calls.push(["COPY", sql, data]);
+    },
+  };
+}
+
+test("restore runs in one transaction and skips the script's own", async () => {
+  const connection = recordingConnection();
+  const result = await new BackupRestorer(connection).restore(
+    "BEGIN;\nCREATE TABLE t (id int);\nCOPY t (id) FROM stdin;\n1\n\\.\nCOMMIT;\n"
+  );
+
+  assert.deepEqual(connection.calls, [
+    "BEGIN",
+    "CREATE TABLE t (id int);",
+    ["COPY", "COPY t (id) FROM stdin;", "1\n"],
+    "COMMIT",
+  ]);
+  assert.equal(result.statements, 2);
+});
+
+test("a failing statement rolls back and names its position", async () => {
+  const connection = recordingConnection({ failOn: "bad" });
+  await assert.rejects(
+    new BackupRestorer(connection).restore([
+      { name: "complete-restore.sql", sql: "SELECT 1;\nSELECT bad;\n" },
+    ]),
+    (error) =>
+      error instanceof RestoreError &&
+      /Statement 2 in complete-restore.sql PREAMBLE failed: boom/.test(
+        error.message
+      )
+  );
+  assert.equal(connection.calls.at(-1), "ROLLBACK");
+});
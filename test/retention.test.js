@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  planRetention,
+  parseBackupId,
+  weekKey,
+} = require("../supabase-backup-retention");
+
+// "2024-01-15T02:00" -> a full backup taken then
+function backup(time, { type = "full", parentId = null } = {}) {
+  const timestamp = new Date(`${time}:00.000Z`);
+  const id = timestamp.toISOString().replace(/[:.]/g, "-");
+  return { id, timestamp, type, parentId };
+}
+
+const ids = (backups) => backups.map((entry) => (entry.backup || entry).id);
+
+test("parseBackupId reads directory names back as dates", () => {
+  assert.deepEqual(
+    parseBackupId("2024-01-15T02-03-04-005Z"),
+    new Date("2024-01-15T02:03:04.005Z")
+  );
+  assert.equal(parseBackupId("2024-01-15"), null);
+  assert.equal(parseBackupId("latest"), null);
+});
+
+test("weekKey uses ISO weeks across year boundaries", () => {
+  assert.equal(weekKey(new Date("2024-01-15T00:00:00Z")), "2024-W03");
+  assert.equal(weekKey(new Date("2021-01-03T00:00:00Z")), "2020-W53");
+  assert.equal(weekKey(new Date("2024-12-30T00:00:00Z")), "2025-W01");
+});
+
+test("the newest backup of each of the latest periods is kept", () => {
+  const backups = [
+    backup("2024-01-01T02:00"),
+    backup("2024-01-14T02:00"),
+    backup("2024-01-15T02:00"),
+    backup("2024-01-15T14:00"),
+    backup("2024-01-16T02:00"),
+  ];
+
+  const plan = planRetention(backups, { keepDaily: 2, keepWeekly: 2 });
+
+  assert.deepEqual(
+    plan.entries.map(({ backup, reasons }) => [backup.id, reasons]),
+    [
+      ["2024-01-16T02-00-00-000Z", ["daily", "weekly"]],
+      ["2024-01-15T14-00-00-000Z", ["daily"]],
+      ["2024-01-15T02-00-00-000Z", []],
+      ["2024-01-14T02-00-00-000Z", ["weekly"]],
+      ["2024-01-01T02-00-00-000Z", []],
+    ]
+  );
+  assert.deepEqual(ids(plan.remove), [
+    "2024-01-15T02-00-00-000Z",
+    "2024-01-01T02-00-00-000Z",
+  ]);
+});
+
+test("parents of kept incremental backups are kept", () => {
+  const full = backup("2024-01-10T02:00");
+  const first = backup("2024-01-11T02:00", {
+    type: "incremental",
+    parentId: full.id,
+  });
+  const second = backup("2024-01-12T02:00", {
+    type: "incremental",
+    parentId: first.id,
+  });
+  const older = backup("2024-01-09T02:00");
+
+  const plan = planRetention([older, full, first, second], { keepDaily: 1 });
+
+  assert.deepEqual(ids(plan.keep), [second.id, first.id, full.id]);
+  assert.deepEqual(plan.keep[2].reasons, [`parent of ${second.id}`]);
+  assert.deepEqual(ids(plan.remove), [older.id]);
+});
+
+test("backups of unknown age are never removed", () => {
+  const dated = backup("2024-01-10T02:00");
+  const unknown = { id: "imported", timestamp: null, type: "full" };
+
+  const plan = planRetention([dated, unknown], {});
+
+  assert.deepEqual(ids(plan.keep), ["imported"]);
+  assert.deepEqual(plan.keep[0].reasons, ["unknown age"]);
+  assert.deepEqual(ids(plan.remove), [dated.id]);
+});
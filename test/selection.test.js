@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PatternError,
+  compileRules,
+  TableSelection,
+  parsePatternList,
+} = require("../supabase-backup-selection");
+
+test("globs stay within one name part and default to the public schema", () => {
+  const [rule] = compileRules(["audit_*"], 2, "onlyTables");
+  assert.equal(rule.negate, false);
+  assert.ok(rule.regexp.test("public.audit_log"));
+  assert.ok(!rule.regexp.test("other.audit_log"));
+  assert.ok(!rule.regexp.test("public.audit_log.extra"));
+
+  const [single] = compileRules(["!*.log?"], 2, "excludeTables");
+  assert.equal(single.negate, true);
+  assert.ok(single.regexp.test("app.log1"));
+  assert.ok(!single.regexp.test("app.log12"));
+
+  const [literal] = compileRules(["public.a+b"], 2, "onlyTables");
+  assert.ok(literal.regexp.test("public.a+b"));
+  assert.ok(!literal.regexp.test("public.aab"));
+});
+
+test("patterns of the wrong shape are rejected", () => {
+  assert.throws(
+    () => compileRules(["a.b.c"], 2, "excludeTables"),
+    (error) =>
+      error instanceof PatternError &&
+      error.message === 'excludeTables: "a.b.c" is not a schema.table pattern'
+  );
+  assert.throws(() => compileRules(["public."], 2, "onlyTables"), PatternError);
+  assert.throws(
+    () => compileRules(["users"], 3, "excludeColumns"),
+    /not a schema\.table\.column pattern/
+  );
+});
+
+test("the last matching rule wins", () => {
+  const selection = new TableSelection({
+    onlyTables: ["*.*", "!audit.*", "audit.keep_me"],
+    excludeTables: ["public.tmp_*"],
+    excludeDataTables: ["public.logs"],
+  });
+
+  assert.ok(selection.includes("public", "users"));
+  assert.ok(!selection.includes("audit", "events"));
+  assert.ok(selection.includes("audit", "keep_me"));
+  assert.ok(!selection.includes("public", "tmp_import"));
+
+  assert.ok(selection.includes("public", "logs"));
+  assert.ok(!selection.includesData("public", "logs"));
+  assert.ok(!selection.includesData("public", "tmp_import"));
+});
+
+test("an empty selection keeps everything", () => {
+  const selection = new TableSelection();
+  assert.ok(selection.includesData("any", "table"));
+  assert.deepEqual(selection.excludedColumns("any", "table", ["a"]), []);
+});
+
+test("excludeColumns drops matching columns per table", () => {
+  const selection = new TableSelection({
+    excludeColumns: ["users.*_hash", "*.*.ssn", "!billing.*.ssn"],
+  });
+
+  assert.deepEqual(
+    selection.excludedColumns("public", "users", [
+      "id",
+      "password_hash",
+      "ssn",
+    ]),
+    ["password_hash", "ssn"]
+  );
+  assert.deepEqual(
+    selection.excludedColumns("billing", "customers", ["id", "ssn"]),
+    []
+  );
+});
+
+test("parsePatternList splits command line lists", () => {
+  assert.deepEqual(parsePatternList(" users, !audit.*,,logs "), [
+    "users",
+    "!audit.*",
+    "logs",
+  ]);
+});
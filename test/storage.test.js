@@ -0,0 +1,314 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { text } = require("stream/consumers");
+const { BackupCipher } = require("../supabase-backup-encryption");
+const { writeBackupSummary } = require("../supabase-backup-summary");
+const {
+  STORAGE_DIR,
+  BUCKETS_FILE,
+  OBJECTS_FILE,
+  StorageClient,
+  StorageError,
+  prefixFilter,
+  objectFilePath,
+  saveObjectFile,
+  reuseObjectFile,
+  uploadStorageBackup,
+} = require("../supabase-backup-storage");
+
+const SERVICE_KEY = "service-role-key";
+
+// Just enough of the Storage REST API, kept in memory: buckets by id and
+// objects by "bucket/name"
+function startStandIn() {
+  const buckets = new Map();
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const url = req.url
+      .replace(/^\/storage\/v1/, "")
+      .split("/")
+      .map(decodeURIComponent)
+      .join("/");
+    requests.push({ method: req.method, url, headers: req.headers });
+
+    const send = (status, value) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(value));
+    };
+
+    if (req.headers.authorization !== `Bearer ${SERVICE_KEY}`) {
+      return send(401, { message: "Invalid JWT" });
+    }
+
+    let match;
+    if (req.method === "GET" && url === "/bucket") {
+      return send(200, [...buckets.values()]);
+    }
+    if (req.method === "POST" && url === "/bucket") {
+      const bucket = JSON.parse(body);
+      buckets.set(bucket.id, bucket);
+      return send(200, { name: bucket.id });
+    }
+    if (req.method === "PUT" && (match = /^\/bucket\/(.+)$/.exec(url))) {
+      buckets.set(match[1], { ...buckets.get(match[1]), ...JSON.parse(body) });
+      return send(200, { message: "Successfully updated" });
+    }
+    if (req.method === "POST" && (match = /^\/object\/list\/(.+)$/.exec(url))) {
+      const { prefix, limit, offset } = JSON.parse(body);
+      const start = prefix ? `${match[1]}/${prefix}/` : `${match[1]}/`;
+      const entries = new Map();
+      for (const [key, object] of objects) {
+        if (!key.startsWith(start)) continue;
+        const [name, ...rest] = key.slice(start.length).split("/");
+        entries.set(
+          name,
+          rest.length > 0
+            ? { name, id: null }
+            : { name, id: key, metadata: { size: object.body.length } }
+        );
+      }
+      const sorted = [...entries.values()].sort((a, b) =>
+        a.name.localeCompare(b.name)
+      );
+      return send(200, sorted.slice(offset, offset + limit));
+    }
+    if ((match = /^\/object\/(.+)$/.exec(url))) {
+      if (req.method === "POST") {
+        objects.set(match[1], { body, headers: req.headers });
+        return send(200, { Key: match[1] });
+      }
+      const object = objects.get(match[1]);
+      if (!object)
+        return send(404, { error: "not_found", message: "Object not found" });
+      res.writeHead(200, { "Content-Type": "application/octet-stream" });
+      return res.end(object.body);
+    }
+
+    res.writeHead(500);
+    res.end("Unexpected request");
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        buckets,
+        objects,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      })
+    )
+  );
+}
+
+let standIn;
+test.beforeEach(async () => {
+  standIn = await startStandIn();
+});
+test.afterEach(() => standIn.close());
+
+const putObject = (key, content) =>
+  standIn.objects.set(key, { body: Buffer.from(content), headers: {} });
+
+test("requests carry the service key and failures become StorageErrors", async () => {
+  const client = new StorageClient(`${standIn.url}/`, SERVICE_KEY);
+  assert.deepEqual(await client.listBuckets(), []);
+  assert.equal(standIn.requests[0].headers.apikey, SERVICE_KEY);
+
+  await assert.rejects(
+    client.download("avatars", "missing.png"),
+    (error) =>
+      error instanceof StorageError &&
+      error.status === 404 &&
+      error.message ===
+        "GET /object/avatars/missing.png failed: 404 Object not found"
+  );
+  await assert.rejects(
+    new StorageClient(standIn.url, "anon-key").listBuckets(),
+    { status: 401, message: "GET /bucket failed: 401 Invalid JWT" }
+  );
+});
+
+test("listObjects walks folders and pages, pruned by prefixFilter", async () => {
+  for (let i = 0; i < 1001; i++) {
+    putObject(`avatars/users/${String(i).padStart(4, "0")}.png`, "x");
+  }
+  putObject("avatars/teams/a/logo.png", "x");
+  putObject("avatars/top.png", "x");
+  const client = new StorageClient(standIn.url, SERVICE_KEY);
+
+  const all = [];
+  for await (const object of client.listObjects("avatars")) {
+    all.push(object.name);
+  }
+  assert.equal(all.length, 1003);
+  assert.deepEqual(all.slice(0, 2), ["teams/a/logo.png", "top.png"]);
+  assert.equal(all[all.length - 1], "users/1000.png");
+
+  const listed = [];
+  const include = prefixFilter("avatars", ["avatars/teams/a"]);
+  for await (const object of client.listObjects("avatars", { include })) {
+    listed.push(object.name);
+  }
+  assert.deepEqual(listed, ["teams/a/logo.png"]);
+});
+
+test("download streams object contents with encoded names", async () => {
+  putObject("docs/reports/q1 2024#final.txt", "quarterly numbers");
+  const client = new StorageClient(standIn.url, SERVICE_KEY);
+
+  const stream = await client.download("docs", "reports/q1 2024#final.txt");
+  assert.equal(await text(stream), "quarterly numbers");
+});
+
+test("uploadStorageBackup re-creates buckets and uploads the objects", async () => {
+  const backupDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "supabase-backup-test-")
+  );
+  try {
+    const storageDir = path.join(backupDir, STORAGE_DIR);
+    fs.mkdirSync(path.join(storageDir, "avatars", "users"), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(storageDir, "avatars", "users", "1.png"), "png");
+    fs.writeFileSync(
+      path.join(storageDir, BUCKETS_FILE),
+      JSON.stringify([
+        { id: "avatars", name: "avatars", public: true },
+        { id: "docs", name: "docs", public: false },
+      ])
+    );
+    fs.writeFileSync(
+      path.join(storageDir, OBJECTS_FILE),
+      JSON.stringify([
+        {
+          bucket: "avatars",
+          name: "users/1.png",
+          size: 3,
+          mimetype: "image/png",
+          cacheControl: "max-age=3600",
+          file: `${STORAGE_DIR}/avatars/users/1.png`,
+        },
+        { bucket: "avatars", name: "users/skipped.png", file: null },
+        {
+          bucket: "avatars",
+          name: "users/gone.png",
+          file: `${STORAGE_DIR}/avatars/users/gone.png`,
+        },
+      ])
+    );
+    standIn.buckets.set("docs", { id: "docs", name: "docs", public: true });
+
+    const result = await uploadStorageBackup(
+      backupDir,
+      new StorageClient(standIn.url, SERVICE_KEY),
+      { log: () => {} }
+    );
+
+    assert.equal(result.buckets, 2);
+    assert.equal(result.objects, 1);
+    assert.equal(result.bytes, 3);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0], /^avatars\/users\/gone\.png: /);
+
+    assert.equal(standIn.buckets.get("avatars").public, true);
+    assert.equal(standIn.buckets.get("docs").public, false);
+
+    const uploaded = standIn.objects.get("avatars/users/1.png");
+    assert.equal(uploaded.body.toString(), "png");
+    assert.equal(uploaded.headers["content-type"], "image/png");
+    assert.equal(uploaded.headers["cache-control"], "max-age=3600");
+    assert.equal(uploaded.headers["x-upsert"], "true");
+  } finally {
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  }
+});
+
+test("objects named .gz or .enc round-trip byte for byte", async () => {
+  const contents = {
+    "exports/data.tar.gz": zlib.gzipSync("hello world"),
+    "exports/report.enc": Buffer.from("not encrypted by us"),
+  };
+
+  for (const cipher of [
+    null,
+    new BackupCipher({ key: crypto.randomBytes(32) }),
+  ]) {
+    const backupDir = fs.mkdtempSync(
+      path.join(os.tmpdir(), "supabase-backup-test-")
+    );
+    try {
+      standIn.objects.clear();
+      for (const [name, body] of Object.entries(contents)) {
+        standIn.objects.set(`files/${name}`, { body, headers: {} });
+      }
+      const client = new StorageClient(standIn.url, SERVICE_KEY);
+
+      const objects = [];
+      for (const name of Object.keys(contents)) {
+        const stored = await saveObjectFile(
+          await client.download("files", name),
+          path.join(backupDir, objectFilePath("files", name)),
+          { cipher }
+        );
+        objects.push({
+          bucket: "files",
+          name,
+          file: path.relative(backupDir, stored),
+        });
+
+        // The next backup reuses the file instead of downloading it again
+        const reused = reuseObjectFile(
+          stored,
+          path.join(backupDir, "next", objectFilePath("files", name)),
+          { cipher, encrypted: Boolean(cipher) }
+        );
+        assert.ok(reused, `${name} reused`);
+      }
+
+      const storageDir = path.join(backupDir, STORAGE_DIR);
+      fs.writeFileSync(
+        path.join(storageDir, BUCKETS_FILE),
+        JSON.stringify([{ id: "files", name: "files" }])
+      );
+      fs.writeFileSync(
+        path.join(storageDir, OBJECTS_FILE),
+        JSON.stringify(objects)
+      );
+      await writeBackupSummary(
+        backupDir,
+        {
+          backup: {
+            id: "2024-01-15T02-00-00-000Z",
+            encryption: cipher ? cipher.describe() : null,
+          },
+        },
+        { cipher }
+      );
+
+      standIn.objects.clear();
+      const result = await uploadStorageBackup(backupDir, client, {
+        cipher,
+        log: () => {},
+      });
+
+      assert.deepEqual(result.failed, []);
+      for (const [name, body] of Object.entries(contents)) {
+        assert.deepEqual(standIn.objects.get(`files/${name}`).body, body);
+      }
+    } finally {
+      fs.rmSync(backupDir, { recursive: true, force: true });
+    }
+  }
+});
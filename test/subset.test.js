@@ -0,0 +1,234 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SubsetError,
+  SubsetPlanner,
+  resolveRoots,
+  keysCondition,
+} = require("../supabase-backup-subset");
+
+// '"public"."orders"' -> "public.orders"
+const unquote = (ref) => ref.replace(/"/g, "");
+
+// Answers the three query shapes SubsetPlanner sends (root rows, related
+// key rows and referencing counts) from rows kept in memory, as text
+function fakeDb(data, tables) {
+  const keyOf = (name, row) =>
+    JSON.stringify(tables.get(name).map((col) => row[col]));
+  // Rows of `name` among the key rows passed as a JSON parameter
+  const selectedBy = (name, json) => {
+    const keys = new Set(JSON.parse(json).map((key) => keyOf(name, key)));
+    return (row) => keys.has(keyOf(name, row));
+  };
+
+  return {
+    async query(sql, params = []) {
+      let match;
+
+      if ((match = /FROM (\S+) src\s+JOIN (\S+) dst ON (.*)\n/.exec(sql))) {
+        const [from, to] = [unquote(match[1]), unquote(match[2])];
+        const pairs = [...match[3].matchAll(/dst\.(\S+) = src\.(\S+)/g)].map(
+          ([, toCol, fromCol]) => [unquote(fromCol), unquote(toCol)]
+        );
+        const selected = selectedBy(from, params[0]);
+        const found = new Map();
+        for (const src of data[from].filter(selected)) {
+          for (const dst of data[to]) {
+            if (pairs.every(([f, t]) => src[f] !== null && src[f] === dst[t])) {
+              const key = Object.fromEntries(
+                tables.get(to).map((col) => [col, dst[col]])
+              );
+              found.set(keyOf(to, key), key);
+            }
+          }
+        }
+        return [...found.values()];
+      }
+
+      if ((match = /count\(\*\)::int AS count FROM (\S+) src/.exec(sql))) {
+        const name = unquote(match[1]);
+        const notNull = [...sql.matchAll(/src\.(\S+) IS NOT NULL/g)].map(
+          ([, col]) => unquote(col)
+        );
+        const selected = selectedBy(name, params[0]);
+        const count = data[name]
+          .filter(selected)
+          .filter((row) => notNull.every((col) => row[col] !== null)).length;
+        return [{ count }];
+      }
+
+      match = /FROM (\S+)(?: WHERE .*)? ORDER BY .*?(?: LIMIT (\d+))?$/.exec(
+        sql
+      );
+      const name = unquote(match[1]);
+      return data[name]
+        .slice(0, match[2] ? Number(match[2]) : undefined)
+        .map((row) =>
+          Object.fromEntries(tables.get(name).map((col) => [col, row[col]]))
+        );
+    },
+  };
+}
+
+const foreignKey = (name, child, columns, parent, parentColumns) => {
+  const [table_schema, table_name] = child.split(".");
+  const [foreign_table_schema, foreign_table_name] = parent.split(".");
+  return {
+    constraint_name: name,
+    table_schema,
+    table_name,
+    foreign_table_schema,
+    foreign_table_name,
+    column_names: columns,
+    foreign_column_names: parentColumns,
+  };
+};
+
+// customers <- orders <- items, orders -> tags (no key, left out of the
+// subset) and orders -> audit.users (data excluded from the backup)
+function shop({ tag = null } = {}) {
+  const tables = new Map([
+    ["public.customers", ["id"]],
+    ["public.orders", ["id"]],
+    ["public.items", ["order_id", "line"]],
+  ]);
+  const data = {
+    "public.customers": [{ id: "1" }, { id: "2" }, { id: "3" }],
+    "public.orders": [
+      { id: "10", customer_id: "2", tag, user_id: "7" },
+      { id: "11", customer_id: "3", tag: null, user_id: null },
+      { id: "12", customer_id: "2", tag: null, user_id: null },
+    ],
+    "public.items": [
+      { order_id: "10", line: "1" },
+      { order_id: "10", line: "2" },
+      { order_id: "11", line: "1" },
+    ],
+  };
+  const foreignKeys = [
+    foreignKey(
+      "orders_customer_id_fkey",
+      "public.orders",
+      ["customer_id"],
+      "public.customers",
+      ["id"]
+    ),
+    foreignKey(
+      "items_order_id_fkey",
+      "public.items",
+      ["order_id"],
+      "public.orders",
+      ["id"]
+    ),
+    foreignKey("orders_tag_fkey", "public.orders", ["tag"], "public.tags", [
+      "name",
+    ]),
+    foreignKey(
+      "orders_user_id_fkey",
+      "public.orders",
+      ["user_id"],
+      "audit.users",
+      ["id"]
+    ),
+  ];
+  return { tables, data, foreignKeys };
+}
+
+function planner({ tag, followChildren = false } = {}) {
+  const { tables, data, foreignKeys } = shop({ tag });
+  const db = fakeDb(data, tables);
+  return new SubsetPlanner(db, {
+    tables,
+    leftOut: ["public.tags"],
+    foreignKeys,
+    conditions: () => [],
+    followChildren,
+  });
+}
+
+const ids = (plan, name) =>
+  plan.get(name).map((row) => Object.values(row).join("/"));
+
+test("resolveRoots matches globs, the last rule winning", () => {
+  const roots = resolveRoots(
+    {
+      "*.*": 5,
+      orders: { filter: "status=eq.paid", limit: "20" },
+      "audit.*": "all",
+    },
+    ["public.orders", "public.users", "audit.events"]
+  );
+
+  assert.deepEqual(roots[0][0], "public.orders");
+  assert.equal(roots[0][1].limit, 20);
+  assert.equal(roots[0][1].filter.text, "status=eq.paid");
+  assert.deepEqual(roots.slice(1), [
+    ["public.users", { limit: 5, filter: null }],
+    ["audit.events", { limit: null, filter: null }],
+  ]);
+});
+
+test("resolveRoots rejects negated keys and bad specs", () => {
+  assert.throws(
+    () => resolveRoots({ "!orders": 5 }, []),
+    /"!" is not supported here/
+  );
+  assert.throws(
+    () => resolveRoots({ orders: 0 }, []),
+    (error) =>
+      error instanceof SubsetError &&
+      error.message === 'subset.roots: "orders" needs a positive sample size'
+  );
+  assert.throws(() => resolveRoots({ orders: [] }, []), SubsetError);
+});
+
+test("keysCondition matches key rows passed as JSON", () => {
+  assert.equal(
+    keysCondition("src", "public.items", ["order_id", "line"], "$1"),
+    '(src."order_id", src."line") IN (SELECT "order_id", "line" FROM jsonb_populate_recordset(NULL::"public"."items", $1::jsonb))'
+  );
+});
+
+test("the parents of sampled rows are added", async () => {
+  const plan = await planner().plan([
+    ["public.orders", { limit: 1, filter: null }],
+  ]);
+
+  assert.deepEqual(ids(plan, "public.orders"), ["10"]);
+  assert.deepEqual(ids(plan, "public.customers"), ["2"]);
+  assert.deepEqual(ids(plan, "public.items"), []);
+});
+
+test("followChildren adds the children of roots and their parents", async () => {
+  const plan = await planner({ followChildren: true }).plan([
+    ["public.customers", { limit: 2, filter: null }],
+  ]);
+
+  assert.deepEqual(ids(plan, "public.customers"), ["1", "2"]);
+  assert.deepEqual(ids(plan, "public.orders"), ["10", "12"]);
+  assert.deepEqual(ids(plan, "public.items"), ["10/1", "10/2"]);
+});
+
+test("rows referencing a left-out table fail the plan", async () => {
+  const subset = planner({ tag: "vip" });
+  assert.deepEqual(
+    subset.outsideKeys.map((fk) => fk.name),
+    ["orders_tag_fkey", "orders_user_id_fkey"]
+  );
+
+  await assert.rejects(
+    subset.plan([["public.orders", { limit: 1, filter: null }]]),
+    (error) =>
+      error instanceof SubsetError &&
+      error.message.includes(
+        "1 rows of public.orders reference public.tags (orders_tag_fkey)"
+      ) &&
+      !error.message.includes("audit.users")
+  );
+
+  // The same rows without a tag reference nothing left out
+  const plan = await planner().plan([
+    ["public.orders", { limit: 1, filter: null }],
+  ]);
+  assert.deepEqual(ids(plan, "public.orders"), ["10"]);
+});
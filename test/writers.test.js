@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  SqlInsertWriter,
+  SqlCopyWriter,
+  normalizeSqlDataFormat,
+  pgArrayLiteral,
+  sqlLiteral,
+  copyValue,
+  csvValue,
+} = require("../supabase-backup-writers");
+
+test("array literals quote every element and escape quotes and backslashes", () => {
+  assert.equal(
+    pgArrayLiteral(["a,b", 'say "hi"', "back\\slash", null, "{}"]),
+    '{"a,b","say \\"hi\\"","back\\\\slash",NULL,"{}"}'
+  );
+  assert.equal(
+    pgArrayLiteral([
+      [1, 2],
+      [3, null],
+    ]),
+    '{{"1","2"},{"3",NULL}}'
+  );
+  assert.equal(
+    pgArrayLiteral([new Date("2024-01-15T02:00:00Z")]),
+    '{"2024-01-15T02:00:00.000Z"}'
+  );
+});
+
+test("json[] elements are written as JSON, arrays included", () => {
+  assert.equal(
+    pgArrayLiteral([{ a: 1 }, [1, 2], "x", null], { jsonElements: true }),
+    '{"{\\"a\\":1}","[1,2]","\\"x\\"",NULL}'
+  );
+});
+
+test("sqlLiteral writes arrays by column type", () => {
+  assert.equal(sqlLiteral(["it's"], "_text"), `'{"it''s"}'`);
+  assert.equal(sqlLiteral([{ a: 1 }], "_jsonb"), `'{"{\\"a\\":1}"}'`);
+  assert.equal(sqlLiteral([1, "two"], "jsonb"), `'[1,"two"]'::jsonb`);
+  assert.equal(sqlLiteral([1, 2]), `'{"1","2"}'`);
+});
+
+test("sqlLiteral handles scalars", () => {
+  assert.equal(sqlLiteral(null), "NULL");
+  assert.equal(sqlLiteral("O'Brien"), "'O''Brien'");
+  assert.equal(sqlLiteral(false), "false");
+  assert.equal(sqlLiteral(1.5), "1.5");
+  assert.equal(sqlLiteral(NaN), "'NaN'");
+  assert.equal(sqlLiteral(-Infinity), "'-Infinity'");
+  assert.equal(
+    sqlLiteral(new Date("2024-01-15T02:00:00Z")),
+    "'2024-01-15T02:00:00.000Z'"
+  );
+  assert.equal(sqlLiteral({ note: "it's" }), `'{"note":"it''s"}'::jsonb`);
+});
+
+test("copyValue escapes field and row separators", () => {
+  assert.equal(copyValue(null), "\\N");
+  assert.equal(copyValue("\\N"), "\\\\N");
+  assert.equal(copyValue("a\tb\nc\rd\\e"), "a\\tb\\nc\\rd\\\\e");
+  assert.equal(copyValue(true), "true");
+  assert.equal(copyValue({ text: "line\nbreak" }), '{"text":"line\\\\nbreak"}');
+  assert.equal(copyValue(["a\tb", null], "_text"), '{"a\\tb",NULL}');
+  assert.equal(copyValue(['x"y'], "_text"), '{"x\\\\"y"}');
+  assert.equal(copyValue([1, 2], "json"), "[1,2]");
+});
+
+test("csvValue quotes strings and JSON", () => {
+  assert.equal(csvValue(null), "");
+  assert.equal(csvValue('a "b", c'), '"a ""b"", c"');
+  assert.equal(csvValue(42), "42");
+  assert.equal(csvValue({ a: "x" }), '"{""a"":""x""}"');
+});
+
+test("normalizeSqlDataFormat accepts insert and copy", () => {
+  assert.equal(normalizeSqlDataFormat(undefined), "insert");
+  assert.equal(normalizeSqlDataFormat("COPY"), "copy");
+  assert.throws(() => normalizeSqlDataFormat("csv"), /Unsupported SQL data/);
+});
+
+test("the SQL writers produce INSERT batches and COPY blocks", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supabase-backup-test-"));
+  try {
+    const rows = [
+      { id: 1, tags: ["a", "b"], note: "tab\there" },
+      { id: 2, tags: null, note: "it's" },
+    ];
+    const columnTypes = { id: "int4", tags: "_text", note: "text" };
+
+    const insert = new SqlInsertWriter(path.join(dir, "insert.sql"), {
+      schema: "public",
+      table: "notes",
+      batchSize: 1,
+      conflictColumns: ["id"],
+      columnTypes,
+    });
+    await insert.writeRows(rows);
+    await insert.close();
+
+    assert.equal(
+      fs.readFileSync(insert.filePath, "utf8"),
+      `INSERT INTO "public"."notes" ("id", "tags", "note") VALUES
+  (1, '{"a","b"}', 'tab\there')
+ON CONFLICT ("id") DO UPDATE SET
+  "tags" = EXCLUDED."tags",
+  "note" = EXCLUDED."note";
+
+INSERT INTO "public"."notes" ("id", "tags", "note") VALUES
+  (2, NULL, 'it''s')
+ON CONFLICT ("id") DO UPDATE SET
+  "tags" = EXCLUDED."tags",
+  "note" = EXCLUDED."note";
+
+`
+    );
+
+    const copy = new SqlCopyWriter(path.join(dir, "copy.sql"), {
+      schema: "public",
+      table: "notes",
+      columnTypes,
+    });
+    await copy.writeRows(rows.slice(0, 1));
+    await copy.writeRows(rows.slice(1));
+    await copy.close();
+
+    assert.equal(
+      fs.readFileSync(copy.filePath, "utf8"),
+      `COPY "public"."notes" ("id", "tags", "note") FROM stdin;
+1\t{"a","b"}\ttab\\there
+2\t\\N\tit's
+\\.
+
+`
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});